@@ -0,0 +1,156 @@
+import { readFileSync } from 'fs';
+import { ethers } from 'ethers';
+import { parse as parseYaml } from 'yaml';
+import { definePlugin } from './plugins.js';
+
+/**
+ * Declarative Contract-Call Workloads
+ *
+ * A JSON or YAML spec (--workload=./spec.yaml) calls a function on a contract
+ * that is already deployed, with no code. Each spec becomes a transaction type
+ * with its own --txMix share, like a plugin (see plugins.js):
+ *
+ *   name: vault_deposit              # txType and --txMix share
+ *   target: "0x5FbDB2315678afecb367f032d93F642f64180aa3"   # or a contract key, e.g. token
+ *   abi: "function deposit(uint256 amount, address onBehalfOf, uint16 code)"
+ *   function: deposit                # optional when the ABI has one function
+ *   args:
+ *     - { type: random, min: 1, max: 1000 }
+ *     - { type: sender }
+ *     - 7                            # plain values are constants
+ *   value: "0"                       # ETH per call
+ *   gasLimit: 150000
+ *
+ * A file holds one spec or a list of them. Argument generators:
+ * - constant:     { type: constant, value }     (or just the value)
+ * - sequential:   { type: sequential, start, step }, counting this workload's calls
+ * - random:       { type: random, min, max }, an integer in [min, max]
+ * - randomSender: a random address from the run's senders
+ * - sender:       the sending account's own address
+ */
+
+export const ARG_GENERATORS = ['constant', 'sequential', 'random', 'randomSender', 'sender'];
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+/**
+ * Read a spec file (YAML for .yaml / .yml, JSON otherwise)
+ * @param {string} path
+ * @returns {Array<Object>} - Plugins from definePlugin(), one per spec
+ */
+export function loadCallWorkloads(path) {
+  const text = readFileSync(path, 'utf8');
+  const parsed = /\.ya?ml$/i.test(path) ? parseYaml(text) : JSON.parse(text);
+  const specs = Array.isArray(parsed) ? parsed : [parsed];
+  return specs.map(spec => createCallWorkload(spec, path));
+}
+
+/**
+ * Turn one spec into a plugin
+ * @param {Object} spec - See the format above
+ * @param {string} source - Spec file, for messages
+ * @returns {Object} - From definePlugin()
+ */
+export function createCallWorkload(spec, source) {
+  const where = `${source}${spec?.name ? ` (${spec.name})` : ''}`;
+  if (!spec || typeof spec !== 'object') throw new Error(`${source}: a spec must be an object`);
+  if (!spec.target || typeof spec.target !== 'string') throw new Error(`${where}: target (address or contract key) is required`);
+
+  // An address, or the key of a contract the run knows (e.g. token, router, or a plugin's)
+  const targetKey = ethers.isAddress(spec.target) ? null : spec.target;
+
+  let iface;
+  try {
+    iface = new ethers.Interface(Array.isArray(spec.abi) ? spec.abi : [spec.abi]);
+  } catch (err) {
+    throw new Error(`${where}: invalid abi (${err.shortMessage || err.message})`);
+  }
+  const functions = iface.fragments.filter(fragment => fragment.type === 'function');
+  const fragment = spec.function
+    ? functions.find(f => f.name === spec.function || f.format() === spec.function)
+    : functions.length === 1 ? functions[0] : null;
+  if (!fragment) {
+    throw new Error(`${where}: ${spec.function ? `no function ${spec.function} in the abi` : 'function is required when the abi has several'}`);
+  }
+
+  const args = spec.args ?? [];
+  if (!Array.isArray(args) || args.length !== fragment.inputs.length) {
+    throw new Error(`${where}: ${fragment.format()} takes ${fragment.inputs.length} argument(s), args has ${Array.isArray(args) ? args.length : 'none'}`);
+  }
+  const generators = args.map((arg, i) => createArgGenerator(arg, `${where} argument ${i + 1}`));
+
+  const value = ethers.parseEther(String(spec.value ?? '0'));
+  let calls = 0;
+
+  return definePlugin({
+    name: spec.name,
+    label: spec.label,
+    title: spec.title,
+    contracts: targetKey ? [targetKey] : [],
+    gasLimit: spec.gasLimit,
+    funding: ({ txCount }) => ({ eth: value * BigInt(txCount) }),
+    build: ({ sender, senders, contracts }) => {
+      const n = calls++;
+      return {
+        to: targetKey ? contracts[targetKey] : spec.target,
+        data: iface.encodeFunctionData(fragment, generators.map(next => next({ sender, senders, n }))),
+        value,
+      };
+    },
+  }, source);
+}
+
+// =============================================================================
+// Argument Generators
+// =============================================================================
+
+function randomBetween(min, max) {
+  return min + BigInt(ethers.hexlify(ethers.randomBytes(32))) % (max - min + 1n);
+}
+
+/**
+ * Generator for one argument
+ * @returns {Function} - ({ sender, senders, n }) => value
+ */
+function createArgGenerator(arg, where) {
+  if (arg === null || typeof arg !== 'object' || Array.isArray(arg) || !('type' in arg)) {
+    return () => arg;
+  }
+
+  switch (arg.type) {
+    case 'constant':
+      return () => arg.value;
+
+    case 'sequential': {
+      const start = BigInt(arg.start ?? 0);
+      const step = BigInt(arg.step ?? 1);
+      return ({ n }) => start + step * BigInt(n);
+    }
+
+    case 'random': {
+      if (arg.min === undefined || arg.max === undefined || BigInt(arg.min) > BigInt(arg.max)) {
+        throw new Error(`${where}: random needs min <= max`);
+      }
+      const min = BigInt(arg.min);
+      const max = BigInt(arg.max);
+      return () => randomBetween(min, max);
+    }
+
+    case 'randomSender':
+      return ({ senders }) => senders[Math.floor(Math.random() * senders.length)].address;
+
+    case 'sender':
+      return ({ sender }) => sender.address;
+
+    default:
+      throw new Error(`${where}: unknown generator "${arg.type}" (expected ${ARG_GENERATORS.join(', ')})`);
+  }
+}
+
+export default {
+  ARG_GENERATORS,
+  loadCallWorkloads,
+  createCallWorkload,
+};
@@ -0,0 +1,198 @@
+import { ethers } from 'ethers';
+import { compileContract } from './deploy-token.js';
+
+/**
+ * Calldata-Heavy Workload
+ *
+ * On Arbitrum the L1 fee follows the calldata a transaction adds to a batch,
+ * after batch compression. These transactions carry --calldataSize bytes of
+ * calldata in one of three patterns (--calldataPattern, cycled per transaction):
+ * - zeros:      all zero bytes (cheapest calldata, compresses to nothing)
+ * - random:     fresh random bytes per transaction (incompressible)
+ * - repetitive: one 32-byte chunk repeated, the same for the whole run
+ *               (non-zero, but compresses well across the batch)
+ *
+ * The data goes to contracts/CalldataSink.sol (an empty fallback) or to an
+ * EOA (--calldataTarget). Gas limits come from eth_estimateGas, which on
+ * Arbitrum includes the L1 component. Receipts there report that component as
+ * gasUsedForL1, which collectL1Gas() reads back from the raw receipts.
+ */
+
+export const CALLDATA_PATTERNS = ['zeros', 'random', 'repetitive'];
+
+// Each pattern is its own txType, so results are counted per pattern
+export const CALLDATA_TX_TYPES = {
+  zeros: 'calldata_zeros',
+  random: 'calldata_random',
+  repetitive: 'calldata_repetitive',
+};
+
+export const CALLDATA_TARGETS = ['sink', 'eoa'];
+
+// Stays under the 128 KB transaction size nodes accept
+const MAX_CALLDATA_SIZE = 120000;
+
+// Headroom over the estimate: the L1 part moves with the L1 base fee
+const GAS_LIMIT_MARGIN_PERCENT = 25n;
+
+// Raw receipts fetched at once
+const RECEIPT_CHUNK_SIZE = 50;
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse --calldataPattern: one pattern, a comma-separated cycle or "mix" (all three)
+ * @returns {Array<string>} - Patterns in cycle order
+ */
+export function parseCalldataPatterns(spec) {
+  if (spec === 'mix') return [...CALLDATA_PATTERNS];
+
+  const patterns = String(spec || 'random').split(',').map(p => p.trim());
+  const invalid = patterns.find(pattern => !CALLDATA_PATTERNS.includes(pattern));
+  if (invalid !== undefined) {
+    throw new Error(`Unknown calldata pattern "${invalid}" (expected ${CALLDATA_PATTERNS.join(', ')}, a comma-separated list or mix)`);
+  }
+  return patterns;
+}
+
+/**
+ * Validate --calldataSize (bytes per transaction)
+ */
+export function parseCalldataSize(spec) {
+  const size = Number(spec);
+  if (!Number.isInteger(size) || size <= 0 || size > MAX_CALLDATA_SIZE) {
+    throw new Error(`Invalid calldata size "${spec}" (expected 1-${MAX_CALLDATA_SIZE} bytes)`);
+  }
+  return size;
+}
+
+// =============================================================================
+// Payload
+// =============================================================================
+
+/**
+ * Calldata source for a run
+ * @param {number} size - Bytes per transaction
+ * @returns {Object} - { next(pattern) } returning hex calldata
+ */
+export function createCalldataGenerator(size) {
+  const zeros = '0x' + '00'.repeat(size);
+  // Non-zero bytes only, so "repetitive" costs like random data before compression
+  const chunk = ethers.hexlify(ethers.randomBytes(32).map(b => b | 1)).slice(2);
+  const repetitive = '0x' + chunk.repeat(Math.ceil(size / 32)).slice(0, size * 2);
+
+  return {
+    next(pattern) {
+      if (pattern === 'zeros') return zeros;
+      if (pattern === 'repetitive') return repetitive;
+      return ethers.hexlify(ethers.randomBytes(size));
+    },
+  };
+}
+
+/**
+ * Gas limit without an estimate: intrinsic gas with the EIP-7623 calldata floor, plus 10%
+ */
+export function calldataGasLimit(data) {
+  const bytes = ethers.getBytes(data);
+  const zeros = bytes.filter(b => b === 0).length;
+  const nonZeros = bytes.length - zeros;
+  const gas = 21000n + BigInt(Math.max(16 * nonZeros + 4 * zeros, 40 * nonZeros + 10 * zeros)) + 2000n;
+  return gas * 11n / 10n;
+}
+
+/**
+ * Deploy the calldata sink
+ * @param {Object} deployer - Funded wallet
+ * @returns {Promise<string>} - Contract address
+ */
+export async function deployCalldataSink(deployer) {
+  const { abi, bytecode } = compileContract('CalldataSink');
+  const sink = await new ethers.ContractFactory(abi, bytecode, deployer).deploy();
+  await sink.waitForDeployment();
+  return sink.getAddress();
+}
+
+/**
+ * Target and gas limit per pattern for the run
+ * @param {Object} options
+ * @param {Object} options.provider
+ * @param {string} options.from - Funded account to estimate from
+ * @param {string|null} options.sink - CalldataSink address, or null to send to an EOA
+ * @param {number} options.size - Bytes per transaction
+ * @param {Array<string>} options.patterns - From parseCalldataPatterns()
+ * @returns {Promise<Object>} - { target, size, gasLimits: { [pattern]: bigint } }
+ */
+export async function planCalldata({ provider, from, sink, size, patterns }) {
+  const target = sink || ethers.Wallet.createRandom().address;
+  const generator = createCalldataGenerator(size);
+
+  const gasLimits = {};
+  for (const pattern of new Set(patterns)) {
+    const data = generator.next(pattern);
+    const fallback = calldataGasLimit(data);
+    const estimate = await provider.estimateGas({ from, to: target, data }).catch(() => null);
+    const margined = estimate === null ? 0n : estimate * (100n + GAS_LIMIT_MARGIN_PERCENT) / 100n;
+    gasLimits[pattern] = margined > fallback ? margined : fallback;
+  }
+
+  return { target, size, gasLimits };
+}
+
+// =============================================================================
+// L1 Gas
+// =============================================================================
+
+/**
+ * L1 gas per transaction type, from the gasUsedForL1 field of Arbitrum receipts
+ * (ethers' receipts drop unknown fields, so the raw receipts are fetched again)
+ * @param {Object} provider
+ * @param {Array} txHashes - Broadcast entries of the run
+ * @param {Map} receiptsByHash - Lowercase hash -> receipt
+ * @returns {Promise<Object|null>} - { count, l1Gas, gasUsed, l1Fees, totalFees, byType } (null if the node doesn't report it)
+ */
+export async function collectL1Gas(provider, txHashes, receiptsByHash) {
+  const included = txHashes.filter(t => receiptsByHash.has(t.hash.toLowerCase()));
+  const byType = {};
+  const totals = { count: 0, l1Gas: 0n, gasUsed: 0n, l1Fees: 0n, totalFees: 0n };
+
+  for (let i = 0; i < included.length; i += RECEIPT_CHUNK_SIZE) {
+    const chunk = included.slice(i, i + RECEIPT_CHUNK_SIZE);
+    const raws = await Promise.all(chunk.map(t => provider.send('eth_getTransactionReceipt', [t.hash]).catch(() => null)));
+
+    chunk.forEach((t, j) => {
+      if (raws[j]?.gasUsedForL1 == null) return;
+      const receipt = receiptsByHash.get(t.hash.toLowerCase());
+      const l1Gas = BigInt(raws[j].gasUsedForL1);
+      const price = receipt.gasPrice ?? 0n;
+      const type = t.txType || 'unknown';
+
+      byType[type] ??= { count: 0, l1Gas: 0n, gasUsed: 0n, calldataBytes: 0, l1Fees: 0n, totalFees: 0n };
+      for (const entry of [byType[type], totals]) {
+        entry.count++;
+        entry.l1Gas += l1Gas;
+        entry.gasUsed += receipt.gasUsed;
+        entry.l1Fees += l1Gas * price;
+        entry.totalFees += receipt.gasUsed * price;
+      }
+      byType[type].calldataBytes += t.dataBytes ?? 0;
+    });
+  }
+
+  return totals.count > 0 ? { ...totals, byType } : null;
+}
+
+export default {
+  CALLDATA_PATTERNS,
+  CALLDATA_TX_TYPES,
+  CALLDATA_TARGETS,
+  parseCalldataPatterns,
+  parseCalldataSize,
+  createCalldataGenerator,
+  calldataGasLimit,
+  deployCalldataSink,
+  planCalldata,
+  collectL1Gas,
+};
@@ -0,0 +1,237 @@
+import { ethers } from 'ethers';
+import { compileContract } from './deploy-token.js';
+
+/**
+ * Contract Deployment Workload
+ *
+ * Every transaction deploys a copy of contracts/TestDeployable.sol, either
+ * directly (CREATE, no `to`) or through contracts/Create2Factory.sol (CREATE2,
+ * salted per sender and nonce). The runtime code is padded after the compiled
+ * code (and its metadata) to the requested size, so the padding never runs:
+ * - tiny:   the compiled contract as is (a few hundred bytes)
+ * - medium: 8 KB
+ * - max:    24,000 bytes, just under the EIP-170 limit
+ * - or an exact byte count
+ *
+ * Each deployment's address follows from the transaction alone (sender and
+ * nonce, or factory, salt and init code hash), so verification reads the code
+ * back from there and compares it with what was deployed.
+ */
+
+export const DEPLOY_MODES = ['create', 'create2'];
+
+// Each mode is its own txType, so results are counted per mode
+export const DEPLOY_TX_TYPES = {
+  create: 'deploy_create',
+  create2: 'deploy_create2',
+};
+
+export const DEPLOY_SIZES = {
+  tiny: null,   // Compiled size
+  medium: 8192,
+  max: 24000,
+};
+
+// EIP-170 runtime code size limit
+const MAX_CODE_SIZE = 24576;
+
+// Padding byte (INVALID): non-zero like real bytecode, and never reached
+const PADDING_BYTE = 'fe';
+
+// Deployments whose code is read back, unless --verifyAll
+const VERIFY_SAMPLE_SIZE = 100;
+
+const FACTORY_ABI = [
+  'function deploy(bytes32 salt, bytes initCode) returns (address addr)',
+];
+
+const factoryIface = new ethers.Interface(FACTORY_ABI);
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse --deployMode: "create", "create2", a comma-separated cycle or "mix" (both)
+ * @returns {Array<string>} - Deploy modes in cycle order
+ */
+export function parseDeployModes(spec) {
+  if (spec === 'mix') return [...DEPLOY_MODES];
+
+  const modes = String(spec || 'create').split(',').map(m => m.trim());
+  const invalid = modes.find(mode => !DEPLOY_MODES.includes(mode));
+  if (invalid !== undefined) {
+    throw new Error(`Unknown deploy mode "${invalid}" (expected ${DEPLOY_MODES.join(', ')}, a comma-separated list or mix)`);
+  }
+  return modes;
+}
+
+/**
+ * Parse --deploySize: a preset (tiny, medium, max) or a byte count
+ * @returns {number|null} - Runtime code size in bytes (null: compiled size)
+ */
+export function parseDeploySize(spec) {
+  const value = String(spec || 'tiny');
+  if (value in DEPLOY_SIZES) return DEPLOY_SIZES[value];
+
+  const bytes = Number(value);
+  if (!Number.isInteger(bytes) || bytes <= 0 || bytes > MAX_CODE_SIZE) {
+    throw new Error(`Invalid deploy size "${spec}" (expected tiny, medium, max or 1-${MAX_CODE_SIZE} bytes)`);
+  }
+  return bytes;
+}
+
+// =============================================================================
+// Payload
+// =============================================================================
+
+let compiled = null;
+
+/**
+ * Init code that deploys TestDeployable padded to a runtime size
+ * @param {string|number} size - --deploySize
+ * @returns {Object} - { initCode, runtimeCode, codeSize, codeHash }
+ */
+export function createDeployPayload(size) {
+  compiled ??= compileContract('TestDeployable');
+
+  const target = parseDeploySize(size);
+  const code = ethers.getBytes(compiled.deployedBytecode);
+  if (target !== null && target < code.length) {
+    throw new Error(`Deploy size ${target} is below the compiled contract (${code.length} bytes)`);
+  }
+  const padding = target === null ? '' : PADDING_BYTE.repeat(target - code.length);
+  const runtimeCode = ethers.hexlify(code) + padding;
+  const codeSize = ethers.dataLength(runtimeCode);
+
+  // PUSH2 size, DUP1, PUSH1 12, PUSH1 0, CODECOPY, PUSH1 0, RETURN: returns the 12 bytes after itself
+  const constructor = `0x61${codeSize.toString(16).padStart(4, '0')}80600c6000396000f3`;
+  const initCode = ethers.concat([constructor, runtimeCode]);
+
+  return { initCode, runtimeCode, codeSize, codeHash: ethers.keccak256(runtimeCode) };
+}
+
+function calldataGas(data) {
+  return ethers.getBytes(data).reduce((gas, byte) => gas + (byte === 0 ? 4n : 16n), 0n);
+}
+
+/**
+ * Gas limit for one deployment: intrinsic, calldata, init code and code deposit
+ * (200 per byte), plus a quarter on top
+ * @param {Object} payload - From createDeployPayload()
+ * @param {string} mode - 'create' or 'create2'
+ * @returns {bigint}
+ */
+export function deployGasLimit(payload, mode) {
+  const words = BigInt(Math.ceil(ethers.dataLength(payload.initCode) / 32));
+  const memory = 3n * words + words * words / 512n;
+  const deposit = 200n * BigInt(payload.codeSize);
+
+  const gas = mode === 'create2'
+    // Factory call: the init code is copied to memory and hashed for the address
+    ? 21000n + calldataGas(encodeCreate2Deploy(ethers.ZeroHash, payload.initCode)) + 32000n +
+      8n * words + 3n * memory + deposit + 10000n
+    : 21000n + calldataGas(payload.initCode) + 32000n + 2n * words + memory + deposit;
+
+  return gas * 5n / 4n;
+}
+
+/**
+ * CREATE2 salt for a sender's transaction (unique per sender and nonce)
+ */
+export function create2Salt(sender, nonce) {
+  return ethers.solidityPackedKeccak256(['address', 'uint256'], [sender, nonce]);
+}
+
+/**
+ * Calldata for Create2Factory.deploy(salt, initCode)
+ */
+export function encodeCreate2Deploy(salt, initCode) {
+  return factoryIface.encodeFunctionData('deploy', [salt, initCode]);
+}
+
+/**
+ * Deploy the CREATE2 factory
+ * @param {Object} deployer - Funded wallet
+ * @returns {Promise<string>} - Factory address
+ */
+export async function deployCreate2Factory(deployer) {
+  const { abi, bytecode } = compileContract('Create2Factory');
+  const factory = await new ethers.ContractFactory(abi, bytecode, deployer).deploy();
+  await factory.waitForDeployment();
+  return factory.getAddress();
+}
+
+// =============================================================================
+// Verification
+// =============================================================================
+
+/**
+ * Address a deployment transaction creates its contract at
+ * @param {Object} t - Broadcast entry ({ expectedFrom, nonce, txType, signedTx })
+ * @returns {string}
+ */
+export function expectedDeployAddress(t) {
+  if (t.txType === DEPLOY_TX_TYPES.create) {
+    return ethers.getCreateAddress({ from: t.expectedFrom, nonce: t.nonce });
+  }
+  const { to, data } = ethers.Transaction.from(t.signedTx);
+  const [salt, initCode] = factoryIface.decodeFunctionData('deploy', data);
+  return ethers.getCreate2Address(to, salt, ethers.keccak256(initCode));
+}
+
+/**
+ * Check that successful deployments left the expected code at the expected address
+ * @param {Object} provider
+ * @param {Array} txHashes - Broadcast entries of the run
+ * @param {Map} receiptsByHash - Lowercase hash -> receipt
+ * @param {Object} options
+ * @param {string} options.codeHash - keccak256 of the deployed runtime code
+ * @param {boolean} options.verifyAll - Read back every deployment, not a sample
+ * @returns {Promise<Object|null>} - { deployed, checked, matched, wrongAddress, missingCode } (null without deployments)
+ */
+export async function verifyDeployments(provider, txHashes, receiptsByHash, { codeHash, verifyAll = false }) {
+  const deployTypes = new Set(Object.values(DEPLOY_TX_TYPES));
+  const deployed = txHashes.filter(t => deployTypes.has(t.txType) && receiptsByHash.get(t.hash.toLowerCase())?.status === 1);
+  if (deployed.length === 0) return null;
+
+  // Spread the sample over the run
+  const step = verifyAll ? 1 : Math.max(1, Math.floor(deployed.length / VERIFY_SAMPLE_SIZE));
+  const sample = deployed.filter((_, i) => i % step === 0).slice(0, verifyAll ? deployed.length : VERIFY_SAMPLE_SIZE);
+
+  const result = { deployed: deployed.length, checked: sample.length, matched: 0, wrongAddress: 0, missingCode: 0 };
+  for (let i = 0; i < sample.length; i += 20) {
+    await Promise.all(sample.slice(i, i + 20).map(async (t) => {
+      const address = expectedDeployAddress(t);
+      // CREATE receipts name the new contract; CREATE2 ones don't (the factory is `to`)
+      const receipt = receiptsByHash.get(t.hash.toLowerCase());
+      if (receipt.contractAddress && receipt.contractAddress.toLowerCase() !== address.toLowerCase()) {
+        result.wrongAddress++;
+        return;
+      }
+      const code = await provider.getCode(address).catch(() => '0x');
+      if (code !== '0x' && ethers.keccak256(code) === codeHash) {
+        result.matched++;
+      } else {
+        result.missingCode++;
+      }
+    }));
+  }
+
+  return result;
+}
+
+export default {
+  DEPLOY_MODES,
+  DEPLOY_TX_TYPES,
+  DEPLOY_SIZES,
+  parseDeployModes,
+  parseDeploySize,
+  createDeployPayload,
+  deployGasLimit,
+  create2Salt,
+  encodeCreate2Deploy,
+  deployCreate2Factory,
+  expectedDeployAddress,
+  verifyDeployments,
+};
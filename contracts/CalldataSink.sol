@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title CalldataSink
+ * @dev Accepts any calldata and does nothing with it, for calldata-heavy TPS testing
+ */
+contract CalldataSink {
+    fallback() external payable {}
+}
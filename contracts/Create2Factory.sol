@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Create2Factory
+ * @dev Deploys any init code with CREATE2, for the contract deployment workload
+ */
+contract Create2Factory {
+    event Deployed(address indexed addr, bytes32 indexed salt);
+
+    function deploy(bytes32 salt, bytes calldata initCode) external returns (address addr) {
+        bytes memory code = initCode;
+        assembly {
+            addr := create2(0, add(code, 0x20), mload(code), salt)
+        }
+        require(addr != address(0), "CREATE2 failed");
+        emit Deployed(addr, salt);
+    }
+}
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title GasBurner
+ * @dev Burns gas in a tunable number of rounds for TPS testing:
+ * hashing, storage writes (new or existing slots), storage reads and logs
+ */
+contract GasBurner {
+    event Burn(uint256 indexed round, bytes32 data);
+
+    // storeExisting and load use slots [0, count); storeNew writes above FRESH_BASE
+    mapping(uint256 => uint256) public slots;
+    uint256 public writes;
+    uint256 public nextFresh;
+
+    uint256 private constant FRESH_BASE = 1 << 128;
+
+    function hash(uint256 rounds) external returns (bytes32 h) {
+        h = bytes32(rounds);
+        for (uint256 i = 0; i < rounds; i++) {
+            // Scratch space, so memory (and its cost per round) stays constant
+            assembly {
+                mstore(0x00, h)
+                mstore(0x20, i)
+                h := keccak256(0x00, 0x40)
+            }
+        }
+        emit Burn(rounds, h);
+    }
+
+    function storeNew(uint256 count) external {
+        uint256 start = FRESH_BASE + nextFresh;
+        for (uint256 i = 0; i < count; i++) {
+            slots[start + i] = i + 1;
+        }
+        nextFresh += count;
+    }
+
+    function storeExisting(uint256 count) external {
+        // A new non-zero value every call, so each write changes the slot
+        uint256 value = ++writes + 1;
+        for (uint256 i = 0; i < count; i++) {
+            slots[i] = value;
+        }
+    }
+
+    function load(uint256 count) external returns (uint256 sum) {
+        for (uint256 i = 0; i < count; i++) {
+            sum += slots[i];
+        }
+        emit Burn(count, bytes32(sum));
+    }
+
+    function emitLogs(uint256 count) external {
+        for (uint256 i = 0; i < count; i++) {
+            emit Burn(i, bytes32(i));
+        }
+    }
+
+    // Make slots [from, from + count) existing, for storeExisting
+    function seed(uint256 from, uint256 count) external {
+        for (uint256 i = from; i < from + count; i++) {
+            if (slots[i] == 0) slots[i] = 1;
+        }
+    }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TestDeployable
+ * @dev Minimal contract deployed over and over by the contract deployment workload
+ */
+contract TestDeployable {
+    function ping() external pure returns (uint256) {
+        return 1;
+    }
+}
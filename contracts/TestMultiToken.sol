@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title TestMultiToken
+ * @dev Open-mint ERC1155 for TPS testing
+ */
+contract TestMultiToken is ERC1155 {
+    constructor(string memory uri_) ERC1155(uri_) {}
+
+    function mint(address to, uint256 id, uint256 amount) external {
+        _mint(to, id, amount, "");
+    }
+
+    function mintBatch(address to, uint256[] calldata ids, uint256[] calldata amounts) external {
+        _mintBatch(to, ids, amounts, "");
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title TestNFT
+ * @dev Open-mint ERC721 for TPS testing
+ * Token IDs are (owner << 32) | the owner's mint count, so a sender can
+ * predict the IDs it owns without reading them back
+ */
+contract TestNFT is ERC721 {
+    mapping(address => uint256) public minted;
+
+    constructor(string memory name_, string memory symbol_) ERC721(name_, symbol_) {}
+
+    function nextId(address to) public view returns (uint256) {
+        return (uint256(uint160(to)) << 32) | minted[to];
+    }
+
+    function mint(address to) external returns (uint256 id) {
+        id = nextId(to);
+        minted[to]++;
+        _mint(to, id);
+    }
+
+    function mintBatch(address to, uint256 count) external {
+        for (uint256 i = 0; i < count; i++) {
+            _mint(to, nextId(to));
+            minted[to]++;
+        }
+    }
+}
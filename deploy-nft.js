@@ -0,0 +1,153 @@
+import { ethers } from 'ethers';
+import { fileURLToPath } from 'url';
+import { compileContract } from './deploy-token.js';
+
+/**
+ * NFT Deployment Script
+ *
+ * Compiles and deploys the open-mint test NFTs using OpenZeppelin contracts:
+ * - TestNFT (ERC721)
+ * - TestMultiToken (ERC1155)
+ */
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const CONFIG = {
+  rpcUrl: process.env.RPC_URL || 'http://127.0.0.1:8547',
+
+  // Pre-funded dev account from nitro-devnode
+  deployerPrivateKey: '0xb6b15c8cb491557369f3c7d2c287b053eb229daa9c22138887752191c9520659',
+
+  // NFT settings
+  nftName: 'TPS Test NFT',
+  nftSymbol: 'TPSNFT',
+  multiTokenUri: 'https://example.com/tps/{id}.json',
+
+  // Which contracts to deploy
+  erc721: true,
+  erc1155: true,
+};
+
+// =============================================================================
+// Parse CLI Arguments
+// =============================================================================
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = { ...CONFIG };
+
+  for (const arg of args) {
+    const [key, value] = arg.replace('--', '').split('=');
+    if (key === 'rpcUrl') config.rpcUrl = value;
+    if (key === 'name') config.nftName = value;
+    if (key === 'symbol') config.nftSymbol = value;
+    if (key === 'uri') config.multiTokenUri = value;
+    if (key === 'only') {
+      config.erc721 = value === 'erc721';
+      config.erc1155 = value === 'erc1155';
+    }
+    if (key === 'privateKey') config.deployerPrivateKey = value;
+  }
+
+  return config;
+}
+
+// =============================================================================
+// Deploy NFTs
+// =============================================================================
+
+async function deployContract(deployer, contractName, args) {
+  const { abi, bytecode } = compileContract(contractName);
+
+  console.log(`\n🚀 Deploying ${contractName}...`);
+  const factory = new ethers.ContractFactory(abi, bytecode, deployer);
+  const contract = await factory.deploy(...args);
+
+  console.log(`   Transaction hash: ${contract.deploymentTransaction().hash}`);
+  console.log(`   Waiting for confirmation...`);
+
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+
+  console.log(`✅ ${contractName} deployed at: ${address}`);
+
+  return { address, abi };
+}
+
+/**
+ * Deploy the test ERC721 and/or ERC1155 contract
+ * @param {Object} config - { rpcUrl, deployerPrivateKey, nftName, nftSymbol, multiTokenUri, erc721, erc1155 }
+ * @returns {Promise<Object>} - { erc721: { address, abi } | null, erc1155: { address, abi } | null }
+ */
+async function deployNfts(config) {
+  console.log('🖼️  NFT Deployment (OpenZeppelin)');
+  console.log('='.repeat(50));
+
+  // Connect to provider
+  console.log(`\n🔗 Connecting to ${config.rpcUrl}...`);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+
+  try {
+    const network = await provider.getNetwork();
+    console.log(`✅ Connected to chain ID: ${network.chainId}`);
+  } catch (err) {
+    console.error(`❌ Failed to connect: ${err.message}`);
+    process.exit(1);
+  }
+
+  // Setup deployer wallet
+  const deployer = new ethers.Wallet(config.deployerPrivateKey, provider);
+  console.log(`\n💰 Deployer: ${deployer.address}`);
+
+  const erc721 = config.erc721
+    ? await deployContract(deployer, 'TestNFT', [config.nftName, config.nftSymbol])
+    : null;
+  const erc1155 = config.erc1155
+    ? await deployContract(deployer, 'TestMultiToken', [config.multiTokenUri])
+    : null;
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📝 DEPLOYMENT SUMMARY');
+  console.log('='.repeat(50));
+  if (erc721) console.log(`ERC721 (TestNFT):         ${erc721.address}`);
+  if (erc1155) console.log(`ERC1155 (TestMultiToken): ${erc1155.address}`);
+  console.log('='.repeat(50));
+
+  return { erc721, erc1155 };
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function main() {
+  const config = parseArgs();
+
+  try {
+    const result = await deployNfts(config);
+
+    // Output JSON for programmatic use
+    console.log('\n📤 JSON Output:');
+    console.log(JSON.stringify({
+      erc721: result.erc721?.address || null,
+      erc1155: result.erc1155?.address || null,
+    }, null, 2));
+
+    return result;
+  } catch (err) {
+    console.error(`\n❌ Deployment failed: ${err.message}`);
+    console.error(err.stack);
+    process.exit(1);
+  }
+}
+
+// Run if called directly (not imported as a module)
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  main();
+}
+
+// Export for use as module
+export { deployNfts, CONFIG as DEFAULT_CONFIG };
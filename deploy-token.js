@@ -78,16 +78,22 @@ function findImports(importPath) {
   }
 }
 
-function compileContract() {
-  console.log('🔨 Compiling contract with OpenZeppelin...');
+/**
+ * Compile a contract from contracts/ (one contract per file, named like the file)
+ * @param {string} [contractName] - e.g. 'TestToken' for contracts/TestToken.sol
+ * @returns {Object} - { abi, bytecode, deployedBytecode }
+ */
+function compileContract(contractName = 'TestToken') {
+  console.log(`🔨 Compiling ${contractName} with OpenZeppelin...`);
   
-  const contractPath = path.join(__dirname, 'contracts', 'TestToken.sol');
+  const fileName = `${contractName}.sol`;
+  const contractPath = path.join(__dirname, 'contracts', fileName);
   const source = fs.readFileSync(contractPath, 'utf8');
   
   const input = {
     language: 'Solidity',
     sources: {
-      'TestToken.sol': {
+      [fileName]: {
         content: source,
       },
     },
@@ -98,7 +104,7 @@ function compileContract() {
       },
       outputSelection: {
         '*': {
-          '*': ['abi', 'evm.bytecode.object'],
+          '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object'],
         },
       },
     },
@@ -124,13 +130,14 @@ function compileContract() {
     }
   }
   
-  const contract = output.contracts['TestToken.sol']['TestToken'];
+  const contract = output.contracts[fileName][contractName];
   
   console.log('✅ Compilation successful!');
   
   return {
     abi: contract.abi,
     bytecode: '0x' + contract.evm.bytecode.object,
+    deployedBytecode: '0x' + contract.evm.deployedBytecode.object,
   };
 }
 
@@ -0,0 +1,236 @@
+import { ethers } from 'ethers';
+import { compileContract } from './deploy-token.js';
+import { createZipfSampler } from './recipients.js';
+
+/**
+ * Sharded DEX
+ *
+ * Swaps spread over K Token/WETH pools (--pools) instead of one, to measure
+ * how much pair-level contention limits swap throughput. Pool 0 is the Token/WETH
+ * pool of the main test token; pools 1..K-1 get their own test tokens, deployed
+ * for the run. Every pool starts with --poolLiquidity ETH and tokens at
+ * TOKENS_PER_ETH, so all tokens have the same price.
+ *
+ * Each swap picks its pool (--poolDistribution):
+ * - uniform:     any pool, equally likely
+ * - round-robin: pools in turn
+ * - zipf:        pool k with weight 1 / k^--poolSkew (a few hot pools, a long tail)
+ *
+ * Token-to-token swaps go from the picked pool's token to its partner, the next
+ * pool's token (Token2 with one pool): multi-hop through WETH, or direct through
+ * a Token/Token pool, which is created for the run when --swapMode has direct.
+ */
+
+export const POOL_DISTRIBUTIONS = ['uniform', 'round-robin', 'zipf'];
+
+// Tokens per ETH in the pools the tool creates (a cheap token)
+export const TOKENS_PER_ETH = 10_000_000n;
+
+// Supply of each shard token, as the main test token's
+const SHARD_TOKEN_SUPPLY = ethers.parseUnits('10000000000', 18);
+
+// Per pool creation (the first liquidity in a pair deploys it)
+const POOL_GAS_LIMIT = 5000000n;
+
+// Per setup transaction, to be mined
+const SETUP_TX_TIMEOUT_MS = 120000;
+
+const SHARD_ROUTER_ABI = [
+  'function factory() view returns (address)',
+  'function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline) payable returns (uint amountToken, uint amountETH, uint liquidity)',
+  'function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline) returns (uint amountA, uint amountB, uint liquidity)',
+];
+
+const routerIface = new ethers.Interface(SHARD_ROUTER_ABI);
+const tokenIface = new ethers.Interface(['function approve(address spender, uint256 amount) returns (bool)']);
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse --poolDistribution
+ * @returns {string} - From POOL_DISTRIBUTIONS
+ */
+export function parsePoolDistribution(spec) {
+  const distribution = String(spec || 'uniform').trim();
+  if (!POOL_DISTRIBUTIONS.includes(distribution)) {
+    throw new Error(`Unknown pool distribution "${distribution}" (expected ${POOL_DISTRIBUTIONS.join(', ')})`);
+  }
+  return distribution;
+}
+
+/**
+ * Pools as text, e.g. "50 Token/WETH pools with 10 ETH each, zipf (skew 1.2)"
+ */
+export function describeDex({ pools, poolLiquidity, poolDistribution, poolSkew }) {
+  if (pools === 1) return `1 Token/WETH pool with ${poolLiquidity} ETH`;
+  return `${pools} Token/WETH pools with ${poolLiquidity} ETH each, ${poolDistribution}${poolDistribution === 'zipf' ? ` (skew ${poolSkew})` : ''}`;
+}
+
+/**
+ * ETH the funder puts into the Token/WETH pools of a run, --poolLiquidity for each
+ * @returns {bigint} - Wei
+ */
+export function dexLiquidityNeeded({ pools, poolLiquidity }) {
+  return ethers.parseEther(String(poolLiquidity)) * BigInt(pools);
+}
+
+// =============================================================================
+// Setup
+// =============================================================================
+
+/**
+ * Send transactions from the funder with consecutive nonces and wait for all of them
+ * @param {Object} funderWallet
+ * @param {Array<Object>} txs - Transaction requests
+ * @param {string} what - For errors
+ * @returns {Promise<Array>} - Receipts
+ */
+async function sendAll(funderWallet, txs, what) {
+  let nonce = await funderWallet.getNonce();
+  const sent = [];
+  for (const tx of txs) sent.push(await funderWallet.sendTransaction({ ...tx, nonce: nonce++ }));
+  const receipts = await Promise.all(sent.map(({ hash }) =>
+    funderWallet.provider.waitForTransaction(hash, 1, SETUP_TX_TIMEOUT_MS).catch(() => null)
+  ));
+  if (receipts.some(receipt => !receipt)) throw new Error(`Setup failed: a ${what} transaction was not mined within ${SETUP_TX_TIMEOUT_MS / 1000}s`);
+  if (receipts.some(receipt => receipt.status !== 1)) throw new Error(`Setup failed: a ${what} transaction reverted`);
+  return receipts;
+}
+
+/**
+ * Tokens, pools and partners for the run's swaps, deploying the extra test
+ * tokens and their pools when there is more than one pool
+ * @param {Object} options
+ * @param {Object} options.provider
+ * @param {Object} options.funderWallet
+ * @param {Object} options.contracts - { router, weth, token, token2, tokenPair }
+ * @param {number} options.count - Pools (--pools)
+ * @param {string} options.ethPerPool - ETH per new pool (--poolLiquidity)
+ * @param {boolean} options.tokenPairs - Create the Token/Token pools of direct swaps
+ * @returns {Promise<Object>} - { tokens, pairs, partners, tokenPairs }, one entry per pool
+ */
+export async function setupDexShards({ provider, funderWallet, contracts, count, ethPerPool, tokenPairs }) {
+  if (!Number.isInteger(count) || count < 1) throw new Error(`--pools must be a positive integer (got ${count})`);
+
+  const router = new ethers.Contract(contracts.router, SHARD_ROUTER_ABI, provider);
+  const factory = new ethers.Contract(
+    await router.factory(),
+    ['function getPair(address, address) view returns (address)'],
+    provider
+  );
+  const tokens = [contracts.token];
+  const deadline = Math.floor(Date.now() / 1000) + 3600;
+
+  if (count > 1) {
+    console.log(`\n🪙 Deploying ${count - 1} more test tokens for ${count} pools...`);
+    const { abi, bytecode } = compileContract('TestToken');
+    const tokenFactory = new ethers.ContractFactory(abi, bytecode, funderWallet);
+    const deploys = [];
+    for (let i = 1; i < count; i++) {
+      deploys.push(await tokenFactory.getDeployTransaction(`TPS Shard Token ${i}`, `TPS${i}`, 18, SHARD_TOKEN_SUPPLY));
+    }
+    const receipts = await sendAll(funderWallet, deploys, 'token deployment');
+    tokens.push(...receipts.map(receipt => receipt.contractAddress));
+
+    // Approve the router for every token (pool 0's too, for Token/Token pools), then add the liquidity
+    const ethAmount = ethers.parseEther(String(ethPerPool));
+    const tokenAmount = ethAmount * TOKENS_PER_ETH;
+    console.log(`💧 Creating ${count - 1} Token/WETH pools (${ethPerPool} ETH each)...`);
+    await sendAll(funderWallet, [
+      ...tokens.map(token => ({ to: token, data: tokenIface.encodeFunctionData('approve', [contracts.router, ethers.MaxUint256]) })),
+      ...tokens.slice(1).map(token => ({
+        to: contracts.router,
+        data: routerIface.encodeFunctionData('addLiquidityETH', [token, tokenAmount, 0n, 0n, funderWallet.address, deadline]),
+        value: ethAmount,
+        gasLimit: POOL_GAS_LIMIT,
+      })),
+    ], 'pool creation');
+
+    if (tokenPairs) {
+      // Pool i pairs with pool i + 1, so two pools share a single Token/Token pair
+      const pairTokens = count === 2 ? tokens.slice(0, 1) : tokens;
+      console.log(`💧 Creating ${pairTokens.length} Token/Token pool${pairTokens.length === 1 ? '' : 's'} for direct swaps...`);
+      await sendAll(funderWallet, pairTokens.map((token, i) => ({
+        to: contracts.router,
+        data: routerIface.encodeFunctionData('addLiquidity', [token, tokens[(i + 1) % count], tokenAmount, tokenAmount, 0n, 0n, funderWallet.address, deadline]),
+        gasLimit: POOL_GAS_LIMIT,
+      })), 'Token/Token pool creation');
+    }
+  }
+
+  // With one pool, token-to-token swaps go to Token2 (and directly through the Token/Token2 pool)
+  const partners = count > 1 ? tokens.map((_, i) => tokens[(i + 1) % count]) : [contracts.token2 ?? null];
+  const pairs = await Promise.all(tokens.map(token => factory.getPair(token, contracts.weth)));
+  const directPairs = tokenPairs
+    ? await Promise.all(tokens.map((token, i) => partners[i] ? factory.getPair(token, partners[i]) : ethers.ZeroAddress))
+    : null;
+
+  if (count > 1) console.log(`✅ ${count} pools ready (Token/WETH pairs ${pairs[0]} ... ${pairs[count - 1]})`);
+
+  return {
+    tokens,
+    pairs,
+    partners,
+    tokenPairs: directPairs && directPairs.map(pair => pair === ethers.ZeroAddress ? null : pair),
+  };
+}
+
+// =============================================================================
+// Pool Choice
+// =============================================================================
+
+/**
+ * Pool picker for a run's swaps
+ * @param {Object} options
+ * @param {number} options.count - Pools
+ * @param {string} options.distribution - From parsePoolDistribution()
+ * @param {number} options.skew - Zipf exponent (--poolSkew)
+ * @returns {Object} - { pick(), stats() }
+ */
+export function createPoolPicker({ count, distribution = 'uniform', skew = 1 }) {
+  let choose;
+  if (count === 1) {
+    choose = () => 0;
+  } else if (distribution === 'round-robin') {
+    let next = 0;
+    choose = () => next++ % count;
+  } else if (distribution === 'zipf') {
+    if (!(skew > 0)) throw new Error(`--poolSkew must be above 0 (got ${skew})`);
+    choose = createZipfSampler(count, skew);
+  } else {
+    choose = () => Math.floor(Math.random() * count);
+  }
+
+  const hits = new Array(count).fill(0);
+  return {
+    pick: () => {
+      const pool = choose();
+      hits[pool]++;
+      return pool;
+    },
+    /**
+     * Swaps per pool so far
+     * @returns {Object} - { swaps, used, busiestShare } (busiestShare in percent)
+     */
+    stats: () => {
+      const swaps = hits.reduce((sum, n) => sum + n, 0);
+      return {
+        swaps,
+        used: hits.filter(n => n > 0).length,
+        busiestShare: swaps > 0 ? Math.max(...hits) / swaps * 100 : 0,
+      };
+    },
+  };
+}
+
+export default {
+  POOL_DISTRIBUTIONS,
+  TOKENS_PER_ETH,
+  parsePoolDistribution,
+  describeDex,
+  dexLiquidityNeeded,
+  setupDexShards,
+  createPoolPicker,
+};
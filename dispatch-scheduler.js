@@ -0,0 +1,146 @@
+/**
+ * Nonce-Ordered Dispatch Scheduler
+ *
+ * A node only executes a sender's nonce N+1 after nonce N, and over many
+ * parallel requests N+1 can easily arrive first: it is then queued as a
+ * future transaction or rejected (nonce too high). The scheduler hands out
+ * pre-signed entries so that this can't happen, or happens on purpose:
+ * - array:        plain array order, as many in flight as lanes (no guarantee, default)
+ * - nonce:        each sender has at most one request in flight, sent in nonce
+ *                 order; parallelism comes from different senders
+ * - out-of-order: like nonce, but every window of a sender's nonces is sent
+ *                 highest first, so the node has to queue and then promote them
+ *
+ * Signed entries arrive in nonce order per sender (that's how the payload
+ * generator assigns nonces), so grouping keeps array order within a sender.
+ */
+
+export const DISPATCH_ORDERS = ['array', 'nonce', 'out-of-order'];
+
+// =============================================================================
+// Per-Sender Queues
+// =============================================================================
+
+function groupBySender(entries) {
+  const queues = new Map();
+  for (const entry of entries) {
+    if (!queues.has(entry.expectedFrom)) queues.set(entry.expectedFrom, []);
+    queues.get(entry.expectedFrom).push(entry);
+  }
+  return queues;
+}
+
+/**
+ * Reverse every window of a queue: [0,1,2,3,4,5] with window 3 -> [2,1,0,5,4,3]
+ */
+function reverseWindows(queue, window) {
+  const reordered = [];
+  for (let i = 0; i < queue.length; i += window) {
+    reordered.push(...queue.slice(i, i + window).reverse());
+  }
+  return reordered;
+}
+
+// =============================================================================
+// Scheduler
+// =============================================================================
+
+/**
+ * Create a scheduler over signed entries
+ * @param {Array} entries - Signed entries ({ expectedFrom, ... })
+ * @param {Object} options
+ * @param {string} [options.order] - 'array', 'nonce' or 'out-of-order'
+ * @param {number} [options.window] - Nonces reversed together in 'out-of-order' mode
+ * @returns {Object} - { order, remaining, take(max), release(batch), waitForReady() }
+ *
+ * Lanes loop on take(): an empty result with entries remaining means every
+ * sender with work left is in flight, so wait for a release() and try again.
+ */
+export function createDispatchScheduler(entries, { order = 'array', window = 4 } = {}) {
+  if (!DISPATCH_ORDERS.includes(order)) {
+    throw new Error(`Unknown dispatch order "${order}" (expected ${DISPATCH_ORDERS.join(', ')})`);
+  }
+  if (order === 'out-of-order' && !(window >= 2)) {
+    throw new Error('Out-of-order window must be at least 2');
+  }
+
+  let remaining = entries.length;
+
+  if (order === 'array') {
+    let next = 0;
+    return {
+      order,
+      get remaining() { return remaining; },
+      take(max) {
+        const batch = entries.slice(next, next + max);
+        next += batch.length;
+        remaining -= batch.length;
+        return batch;
+      },
+      release() {},
+      waitForReady: () => Promise.resolve(),
+    };
+  }
+
+  const queues = groupBySender(entries);
+  if (order === 'out-of-order') {
+    for (const [sender, queue] of queues) queues.set(sender, reverseWindows(queue, window));
+  }
+
+  // Senders with work left and nothing in flight, served first come first served
+  const ready = [...queues.keys()];
+  let readyHead = 0;
+  const positions = new Map([...queues.keys()].map(sender => [sender, 0]));
+  const waiters = [];
+
+  const wake = (count) => {
+    for (let i = 0; i < count && waiters.length > 0; i++) waiters.shift()();
+  };
+
+  return {
+    order,
+    get remaining() { return remaining; },
+
+    /** Up to max entries, at most one per sender (empty if all remaining senders are busy) */
+    take(max) {
+      const batch = [];
+      while (batch.length < max && readyHead < ready.length) {
+        const sender = ready[readyHead++];
+        const position = positions.get(sender);
+        positions.set(sender, position + 1);
+        batch.push(queues.get(sender)[position]);
+      }
+      if (readyHead > 1024 && readyHead * 2 > ready.length) {
+        ready.splice(0, readyHead);
+        readyHead = 0;
+      }
+
+      remaining -= batch.length;
+      if (remaining === 0) wake(waiters.length);
+      return batch;
+    },
+
+    /** Mark a taken batch as answered, so its senders' next nonces can go */
+    release(batch) {
+      let freed = 0;
+      for (const { expectedFrom } of batch) {
+        if (positions.get(expectedFrom) < queues.get(expectedFrom).length) {
+          ready.push(expectedFrom);
+          freed++;
+        }
+      }
+      wake(freed);
+    },
+
+    /** Resolves when a sender may be ready again (or nothing is left) */
+    waitForReady() {
+      if (remaining === 0 || readyHead < ready.length) return Promise.resolve();
+      return new Promise(resolve => waiters.push(resolve));
+    },
+  };
+}
+
+export default {
+  DISPATCH_ORDERS,
+  createDispatchScheduler,
+};
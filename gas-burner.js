@@ -0,0 +1,169 @@
+import { ethers } from 'ethers';
+import { compileContract } from './deploy-token.js';
+
+/**
+ * Gas Burner Workload
+ *
+ * Transactions call contracts/GasBurner.sol to burn about --burnGas gas each,
+ * in one of five ways (--burnMode, cycled per burn like --swapMode):
+ * - hash:           keccak256 rounds
+ * - store-new:      writes to never-used storage slots
+ * - store-existing: writes to slots that already hold a value
+ * - load:           cold storage reads
+ * - log:            one event per round
+ *
+ * Gas per round differs by chain and fork, so the rounds are calibrated once
+ * per run with eth_estimateGas: two estimates give the cost per round, and a
+ * third confirms the cost of the chosen round count.
+ */
+
+export const BURN_MODES = ['hash', 'store-new', 'store-existing', 'load', 'log'];
+
+// Each mode is its own txType, so results are counted per mode
+export const BURN_TX_TYPES = {
+  hash: 'burn_hash',
+  'store-new': 'burn_store_new',
+  'store-existing': 'burn_store_existing',
+  load: 'burn_load',
+  log: 'burn_log',
+};
+
+const BURN_FUNCTIONS = {
+  hash: 'hash',
+  'store-new': 'storeNew',
+  'store-existing': 'storeExisting',
+  load: 'load',
+  log: 'emitLogs',
+};
+
+export const GAS_BURNER_ABI = [
+  'function hash(uint256 rounds) returns (bytes32 h)',
+  'function storeNew(uint256 count)',
+  'function storeExisting(uint256 count)',
+  'function load(uint256 count) returns (uint256 sum)',
+  'function emitLogs(uint256 count)',
+  'function seed(uint256 from, uint256 count)',
+];
+
+const burnerIface = new ethers.Interface(GAS_BURNER_ABI);
+
+// Rounds between the two calibration estimates
+const CALIBRATION_ROUNDS = 100;
+
+// Least gas an existing-slot write can cost (warm-up plus reset), to size the seeding
+const EXISTING_WRITE_GAS = 5000;
+
+// Slots seeded per transaction (about 23k gas each)
+const SEED_CHUNK = 500;
+
+// Gas limit headroom over the calibrated estimate
+const GAS_LIMIT_MARGIN_PERCENT = 10n;
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse --burnMode: one mode, a comma-separated cycle or "mix" (all five)
+ * @returns {Array<string>} - Burn modes in cycle order
+ */
+export function parseBurnModes(spec) {
+  if (spec === 'mix') return [...BURN_MODES];
+
+  const modes = String(spec || 'hash').split(',').map(m => m.trim());
+  const invalid = modes.find(mode => !BURN_MODES.includes(mode));
+  if (invalid !== undefined) {
+    throw new Error(`Unknown burn mode "${invalid}" (expected ${BURN_MODES.join(', ')}, a comma-separated list or mix)`);
+  }
+  return modes;
+}
+
+/**
+ * Calldata burning a number of rounds in one mode
+ */
+export function encodeBurn(mode, rounds) {
+  return burnerIface.encodeFunctionData(BURN_FUNCTIONS[mode], [rounds]);
+}
+
+// =============================================================================
+// Setup
+// =============================================================================
+
+/**
+ * Deploy the gas burner
+ * @param {Object} deployer - Funded wallet
+ * @returns {Promise<string>} - Contract address
+ */
+export async function deployGasBurner(deployer) {
+  const { abi, bytecode } = compileContract('GasBurner');
+  const burner = await new ethers.ContractFactory(abi, bytecode, deployer).deploy();
+  await burner.waitForDeployment();
+  return burner.getAddress();
+}
+
+/**
+ * Work out the rounds per mode that burn the target gas
+ * @param {Object} options
+ * @param {Object} options.provider
+ * @param {Object} options.funderWallet - Estimates from here, and seeds the slots store-existing overwrites
+ * @param {string} options.burner - GasBurner address
+ * @param {Array<string>} options.modes - From parseBurnModes()
+ * @param {number} options.targetGas - Gas per transaction (--burnGas)
+ * @returns {Promise<Object>} - { [mode]: { rounds, gasEstimate, gasLimit } }
+ */
+export async function calibrateGasBurner({ provider, funderWallet, burner, modes, targetGas }) {
+  const target = BigInt(targetGas);
+
+  // store-existing can't write more slots than this, so they all exist before the estimates
+  if (modes.includes('store-existing')) {
+    const count = Math.ceil(targetGas / EXISTING_WRITE_GAS);
+    for (let from = 0; from < count; from += SEED_CHUNK) {
+      const chunk = Math.min(SEED_CHUNK, count - from);
+      const tx = await funderWallet.sendTransaction({
+        to: burner,
+        data: burnerIface.encodeFunctionData('seed', [from, chunk]),
+        gasLimit: 50000n + 23000n * BigInt(chunk),
+      });
+      await tx.wait();
+    }
+  }
+
+  const estimate = (mode, rounds) => provider.estimateGas({
+    from: funderWallet.address,
+    to: burner,
+    data: encodeBurn(mode, rounds),
+  });
+
+  const plan = {};
+  for (const mode of new Set(modes)) {
+    const [one, many] = await Promise.all([estimate(mode, 1), estimate(mode, 1 + CALIBRATION_ROUNDS)]);
+    const perRound = (many - one) / BigInt(CALIBRATION_ROUNDS);
+    if (perRound <= 0n) throw new Error(`Could not calibrate burn mode ${mode} (no gas per round)`);
+
+    const rounds = target > one ? 1 + Number((target - one) / perRound) : 1;
+    const gasEstimate = await estimate(mode, rounds);
+    plan[mode] = { rounds, gasEstimate, gasLimit: gasEstimate * (100n + GAS_LIMIT_MARGIN_PERCENT) / 100n };
+  }
+
+  return plan;
+}
+
+/**
+ * Calibration as text, e.g. "hash 9,842 rounds (~1,000,012 gas)"
+ */
+export function describeBurnPlan(plan) {
+  return Object.entries(plan)
+    .map(([mode, { rounds, gasEstimate }]) => `${mode} ${rounds.toLocaleString()} rounds (~${Number(gasEstimate).toLocaleString()} gas)`)
+    .join(', ');
+}
+
+export default {
+  BURN_MODES,
+  BURN_TX_TYPES,
+  GAS_BURNER_ABI,
+  parseBurnModes,
+  encodeBurn,
+  deployGasBurner,
+  calibrateGasBurner,
+  describeBurnPlan,
+};
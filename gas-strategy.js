@@ -0,0 +1,193 @@
+import { ethers } from 'ethers';
+
+/**
+ * Gas Pricing Strategies
+ *
+ * The load transactions and the senders' funding and approvals take their fees
+ * from one strategy (--gasStrategy); contract setup uses the node's suggestion:
+ * - multiplier:   the node's suggested max fee, read once, times --gasMultiplier
+ * - fixed:        --maxFee and --priorityFee (gwei), never changed
+ * - refresh:      like multiplier, but re-read from the latest block every
+ *                 --gasRefresh, so transactions built later in a run follow the base fee
+ *                 (pre-signed runs take the fees of the moment per signing batch)
+ * - priority-bid: like multiplier, plus a tip cycling through --priorityFees
+ *                 (gwei) per transaction, to see whether the node orders by tip
+ *
+ * After the run, summarizeGasCost() compares the max fee signed with the
+ * effective gas price actually paid.
+ */
+
+export const GAS_STRATEGIES = ['multiplier', 'fixed', 'refresh', 'priority-bid'];
+
+// Funding headroom for 'refresh': the base fee may rise before transactions are built or signed
+const REFRESH_FUNDING_HEADROOM = 2n;
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+const formatGwei = (wei) => `${Number(ethers.formatUnits(wei, 'gwei')).toFixed(3)} gwei`;
+
+// =============================================================================
+// Strategy
+// =============================================================================
+
+/**
+ * Create the gas strategy for a run
+ * @param {Object} config - { gasStrategy, gasMultiplier, maxFeeGwei, priorityFeeGwei, gasRefreshMs, priorityFees }
+ * @param {Object} provider - For fee data
+ * @returns {Promise<Object>} - { name, current(), feesFor(index), fundingFeePerGas(), describe(), stop() }
+ */
+export async function createGasStrategy(config, provider) {
+  const name = config.gasStrategy || 'multiplier';
+  if (!GAS_STRATEGIES.includes(name)) {
+    throw new Error(`Unknown gas strategy "${name}" (expected ${GAS_STRATEGIES.join(', ')})`);
+  }
+
+  const multiplier = BigInt(Math.floor((config.gasMultiplier || 2) * 100));
+  let fees;
+  const refreshes = { count: 0, minMaxFee: null, maxMaxFee: null };
+
+  // The node's suggestion times the multiplier; the tip can never exceed the max fee
+  const readFees = async () => {
+    const feeData = await provider.getFeeData();
+    const maxFeePerGas = (feeData.maxFeePerGas || feeData.gasPrice) * multiplier / 100n;
+    const tip = feeData.maxPriorityFeePerGas || 0n;
+    return { maxFeePerGas, maxPriorityFeePerGas: tip < maxFeePerGas ? tip : maxFeePerGas };
+  };
+
+  const record = ({ maxFeePerGas }) => {
+    if (refreshes.minMaxFee === null || maxFeePerGas < refreshes.minMaxFee) refreshes.minMaxFee = maxFeePerGas;
+    if (refreshes.maxMaxFee === null || maxFeePerGas > refreshes.maxMaxFee) refreshes.maxMaxFee = maxFeePerGas;
+  };
+
+  if (name === 'fixed') {
+    if (config.maxFeeGwei == null) throw new Error('--gasStrategy=fixed needs --maxFee (gwei)');
+    fees = { maxFeePerGas: gwei(config.maxFeeGwei), maxPriorityFeePerGas: gwei(config.priorityFeeGwei ?? 0) };
+    if (fees.maxPriorityFeePerGas > fees.maxFeePerGas) throw new Error('--priorityFee cannot be higher than --maxFee');
+  } else {
+    fees = await readFees();
+  }
+  record(fees);
+
+  const tips = name === 'priority-bid' ? config.priorityFees.map(gwei) : [];
+  if (name === 'priority-bid' && tips.length === 0) throw new Error('--gasStrategy=priority-bid needs --priorityFees');
+  const maxTip = tips.reduce((max, tip) => (tip > max ? tip : max), 0n);
+
+  // Refresh in the background; a failed read keeps the previous fees
+  let timer = null;
+  if (name === 'refresh') {
+    timer = setInterval(async () => {
+      try {
+        fees = await readFees();
+        refreshes.count++;
+        record(fees);
+      } catch {
+        // Keep the previous fees
+      }
+    }, config.gasRefreshMs);
+    timer.unref();
+  }
+
+  return {
+    name,
+
+    /** Fees without a bid, e.g. for funding and setup transactions */
+    current() {
+      return { ...fees };
+    },
+
+    /** Fees for the transaction at a position in the run */
+    feesFor(index) {
+      if (tips.length === 0) return { ...fees };
+      const tip = tips[index % tips.length];
+      return { maxFeePerGas: fees.maxFeePerGas + tip, maxPriorityFeePerGas: tip };
+    },
+
+    /** The highest max fee per gas a sender should be funded for */
+    fundingFeePerGas() {
+      const maxFee = fees.maxFeePerGas + maxTip;
+      return name === 'refresh' ? maxFee * REFRESH_FUNDING_HEADROOM : maxFee;
+    },
+
+    /** One line for logs and the report */
+    describe() {
+      const current = `max fee ${formatGwei(fees.maxFeePerGas)}, tip ${formatGwei(fees.maxPriorityFeePerGas)}`;
+      if (name === 'fixed') return `fixed (${current})`;
+      if (name === 'priority-bid') return `priority-bid (${config.gasMultiplier}x, tips ${config.priorityFees.join('/')} gwei)`;
+      if (name === 'refresh') {
+        const range = refreshes.minMaxFee === refreshes.maxMaxFee
+          ? formatGwei(refreshes.minMaxFee)
+          : `${formatGwei(refreshes.minMaxFee)} – ${formatGwei(refreshes.maxMaxFee)}`;
+        return `refresh every ${config.gasRefreshMs / 1000}s (${config.gasMultiplier}x, ${refreshes.count} updates, max fee ${range})`;
+      }
+      return `multiplier ${config.gasMultiplier}x (${current})`;
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+    },
+  };
+}
+
+// =============================================================================
+// Effective Cost
+// =============================================================================
+
+const average = (values) => (values.length === 0 ? 0n : values.reduce((sum, v) => sum + v, 0n) / BigInt(values.length));
+
+/**
+ * Compare what was signed with what was paid
+ * @param {Array<Object>} txHashes - Broadcast entries ({ hash, maxFee, tip })
+ * @param {Map<string, Object>} receiptsByHash - Lowercase hash -> receipt
+ * @param {Map<number, Object>} blocks - Block number -> { baseFeePerGas, txCount }
+ * @returns {Object|null} - { count, avgMaxFee, avgEffective, minEffective, maxEffective, avgBaseFee, totalFees, byTip }
+ *   byTip (priority-bid only): [{ tip, count, avgEffective, avgPosition }], avgPosition 0 = first in block, 1 = last
+ */
+export function summarizeGasCost(txHashes, receiptsByHash, blocks) {
+  const maxFees = [];
+  const effective = [];
+  const baseFees = [];
+  const tips = new Map();
+  let totalFees = 0n;
+
+  for (const t of txHashes) {
+    const receipt = receiptsByHash.get(t.hash.toLowerCase());
+    if (!receipt || receipt.gasPrice == null) continue;
+
+    maxFees.push(t.maxFee);
+    effective.push(receipt.gasPrice);
+    totalFees += receipt.gasPrice * receipt.gasUsed;
+
+    const block = blocks.get(receipt.blockNumber);
+    if (block?.baseFeePerGas != null) baseFees.push(block.baseFeePerGas);
+
+    const { tip } = t;
+    if (!tips.has(tip)) tips.set(tip, { effective: [], positions: [] });
+    tips.get(tip).effective.push(receipt.gasPrice);
+    if (block) tips.get(tip).positions.push(receipt.index / Math.max(1, block.txCount - 1));
+  }
+
+  if (effective.length === 0) return null;
+
+  return {
+    count: effective.length,
+    avgMaxFee: average(maxFees),
+    avgEffective: average(effective),
+    minEffective: effective.reduce((min, v) => (v < min ? v : min)),
+    maxEffective: effective.reduce((max, v) => (v > max ? v : max)),
+    avgBaseFee: baseFees.length > 0 ? average(baseFees) : null,
+    totalFees,
+    byTip: tips.size > 1
+      ? [...tips].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)).map(([tip, s]) => ({
+        tip,
+        count: s.effective.length,
+        avgEffective: average(s.effective),
+        avgPosition: s.positions.length > 0 ? s.positions.reduce((sum, p) => sum + p, 0) / s.positions.length : null,
+      }))
+      : null,
+  };
+}
+
+export default {
+  GAS_STRATEGIES,
+  createGasStrategy,
+  summarizeGasCost,
+};
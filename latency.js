@@ -0,0 +1,106 @@
+/**
+ * Per-Transaction Latency
+ *
+ * Every broadcast entry carries wall-clock timestamps (ms):
+ * - sentAt:        the first send attempt started
+ * - acceptedAt:    the RPC returned the transaction hash
+ * - receiptSeenAt: confirmation first saw the receipt
+ * and the chain adds the timestamp of the block that included it (seconds).
+ *
+ * Latencies, all measured from sentAt:
+ * - submit:    until the RPC accepted the transaction (including retries)
+ * - inclusion: until the including block was produced (1s block timestamp resolution)
+ * - receipt:   until we saw the receipt (bounded by how often confirmation polls)
+ */
+
+export const LATENCY_METRICS = ['submit', 'inclusion', 'receipt'];
+
+// =============================================================================
+// Percentiles
+// =============================================================================
+
+/**
+ * Nearest-rank percentile of an ascending array
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+}
+
+/**
+ * @param {Array<number>} values - Latencies in ms
+ * @returns {Object|null} - { count, p50, p90, p99, max }, null if there are no values
+ */
+export function summarizeLatency(values) {
+  if (values.length === 0) return null;
+  const sorted = Float64Array.from(values).sort();
+  return {
+    count: sorted.length,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+// =============================================================================
+// Collection
+// =============================================================================
+
+/**
+ * Collect latency percentiles over all confirmed transactions and per txType
+ * @param {Array<Object>} txHashes - Broadcast entries ({ hash, txType, sentAt, acceptedAt, receiptSeenAt })
+ * @param {Map<string, Object>} receiptsByHash - Lowercase hash -> receipt
+ * @param {Map<number, number>} blockTimestamps - Block number -> timestamp (seconds)
+ * @param {Function} [groupOf] - Entry -> group key (default: its txType)
+ * @returns {Object} - { all, byType: { [group]: ... } }, each { submit, inclusion, receipt }
+ */
+export function collectLatency(txHashes, receiptsByHash, blockTimestamps, groupOf = (t) => t.txType || 'unknown') {
+  const groups = new Map();
+  const samplesFor = (key) => {
+    if (!groups.has(key)) groups.set(key, { submit: [], inclusion: [], receipt: [] });
+    return groups.get(key);
+  };
+
+  for (const t of txHashes) {
+    if (t.sentAt == null) continue;
+    const targets = [samplesFor('all'), samplesFor(groupOf(t))];
+
+    const submit = t.acceptedAt - t.sentAt;
+    for (const s of targets) s.submit.push(submit);
+
+    const receipt = receiptsByHash.get(t.hash.toLowerCase());
+    if (!receipt) continue;
+
+    const blockTimestamp = blockTimestamps.get(receipt.blockNumber);
+    if (blockTimestamp != null) {
+      // A block stamped in the same second as the send can look earlier than it
+      const inclusion = Math.max(0, blockTimestamp * 1000 - t.sentAt);
+      for (const s of targets) s.inclusion.push(inclusion);
+    }
+    if (t.receiptSeenAt != null) {
+      for (const s of targets) s.receipt.push(t.receiptSeenAt - t.sentAt);
+    }
+  }
+
+  const summarizeGroup = (samples) => Object.fromEntries(
+    LATENCY_METRICS.map(metric => [metric, summarizeLatency(samples[metric])])
+  );
+
+  const byType = {};
+  for (const [key, samples] of groups) {
+    if (key !== 'all') byType[key] = summarizeGroup(samples);
+  }
+
+  return {
+    all: summarizeGroup(groups.get('all') || { submit: [], inclusion: [], receipt: [] }),
+    byType,
+  };
+}
+
+export default {
+  LATENCY_METRICS,
+  percentile,
+  summarizeLatency,
+  collectLatency,
+};
@@ -0,0 +1,178 @@
+import { ethers } from 'ethers';
+
+/**
+ * Liquidity Provision Workload
+ *
+ * LP changes on the Uniswap V2 pools the tool sets up, as measured transactions
+ * (--lpMode, cycled per LP change like --swapMode):
+ * - add-eth:    addLiquidityETH on the Token/WETH pair
+ * - remove-eth: removeLiquidityETH on the Token/WETH pair
+ * - add-tokens: addLiquidity on a Token/Token2 pair
+ *
+ * add-eth and remove-eth hit the same pair as buy and sell swaps, so a mix of
+ * swaps and LP changes is the worst contention case for a V2 pair: every one
+ * of them rewrites its reserves.
+ *
+ * Amounts follow --lpValue (ETH per change): adds bring that much ETH and the
+ * matching tokens at the pool price at setup, removes burn the LP tokens worth it.
+ */
+
+export const LP_MODES = ['add-eth', 'remove-eth', 'add-tokens'];
+
+// Each mode is its own txType, so results are counted per mode
+export const LP_TX_TYPES = {
+  'add-eth': 'lp_add_eth',
+  'remove-eth': 'lp_remove_eth',
+  'add-tokens': 'lp_add_tokens',
+};
+
+// Per LP change: reserves, balances and LP supply of one pair, plus WETH for the ETH modes.
+// A remove needs about 256k before its refunds (the router passes both assets through)
+export const LP_GAS_LIMIT = 350000n;
+
+const LP_ROUTER_ABI = [
+  'function factory() view returns (address)',
+  'function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline) payable returns (uint amountToken, uint amountETH, uint liquidity)',
+  'function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline) returns (uint amountA, uint amountB, uint liquidity)',
+  'function removeLiquidityETH(address token, uint liquidity, uint amountTokenMin, uint amountETHMin, address to, uint deadline) returns (uint amountToken, uint amountETH)',
+];
+
+const PAIR_ABI = [
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() view returns (address)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+];
+
+const routerIface = new ethers.Interface(LP_ROUTER_ABI);
+
+// Extra tokens offered per add, so price moves during the run don't leave ETH unused
+const TOKEN_HEADROOM_PERCENT = 50n;
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse --lpMode: one mode, a comma-separated cycle or "mix" (all three)
+ * @returns {Array<string>} - LP modes in cycle order
+ */
+export function parseLpModes(spec) {
+  if (spec === 'mix') return [...LP_MODES];
+
+  const modes = String(spec || 'add-eth').split(',').map(m => m.trim());
+  const invalid = modes.find(mode => !LP_MODES.includes(mode));
+  if (invalid !== undefined) {
+    throw new Error(`Unknown LP mode "${invalid}" (expected ${LP_MODES.join(', ')}, a comma-separated list or mix)`);
+  }
+  return modes;
+}
+
+// =============================================================================
+// Payload
+// =============================================================================
+
+const deadline = () => Math.floor(Date.now() / 1000) + 3600; // 1 hour
+
+/**
+ * Calldata for one LP change (minimum amounts are 0, as for swaps)
+ * @param {string} mode - From parseLpModes()
+ * @param {Object} options
+ * @param {string} options.to - LP tokens (adds) or the withdrawn assets (removes) go here
+ * @param {Object} options.contracts - { token, token2 }
+ * @param {Object} options.plan - From planLiquidity()
+ * @returns {string}
+ */
+export function encodeLiquidity(mode, { to, contracts, plan }) {
+  if (mode === 'add-eth') {
+    return routerIface.encodeFunctionData('addLiquidityETH', [contracts.token, plan.tokensPerAdd, 0n, 0n, to, deadline()]);
+  }
+  if (mode === 'remove-eth') {
+    return routerIface.encodeFunctionData('removeLiquidityETH', [contracts.token, plan.liquidityPerRemove, 0n, 0n, to, deadline()]);
+  }
+  return routerIface.encodeFunctionData('addLiquidity', [
+    contracts.token, contracts.token2, plan.tokensPerAdd, plan.tokensPerAdd, 0n, 0n, to, deadline(),
+  ]);
+}
+
+// =============================================================================
+// Setup
+// =============================================================================
+
+/**
+ * Pairs and per-change amounts for the run, from the Token/WETH pool's reserves
+ * @param {Object} options
+ * @param {Object} options.provider
+ * @param {Object} options.contracts - { router, weth, token, token2 }
+ * @param {Array<string>} options.modes - From parseLpModes()
+ * @param {string} options.ethValue - ETH per LP change (--lpValue)
+ * @returns {Promise<Object>} - { pair, tokenPair, ethPerAdd, tokensPerAdd, liquidityPerRemove }
+ */
+export async function planLiquidity({ provider, contracts, modes, ethValue }) {
+  const router = new ethers.Contract(contracts.router, LP_ROUTER_ABI, provider);
+  const factory = new ethers.Contract(
+    await router.factory(),
+    ['function getPair(address, address) view returns (address)'],
+    provider
+  );
+
+  const pairAddress = await factory.getPair(contracts.token, contracts.weth);
+  if (pairAddress === ethers.ZeroAddress) throw new Error('No Token/WETH pool on the router');
+  const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+  const [[reserve0, reserve1], token0, totalSupply] = await Promise.all([pair.getReserves(), pair.token0(), pair.totalSupply()]);
+  const [tokenReserve, wethReserve] = token0.toLowerCase() === contracts.token.toLowerCase()
+    ? [reserve0, reserve1]
+    : [reserve1, reserve0];
+
+  let tokenPair = null;
+  if (modes.includes('add-tokens')) {
+    tokenPair = await factory.getPair(contracts.token, contracts.token2);
+    if (tokenPair === ethers.ZeroAddress) throw new Error('No Token/Token2 pool on the router');
+  }
+
+  const ethPerAdd = ethers.parseEther(String(ethValue));
+  return {
+    pair: pairAddress,
+    tokenPair,
+    ethPerAdd,
+    tokensPerAdd: ethPerAdd * tokenReserve / wethReserve * (100n + TOKEN_HEADROOM_PERCENT) / 100n,
+    liquidityPerRemove: ethPerAdd * totalSupply / wethReserve,
+  };
+}
+
+/**
+ * Make sure the funder holds LP tokens to hand out for removes, adding
+ * Token/WETH liquidity for the shortfall (pools created during setup already
+ * gave it plenty)
+ * @param {Object} options
+ * @param {Object} options.funderWallet
+ * @param {Object} options.contracts - { router, token }
+ * @param {Object} options.plan - From planLiquidity()
+ * @param {bigint} options.needed - LP tokens to hand out
+ */
+export async function ensureFunderLiquidity({ funderWallet, contracts, plan, needed }) {
+  const pair = new ethers.Contract(plan.pair, PAIR_ABI, funderWallet);
+  const balance = await pair.balanceOf(funderWallet.address);
+  if (balance >= needed) return;
+
+  // Slightly more ETH than the shortfall is worth, with tokens to match
+  const changes = (needed - balance) / plan.liquidityPerRemove + 1n;
+  const value = plan.ethPerAdd * changes * 11n / 10n;
+  const tokens = plan.tokensPerAdd * changes * 11n / 10n;
+
+  const token = new ethers.Contract(contracts.token, ['function approve(address spender, uint256 amount) returns (bool)'], funderWallet);
+  await (await token.approve(contracts.router, tokens)).wait();
+
+  const router = new ethers.Contract(contracts.router, LP_ROUTER_ABI, funderWallet);
+  await (await router.addLiquidityETH(contracts.token, tokens, 0n, 0n, funderWallet.address, deadline(), { value })).wait();
+}
+
+export default {
+  LP_MODES,
+  LP_TX_TYPES,
+  LP_GAS_LIMIT,
+  parseLpModes,
+  encodeLiquidity,
+  planLiquidity,
+  ensureFunderLiquidity,
+};
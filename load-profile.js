@@ -0,0 +1,278 @@
+/**
+ * Load Profiles for Open-Loop Testing
+ *
+ * Describes the offered load (target tx/s) as a function of time.
+ * A profile is a list of segments, each ramping linearly from one rate
+ * to another over a fixed duration:
+ * - constant: 300 tx/s for the whole run
+ * - ramp:     100 -> 900 tx/s over 60s
+ * - step:     300, 600, 900 tx/s, each held for 20s
+ * - spike:    300 tx/s base with short bursts at 1500 tx/s
+ */
+
+// =============================================================================
+// Duration Parsing
+// =============================================================================
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration string into milliseconds
+ * @param {string|number} value - e.g., "500ms", "30s", "5m", "1h" or plain seconds
+ * @returns {number} - Duration in ms
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value * 1000;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration: "${value}" (use e.g. 500ms, 30s, 5m, 1h)`);
+  }
+
+  const [, amount, unit = 's'] = match;
+  return parseFloat(amount) * DURATION_UNITS[unit];
+}
+
+function parseRate(value) {
+  const rate = parseFloat(value);
+  if (!Number.isFinite(rate) || rate < 0) {
+    throw new Error(`Invalid rate: "${value}"`);
+  }
+  return rate;
+}
+
+// =============================================================================
+// Profile Parsing
+// =============================================================================
+
+/**
+ * Parse raw schedule segments: "300@10s,100-900@30s,1500@2s"
+ * "R@D" holds R tx/s for D, "A-B@D" ramps linearly from A to B over D.
+ */
+function parseSegments(spec) {
+  return spec.split(',').map(part => {
+    const [rates, duration] = part.trim().split('@');
+    if (!rates || !duration) {
+      throw new Error(`Invalid schedule segment: "${part}" (expected RATE@DURATION or FROM-TO@DURATION)`);
+    }
+    const [from, to = from] = rates.split('-');
+    return {
+      fromRate: parseRate(from),
+      toRate: parseRate(to),
+      durationMs: parseDuration(duration),
+    };
+  });
+}
+
+/**
+ * Expand a named profile shape into segments
+ */
+function parseShape(shape, args) {
+  switch (shape) {
+    case 'constant': {
+      // constant:RATE:DURATION
+      const [rate, duration] = args;
+      return [{ fromRate: parseRate(rate), toRate: parseRate(rate), durationMs: parseDuration(duration) }];
+    }
+
+    case 'ramp': {
+      // ramp:FROM:TO:DURATION
+      const [from, to, duration] = args;
+      return [{ fromRate: parseRate(from), toRate: parseRate(to), durationMs: parseDuration(duration) }];
+    }
+
+    case 'step': {
+      // step:R1,R2,R3:HOLD
+      const [rates, hold] = args;
+      const holdMs = parseDuration(hold);
+      return rates.split(',').map(r => ({ fromRate: parseRate(r), toRate: parseRate(r), durationMs: holdMs }));
+    }
+
+    case 'spike': {
+      // spike:BASE:PEAK:EVERY:LENGTH:TOTAL
+      const [base, peak, every, length, total] = args;
+      const baseRate = parseRate(base);
+      const peakRate = parseRate(peak);
+      const everyMs = parseDuration(every);
+      const lengthMs = parseDuration(length);
+      const totalMs = parseDuration(total);
+
+      if (lengthMs >= everyMs) {
+        throw new Error('Spike length must be shorter than the spike period');
+      }
+
+      const segments = [];
+      let elapsed = 0;
+      while (elapsed < totalMs) {
+        const baseMs = Math.min(everyMs - lengthMs, totalMs - elapsed);
+        segments.push({ fromRate: baseRate, toRate: baseRate, durationMs: baseMs });
+        elapsed += baseMs;
+        if (elapsed >= totalMs) break;
+
+        const spikeMs = Math.min(lengthMs, totalMs - elapsed);
+        segments.push({ fromRate: peakRate, toRate: peakRate, durationMs: spikeMs });
+        elapsed += spikeMs;
+      }
+      return segments;
+    }
+
+    default:
+      throw new Error(`Unknown load profile "${shape}" (use constant, ramp, step, spike or a RATE@DURATION schedule)`);
+  }
+}
+
+/**
+ * Build a load profile from CLI options
+ * @param {Object} options
+ * @param {number} [options.rate] - Constant target rate (tx/s), runs until all txs are sent
+ * @param {string} [options.profile] - Profile spec, e.g. "ramp:100:900:60s" or "300@10s,900@5s"
+ * @returns {Object|null} - Profile, or null for closed-loop mode
+ */
+export function createLoadProfile({ rate, profile }) {
+  if (!profile && !rate) return null;
+
+  let segments;
+  let description;
+
+  if (profile) {
+    const [shape, ...args] = profile.split(':');
+    segments = profile.includes('@') ? parseSegments(profile) : parseShape(shape, args);
+    description = profile;
+  } else {
+    segments = [{ fromRate: parseRate(rate), toRate: parseRate(rate), durationMs: Infinity }];
+    description = `constant ${rate} tx/s`;
+  }
+
+  if (segments.length === 0 || segments.some(s => s.durationMs <= 0)) {
+    throw new Error(`Load profile "${description}" has no usable segments`);
+  }
+
+  // Precompute segment start times and cumulative tx counts
+  let startMs = 0;
+  let startCount = 0;
+  for (const segment of segments) {
+    segment.startMs = startMs;
+    segment.startCount = startCount;
+    startMs += segment.durationMs;
+    startCount += (segment.fromRate + segment.toRate) / 2 * segment.durationMs / 1000;
+  }
+
+  const durationMs = startMs;
+
+  const findSegment = (elapsedMs) => {
+    for (let i = segments.length - 1; i >= 0; i--) {
+      if (elapsedMs >= segments[i].startMs) return segments[i];
+    }
+    return segments[0];
+  };
+
+  return {
+    description,
+    segments,
+    durationMs,
+    isBounded: Number.isFinite(durationMs),
+
+    /** Target rate (tx/s) at a point in time */
+    rateAt(elapsedMs) {
+      if (elapsedMs >= durationMs) return 0;
+      const s = findSegment(elapsedMs);
+      if (!Number.isFinite(s.durationMs)) return s.fromRate;
+      const progress = (elapsedMs - s.startMs) / s.durationMs;
+      return s.fromRate + (s.toRate - s.fromRate) * progress;
+    },
+
+    /** Number of transactions that should have been sent by a point in time */
+    expectedCount(elapsedMs) {
+      const t = Math.min(elapsedMs, durationMs);
+      const s = findSegment(t);
+      const tau = (t - s.startMs) / 1000;
+      if (!Number.isFinite(s.durationMs)) return s.startCount + s.fromRate * tau;
+      const slope = (s.toRate - s.fromRate) / (s.durationMs / 1000);
+      return s.startCount + s.fromRate * tau + slope * tau * tau / 2;
+    },
+
+    /** Total transactions in the whole profile (Infinity for open-ended rates), rounded down like the schedule */
+    get totalCount() {
+      return Number.isFinite(durationMs) ? Math.floor(startCount) : Infinity;
+    },
+  };
+}
+
+// =============================================================================
+// Interval Tracking
+// =============================================================================
+
+/**
+ * Create per-interval counters for achieved-vs-target reporting
+ * @param {Object} profile - Load profile from createLoadProfile
+ * @param {number} intervalMs - Bucket width
+ */
+export function createIntervalTracker(profile, intervalMs) {
+  const buckets = [];
+
+  const bucketAt = (elapsedMs) => {
+    const idx = Math.floor(elapsedMs / intervalMs);
+    while (buckets.length <= idx) {
+      buckets.push({ sent: 0, accepted: 0, failed: 0 });
+    }
+    return buckets[idx];
+  };
+
+  return {
+    recordSent(elapsedMs) {
+      bucketAt(elapsedMs).sent++;
+    },
+    recordResult(sentAtMs, ok) {
+      const bucket = bucketAt(sentAtMs);
+      if (ok) bucket.accepted++;
+      else bucket.failed++;
+    },
+
+    /**
+     * Summarize buckets as { startSec, targetTps, sentTps, achievedTps, ... }
+     * @param {number} totalElapsedMs - Wall time of the dispatch loop
+     */
+    summarize(totalElapsedMs) {
+      const intervalSec = intervalMs / 1000;
+      const rows = buckets.map(b => ({ ...b }));
+
+      // Fold a sliver of a trailing interval into the previous one
+      const tailMs = totalElapsedMs - (rows.length - 1) * intervalMs;
+      if (rows.length > 1 && tailMs < intervalMs * 0.1) {
+        const tail = rows.pop();
+        const last = rows[rows.length - 1];
+        last.sent += tail.sent;
+        last.accepted += tail.accepted;
+        last.failed += tail.failed;
+      }
+
+      return rows.map((bucket, i) => {
+        const startMs = i * intervalMs;
+        const endMs = i === rows.length - 1 ? totalElapsedMs : startMs + intervalMs;
+        const widthSec = Math.max(0.001, (endMs - startMs) / 1000);
+        const target = (profile.expectedCount(endMs) - profile.expectedCount(startMs)) / widthSec;
+        return {
+          startSec: i * intervalSec,
+          widthSec,
+          targetTps: target,
+          sentTps: bucket.sent / widthSec,
+          achievedTps: bucket.accepted / widthSec,
+          sent: bucket.sent,
+          accepted: bucket.accepted,
+          failed: bucket.failed,
+        };
+      });
+    },
+  };
+}
+
+export default {
+  parseDuration,
+  createLoadProfile,
+  createIntervalTracker,
+};
@@ -0,0 +1,148 @@
+/**
+ * Maximum Sustainable TPS Search
+ *
+ * Raises the offered load (open-loop target rate) step by step, or bisects
+ * it, until one of the configured limits is crossed:
+ * - inclusion lag: the node is not including transactions as fast as they arrive
+ * - error rate:    too many broadcast errors
+ * - TPS plateau:   more offered load no longer yields more confirmed TPS
+ *
+ * The search itself is independent of how a step is executed: the caller
+ * provides runStep(rate), which returns the measured metrics for that rate.
+ */
+
+export const SEARCH_STRATEGIES = ['step', 'bisect'];
+
+// A step is in the linear region while it confirms at least this share of the offered load
+const KNEE_EFFICIENCY = 0.9;
+
+export const LIMIT_LABELS = {
+  inclusion_lag: 'Inclusion lag',
+  error_rate: 'Error rate',
+  tps_plateau: 'TPS plateau',
+};
+
+// =============================================================================
+// Limit Evaluation
+// =============================================================================
+
+/**
+ * Check a measured step against the limits
+ * @param {Object} step - { rate, confirmedTps, errorRate, lagMs, unconfirmed }
+ * @param {Object|null} best - Best sustainable step so far
+ * @param {Object} limits - { maxLagMs, maxErrorRate, minGain }
+ * @returns {Array<string>} - Breached limits (empty = sustainable)
+ */
+export function evaluateStep(step, best, limits) {
+  const breaches = [];
+
+  if (step.lagMs > limits.maxLagMs || step.unconfirmed > 0) {
+    breaches.push('inclusion_lag');
+  }
+
+  if (step.errorRate * 100 > limits.maxErrorRate) {
+    breaches.push('error_rate');
+  }
+
+  // Part of the extra offered load must show up as extra confirmed TPS
+  if (best && step.rate > best.rate) {
+    const requiredGain = (step.rate - best.rate) * limits.minGain / 100;
+    if (step.confirmedTps - best.confirmedTps < requiredGain) {
+      breaches.push('tps_plateau');
+    }
+  }
+
+  return breaches;
+}
+
+// =============================================================================
+// Search
+// =============================================================================
+
+/**
+ * Search for the highest sustainable offered rate
+ * @param {Object} options
+ * @param {Function} options.runStep - async (rate, stepNumber) => step metrics
+ * @param {string} options.strategy - 'step' or 'bisect'
+ * @param {number} options.startRate - First offered rate (tx/s)
+ * @param {number} options.rateStep - Increment for the 'step' strategy
+ * @param {number} options.maxRate - Never offer more than this
+ * @param {number} options.precision - Stop bisecting once the bracket is this narrow (tx/s)
+ * @param {Object} options.limits - See evaluateStep
+ * @returns {Promise<Object>} - { steps, best, knee, stopReason }
+ */
+export async function findMaxSustainable(options) {
+  const { runStep, strategy, startRate, rateStep, maxRate, precision, limits } = options;
+
+  if (!SEARCH_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown search strategy "${strategy}" (use ${SEARCH_STRATEGIES.join(' or ')})`);
+  }
+
+  const steps = [];
+  let best = null;
+  let stopReason = null;
+
+  const measure = async (rate) => {
+    const step = await runStep(rate, steps.length + 1);
+    step.rate = rate;
+    step.breaches = evaluateStep(step, best, limits);
+    step.sustainable = step.breaches.length === 0;
+    steps.push(step);
+
+    if (step.sustainable && (!best || step.confirmedTps > best.confirmedTps)) {
+      best = step;
+    }
+    return step;
+  };
+
+  // Phase 1: climb until a limit is crossed (step: +rateStep, bisect: x2)
+  let rate = startRate;
+  let failed = null;
+
+  for (;;) {
+    const step = await measure(rate);
+    if (!step.sustainable) {
+      failed = step;
+      break;
+    }
+    if (rate >= maxRate) {
+      stopReason = `reached --maxRate (${maxRate} tx/s)`;
+      break;
+    }
+    rate = Math.min(maxRate, strategy === 'bisect' ? rate * 2 : rate + rateStep);
+  }
+
+  // Phase 2 (bisect): narrow down between the last good and first bad rate
+  if (failed && strategy === 'bisect') {
+    let lo = best ? best.rate : 0;
+    let hi = failed.rate;
+
+    while (hi - lo > precision) {
+      const mid = Math.round((lo + hi) / 2);
+      // Rates are whole tx/s, a bracket of 1 can't be split further
+      if (mid === lo || mid === hi) break;
+      const step = await measure(mid);
+      if (step.sustainable) lo = mid;
+      else hi = mid;
+    }
+  }
+
+  if (failed && !stopReason) {
+    stopReason = failed.breaches.map(b => LIMIT_LABELS[b] || b).join(', ') + ` at ${failed.rate} tx/s`;
+  }
+
+  // Knee: highest offered rate that was still confirmed almost one-for-one
+  const linear = steps
+    .filter(s => s.sustainable && s.confirmedTps >= s.rate * KNEE_EFFICIENCY)
+    .sort((a, b) => b.rate - a.rate);
+  const knee = linear[0] || null;
+
+  return { steps, best, knee, stopReason };
+}
+
+export default {
+  SEARCH_STRATEGIES,
+  LIMIT_LABELS,
+  evaluateStep,
+  findMaxSustainable,
+};
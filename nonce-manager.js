@@ -0,0 +1,208 @@
+import { bumpFees, resignWithBump } from './resubmit.js';
+import { unsignedTx } from './payload-generator.js';
+
+/**
+ * Nonce Gap Detection and Repair
+ *
+ * Nonces are pre-assigned, so one transaction that never reaches the pool
+ * (failed broadcast, dropped by the node, or never signed) leaves every later
+ * transaction of its sender queued forever. The manager knows each sender's
+ * expected next nonce from the broadcast, and asks the node for two counts:
+ * - latest:  transactions mined (the confirmed nonce)
+ * - pending: latest plus the transactions the pool can execute next
+ * When both are equal but below the expected nonce, nothing the sender still
+ * has in the pool can run: the nonce at `latest` is a gap. It is filled with
+ * - resent:      the transaction whose broadcast failed, re-signed with higher fees
+ * - rebroadcast: an accepted transaction the node no longer has, re-signed
+ * - filler:      a zero-value self-transfer, when no transaction exists for the nonce
+ */
+
+// Senders whose counts are fetched at once
+const SCAN_CHUNK_SIZE = 100;
+
+// Sends per missing nonce before it is given up on
+const MAX_REPAIR_ATTEMPTS = 3;
+
+// Senders whose gaps are repaired at once
+const REPAIR_CONCURRENCY = 20;
+
+// =============================================================================
+// Nonce Manager
+// =============================================================================
+
+/**
+ * @param {Object} options
+ * @param {Object} options.provider - For nonce counts and the current fee
+ * @param {Object} options.transport - Broadcast transport for the repairs
+ * @param {number} options.feeBumpPercent - Fee increase for re-signed transactions
+ * @returns {Object} - { track(sendResult), scan(pendingTxs), repair(gaps), resent, summary() }
+ */
+export function createNonceManager({ provider, transport, feeBumpPercent }) {
+  const senders = new Map();
+  const repairs = new Map();  // "address:nonce" -> record
+  const resent = [];
+
+  // A repair can be lost like the original; a nonce still missing at the next check is retried
+  const isSettled = (key) => repairs.get(key)?.attempts >= MAX_REPAIR_ATTEMPTS;
+
+  const senderFor = (address, wallet) => {
+    if (!senders.has(address)) {
+      senders.set(address, { wallet, accepted: new Map(), failed: new Map(), expectedNext: 0, confirmed: null, template: null });
+    }
+    return senders.get(address);
+  };
+
+  const remember = (s, entry) => {
+    s.expectedNext = Math.max(s.expectedNext, entry.nonce + 1);
+    s.template ??= entry;
+  };
+
+  const send = async (signedTx, address) => {
+    const response = await transport.send('eth_sendRawTransaction', [signedTx], address);
+    if (!response.result) throw new Error(response.error?.message || 'Unknown error');
+    return response.result;
+  };
+
+  // Zero-value self-transfer for a nonce nothing was signed for
+  const signFiller = async (s, address, nonce, floor) => {
+    const { chainId, maxFeePerGas, maxPriorityFeePerGas, gasPrice } = unsignedTx(s.template.signedTx);
+    // Same pricing as the template, but never its access list or authorizations
+    const tx = bumpFees({
+      type: gasPrice != null ? 0 : 2, chainId, maxFeePerGas, maxPriorityFeePerGas, gasPrice,
+      to: address, value: 0n, nonce, gasLimit: 21000n,
+    }, feeBumpPercent, floor);
+    return s.wallet.signTransaction(tx);
+  };
+
+  return {
+    /** Transactions that were sent again after a failed broadcast (add them to the run's txHashes) */
+    resent,
+
+    /**
+     * Record a broadcast result: accepted entries (txHashes) and final failures (failedTxs)
+     */
+    track({ txHashes, failedTxs = [] }) {
+      for (const t of txHashes) {
+        const s = senderFor(t.expectedFrom, t.sender);
+        s.accepted.set(t.nonce, t);
+        remember(s, t);
+      }
+      for (const entry of failedTxs) {
+        const s = senderFor(entry.expectedFrom, entry.sender);
+        s.failed.set(entry.nonce, entry);
+        remember(s, entry);
+      }
+    },
+
+    /**
+     * Find gaps among the senders of still-pending transactions
+     * @param {Array} pendingTxs - Unconfirmed broadcast entries
+     * @returns {Promise<Array>} - [{ address, nonce, confirmed, expected }]
+     */
+    async scan(pendingTxs) {
+      const addresses = [...new Set(pendingTxs.map(t => t.expectedFrom))].filter(a => senders.has(a));
+      const gaps = [];
+
+      for (let i = 0; i < addresses.length; i += SCAN_CHUNK_SIZE) {
+        await Promise.all(addresses.slice(i, i + SCAN_CHUNK_SIZE).map(async (address) => {
+          const s = senders.get(address);
+          try {
+            // latest first: a block mined in between then only raises pending
+            const latest = await provider.getTransactionCount(address, 'latest');
+            const pending = await provider.getTransactionCount(address, 'pending');
+            s.confirmed = latest;
+            if (pending === latest && latest < s.expectedNext && !isSettled(`${address}:${latest}`)) {
+              gaps.push({ address, nonce: latest, confirmed: latest, expected: s.expectedNext });
+            }
+          } catch {
+            // Unknown counts: check again next round
+          }
+        }));
+      }
+
+      return gaps;
+    },
+
+    /**
+     * Fill each gap (and the missing nonces right after it) and record how
+     * @param {Array} gaps - From scan()
+     * @returns {Promise<Object>} - { resent, rebroadcast, filler, failed } counts for this call
+     */
+    async repair(gaps) {
+      const counts = { resent: 0, rebroadcast: 0, filler: 0, failed: 0 };
+      const feeData = await provider.getFeeData().catch(() => null);
+      const floor = feeData?.maxFeePerGas || feeData?.gasPrice || 0n;
+
+      const repairNonce = async (address, nonce) => {
+        const s = senders.get(address);
+        const accepted = s.accepted.get(nonce);
+        const failed = s.failed.get(nonce);
+        const key = `${address}:${nonce}`;
+        if (isSettled(key)) return;
+        const record = repairs.get(key) || { address, nonce, expected: s.expectedNext, attempts: 0, cause: null, hash: null };
+        repairs.set(key, record);
+        record.confirmed = s.confirmed;
+        record.attempts++;
+
+        try {
+          if (failed) {
+            record.cause ??= failed.errorType;
+            record.resolution = 'resent';
+            const next = await resignWithBump(failed, feeBumpPercent, floor);
+            record.hash = await send(next.signedTx, address);
+            const { errorType, ...entry } = next;
+            const t = { ...entry, hash: record.hash, sentAt: Date.now(), acceptedAt: Date.now() };
+            resent.push(t);
+            s.accepted.set(nonce, t);
+            s.failed.delete(nonce);
+          } else if (accepted) {
+            record.cause ??= 'dropped by node';
+            record.resolution = 'rebroadcast';
+            const next = await resignWithBump(accepted, feeBumpPercent, floor);
+            record.hash = await send(next.signedTx, address);
+            const replacedHashes = [...(accepted.replacedHashes || []), accepted.hash];
+            Object.assign(accepted, next, { hash: record.hash, replacedHashes });
+          } else {
+            record.cause ??= 'not signed';
+            record.resolution = 'filler';
+            record.hash = await send(await signFiller(s, address, nonce, floor), address);
+          }
+          counts[record.resolution]++;
+        } catch (err) {
+          // Tried again at the next check while attempts are left
+          record.resolution = `failed: ${err.message.substring(0, 60)}`;
+          counts.failed++;
+        }
+      };
+
+      for (let i = 0; i < gaps.length; i += REPAIR_CONCURRENCY) {
+        await Promise.all(gaps.slice(i, i + REPAIR_CONCURRENCY).map(async ({ address, nonce }) => {
+          // A run of missing nonces is repaired in one go, in nonce order
+          const { expectedNext, accepted } = senders.get(address);
+          await repairNonce(address, nonce);
+          for (let n = nonce + 1; n < expectedNext && !accepted.has(n); n++) {
+            await repairNonce(address, n);
+          }
+        }));
+      }
+
+      return counts;
+    },
+
+    /**
+     * Gaps found so far and how each was resolved
+     * @returns {Object} - { senders, repairs: [{ address, nonce, cause, resolution, hash, attempts, expected, confirmed }] }
+     */
+    summary() {
+      const records = [...repairs.values()];
+      return {
+        senders: new Set(records.map(r => r.address)).size,
+        repairs: records.sort((a, b) => a.address.localeCompare(b.address) || a.nonce - b.nonce),
+      };
+    },
+  };
+}
+
+export default {
+  createNonceManager,
+};
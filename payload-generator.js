@@ -1,4 +1,12 @@
 import { ethers } from 'ethers';
+import { createGasStrategy } from './gas-strategy.js';
+import { parseTxEnvelopes, describeEnvelopes, envelopeGasOverhead, createEnvelopeWrapper } from './tx-envelope.js';
+import { BURN_TX_TYPES, parseBurnModes, encodeBurn } from './gas-burner.js';
+import { LP_TX_TYPES, LP_GAS_LIMIT, parseLpModes, encodeLiquidity } from './liquidity.js';
+import { CALLDATA_TX_TYPES, parseCalldataPatterns, createCalldataGenerator, calldataGasLimit } from './calldata-payload.js';
+import { parsePoolDistribution, createPoolPicker } from './dex-shards.js';
+import { parseRecipientModel, parseValueModel, maxValue, createRecipientPicker, createValueSampler } from './recipients.js';
+import { DEPLOY_TX_TYPES, parseDeployModes, createDeployPayload, deployGasLimit, create2Salt, encodeCreate2Deploy } from './contract-deploy.js';
 
 /**
  * Payload Generator for TPS Testing
@@ -6,7 +14,13 @@ import { ethers } from 'ethers';
  * Supports multiple transaction types:
  * - ETH transfers
  * - ERC20 token transfers
- * - Uniswap swaps (ETH <-> Token)
+ * - Uniswap swaps: ETH -> Token, Token -> ETH and Token -> Token (multi-hop)
+ * - NFTs: ERC721 mints and transfers, ERC1155 batch transfers
+ * - Contract deployments: CREATE and CREATE2 (see contract-deploy.js)
+ * - Gas burns: hashing, storage and logs at a set gas per transaction (see gas-burner.js)
+ * - Calldata-heavy transactions with tunable size and compressibility (see calldata-payload.js)
+ * - Uniswap liquidity: add and remove Token/ETH liquidity, add Token/Token2 liquidity (see liquidity.js)
+ * - Plugin types loaded with --plugin (see plugins.js and registerPlugin())
  */
 
 // =============================================================================
@@ -17,8 +31,93 @@ export const TX_TYPES = {
   ETH_TRANSFER: 'eth_transfer',
   TOKEN_TRANSFER: 'token_transfer',
   SWAP: 'swap',
+  NFT_MINT: 'nft_mint',
+  NFT_TRANSFER: 'nft_transfer',
+  NFT_BATCH_TRANSFER: 'nft_batch_transfer',
+  CONTRACT_DEPLOY: 'contract_deploy',
+  GAS_BURN: 'gas_burn',
+  CALLDATA: 'calldata',
+  LIQUIDITY: 'liquidity',
 };
 
+// Swap modes (--swapMode), cycled per swap like --txEnvelope:
+// - buy:        swapExactETHForTokens
+// - sell:       swapExactTokensForETH
+// - round-trip: each sender alternates buy and sell
+// - multi-hop:  swapExactTokensForTokens through Token -> WETH -> Token2
+// - direct:     swapExactTokensForTokens through a Token/Token2 pool
+// With several pools (--pools, see dex-shards.js) each swap picks its pool, and Token2 is the next pool's token
+export const SWAP_MODES = ['buy', 'sell', 'round-trip', 'multi-hop', 'direct'];
+
+// Each swap direction is its own txType, so results are counted per direction
+export const SWAP_TX_TYPES = {
+  buy: 'swap_eth_to_token',
+  sell: 'swap_token_to_eth',
+  'multi-hop': 'swap_token_to_token',
+  direct: 'swap_token_direct',
+};
+
+// Report names of the txTypes a share's modes produce, e.g. { deploy_create: 'Deploys CREATE' }
+const variantNames = (txTypes, name) => Object.fromEntries(Object.entries(txTypes).map(([mode, txType]) => [txType, name(mode)]));
+
+// --txMix shares: named (--txMix=eth_transfer=40,swap=60, by txType or key) or positional
+// (--txMix=eth:token:swap:nftMint:nftTransfer:nftBatch:deploy:burn:calldata:lp), then
+// registered plugins in --plugin order. Shares with modes send their variants' txTypes;
+// `modes` maps each mode of the share's `option` (--swapMode, ...) to its variant's txType.
+export const TX_MIX_SHARES = [
+  { key: 'ethTransfer', txType: TX_TYPES.ETH_TRANSFER, label: 'ETH', name: 'ETH transfers' },
+  { key: 'tokenTransfer', txType: TX_TYPES.TOKEN_TRANSFER, label: 'Token', name: 'Token transfers' },
+  {
+    key: 'swap', txType: TX_TYPES.SWAP, label: 'Swap', name: 'Swaps', option: 'swapMode', modes: SWAP_TX_TYPES,
+    variants: { [SWAP_TX_TYPES.buy]: 'Swaps ETH→Token', [SWAP_TX_TYPES.sell]: 'Swaps Token→ETH', [SWAP_TX_TYPES['multi-hop']]: 'Swaps multi-hop', [SWAP_TX_TYPES.direct]: 'Swaps direct' },
+  },
+  { key: 'nftMint', txType: TX_TYPES.NFT_MINT, label: 'NFT mint', name: 'NFT mints' },
+  { key: 'nftTransfer', txType: TX_TYPES.NFT_TRANSFER, label: 'NFT transfer', name: 'NFT transfers' },
+  { key: 'nftBatchTransfer', txType: TX_TYPES.NFT_BATCH_TRANSFER, label: 'NFT batch', name: 'NFT batch transfers' },
+  { key: 'deploy', txType: TX_TYPES.CONTRACT_DEPLOY, label: 'Deploy', name: 'Contract deploys', option: 'deployMode', modes: DEPLOY_TX_TYPES, variants: variantNames(DEPLOY_TX_TYPES, mode => `Deploys ${mode.toUpperCase()}`) },
+  { key: 'burn', txType: TX_TYPES.GAS_BURN, label: 'Burn', name: 'Gas burns', option: 'burnMode', modes: BURN_TX_TYPES, variants: variantNames(BURN_TX_TYPES, mode => `Burns ${mode}`) },
+  { key: 'calldata', txType: TX_TYPES.CALLDATA, label: 'Calldata', name: 'Calldata txs', option: 'calldataPattern', modes: CALLDATA_TX_TYPES, variants: variantNames(CALLDATA_TX_TYPES, pattern => `Calldata ${pattern}`) },
+  { key: 'liquidity', txType: TX_TYPES.LIQUIDITY, label: 'LP', name: 'LP changes', option: 'lpMode', modes: LP_TX_TYPES, variants: variantNames(LP_TX_TYPES, mode => `LP ${mode}`) },
+];
+
+// Variant txTypes in --txMix also match without "_to_", e.g. swap_eth_token for swap_eth_to_token
+const matchesTxType = (name, txType) => name === txType || name === txType.replace('_to_', '_');
+
+// Orders of a run's transaction types (--txOrder)
+// - spread: each type evenly spaced over the run
+// - random: shuffled, the same way every run so runs stay comparable
+export const TX_ORDERS = ['spread', 'random'];
+
+/**
+ * Add a plugin's transaction type (from plugins.js' loadPlugin()) as the next --txMix share.
+ * Must run before the mix is parsed.
+ */
+export function registerPlugin(plugin) {
+  const taken = TX_MIX_SHARES.flatMap(({ key, txType, variants }) => [key, txType, ...Object.keys(variants || {})]);
+  if (taken.some(name => matchesTxType(plugin.name, name))) {
+    throw new Error(`Transaction type "${plugin.name}" already exists`);
+  }
+  TX_MIX_SHARES.push({ key: plugin.name, txType: plugin.name, label: plugin.label, name: plugin.title, plugin });
+}
+
+/**
+ * Transaction types a run can send, in --txMix order, with their report names
+ * @returns {Array<Object>} - [{ txType, name, share }]
+ */
+export function listTxTypes() {
+  return TX_MIX_SHARES.flatMap(share => share.variants
+    ? Object.entries(share.variants).map(([txType, name]) => ({ txType, name, share }))
+    : [{ txType: share.txType, name: share.name, share }]);
+}
+
+/**
+ * Plugins with a share in the mix
+ * @returns {Array<Object>}
+ */
+export function getActivePlugins(txMix) {
+  return TX_MIX_SHARES.filter(({ key, plugin }) => plugin && txMix[key] > 0).map(({ plugin }) => plugin);
+}
+
 // Standard ERC20 ABI (minimal)
 export const ERC20_ABI = [
   'function transfer(address to, uint256 amount) returns (bool)',
@@ -27,12 +126,26 @@ export const ERC20_ABI = [
   'function allowance(address owner, address spender) view returns (uint256)',
 ];
 
+// Test NFTs (contracts/TestNFT.sol, contracts/TestMultiToken.sol), minimal
+export const ERC721_ABI = [
+  'function mint(address to) returns (uint256 id)',
+  'function mintBatch(address to, uint256 count)',
+  'function transferFrom(address from, address to, uint256 tokenId)',
+];
+
+export const ERC1155_ABI = [
+  'function mintBatch(address to, uint256[] ids, uint256[] amounts)',
+  'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] values, bytes data)',
+];
+
 // Uniswap Router ABI (minimal)
 export const ROUTER_ABI = [
   'function swapExactETHForTokens(uint amountOutMin, address[] path, address to, uint deadline) payable returns (uint[] amounts)',
   'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) returns (uint[] amounts)',
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) returns (uint[] amounts)',
   'function getAmountsOut(uint amountIn, address[] path) view returns (uint[] amounts)',
   'function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline) payable returns (uint amountToken, uint amountETH, uint liquidity)',
+  'function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline) returns (uint amountA, uint amountB, uint liquidity)',
 ];
 
 // =============================================================================
@@ -40,39 +153,167 @@ export const ROUTER_ABI = [
 // =============================================================================
 
 /**
- * Parse transaction mix from string "eth:token:swap" percentages
- * @param {string} mixString - e.g., "50:30:20" or "100:0:0"
- * @returns {Object} - { ethTransfer: 50, tokenTransfer: 30, swap: 20 }
+ * Read a --txMix spec into weights per share, and per mode for variants named in it
+ * @returns {Object} - { values, modeWeights }, both in TX_MIX_SHARES order (modeWeights[i] null unless named)
+ */
+function readTxMix(mixString) {
+  const parseWeight = (text, what) => {
+    const weight = Number(text.trim());
+    if (text.trim() === '' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid --txMix weight "${text}" for ${what}`);
+    }
+    return weight;
+  };
+
+  const values = TX_MIX_SHARES.map(() => 0);
+  const modeWeights = TX_MIX_SHARES.map(() => null);
+
+  if (!mixString.includes('=')) {
+    const parts = mixString.split(':');
+    if (parts.length > TX_MIX_SHARES.length) {
+      throw new Error(`--txMix has ${parts.length} shares, only ${TX_MIX_SHARES.length} types are registered`);
+    }
+    parts.forEach((part, i) => { values[i] = parseWeight(part, TX_MIX_SHARES[i].txType); });
+    const total = values.reduce((sum, v) => sum + v, 0);
+    if (total !== 100) {
+      console.warn(`⚠️  Transaction mix doesn't sum to 100% (${total}%), normalizing...`);
+    }
+    return { values, modeWeights };
+  }
+
+  const named = new Set();
+  for (const entry of mixString.split(',')) {
+    const [name, weight, ...rest] = entry.split('=').map(part => part.trim());
+
+    // A share by txType or key, or one of its variants (a mode of the share)
+    let i = TX_MIX_SHARES.findIndex(({ key, txType }) => name === txType || name === key);
+    let mode = null;
+    if (i < 0) {
+      i = TX_MIX_SHARES.findIndex(({ modes }) => modes && Object.values(modes).some(txType => matchesTxType(name, txType)));
+      if (i >= 0) mode = Object.entries(TX_MIX_SHARES[i].modes).find(([, txType]) => matchesTxType(name, txType))[0];
+    }
+    if (i < 0 || weight === undefined || rest.length > 0) {
+      const names = TX_MIX_SHARES.flatMap(({ txType, modes }) => [txType, ...Object.values(modes || {})]);
+      throw new Error(`Unknown --txMix entry "${entry}" (expected TYPE=WEIGHT with TYPE one of ${names.join(', ')})`);
+    }
+
+    const { txType } = TX_MIX_SHARES[i];
+    const id = mode ? `${txType}/${mode}` : txType;
+    if (named.has(id)) throw new Error(`--txMix names ${name} twice`);
+    if (mode ? named.has(txType) : modeWeights[i]) {
+      throw new Error(`--txMix names both ${txType} and its variants, weight either the type or each variant`);
+    }
+    named.add(id);
+
+    const w = parseWeight(weight, name);
+    values[i] += w;
+    if (mode) (modeWeights[i] ??= {})[mode] = w;
+  }
+  return { values, modeWeights };
+}
+
+/**
+ * Parse --txMix, named or positional. Weights are relative and kept exact (no rounding):
+ * - named:      "eth_transfer=40,token_transfer=30,swap=20,nft_mint=10", any share by txType or key,
+ *               or variants by txType, e.g. "swap_eth_to_token=20,swap_token_to_eth=10" (see parseTxMixModes())
+ * - positional: "eth:token:swap[:nftMint:nftTransfer:nftBatch:deploy:burn:calldata:lp[:plugins...]]"
+ * @param {string} mixString - e.g. "50:30:20", "100:0:0" or "eth_transfer=3,gas_burn=1"
+ * @returns {Object} - Percent per share key, e.g. { ethTransfer: 75, tokenTransfer: 0, swap: 0, ..., burn: 25, ... }
  */
 export function parseTxMix(mixString) {
   if (!mixString) {
-    return { ethTransfer: 100, tokenTransfer: 0, swap: 0 };
+    return Object.fromEntries(TX_MIX_SHARES.map(({ key }, i) => [key, i === 0 ? 100 : 0]));
   }
-  
-  const parts = mixString.split(':').map(p => parseInt(p.trim()) || 0);
-  const [eth = 100, token = 0, swap = 0] = parts;
-  
-  const total = eth + token + swap;
-  if (total !== 100) {
-    console.warn(`⚠️  Transaction mix doesn't sum to 100% (${total}%), normalizing...`);
+
+  const { values } = readTxMix(mixString);
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (total <= 0) throw new Error('--txMix needs at least one type with a weight above 0');
+  return Object.fromEntries(TX_MIX_SHARES.map(({ key }, i) => [key, values[i] / total * 100]));
+}
+
+/**
+ * Mode cycles for the variants a named --txMix weights, which replace the share's
+ * mode option: "swap_eth_to_token=20,swap_token_to_eth=10" gives { swapMode: 'buy,sell,buy' }
+ * @param {string} mixString
+ * @returns {Object} - Cycle per option (swapMode, deployMode, burnMode, calldataPattern, lpMode)
+ */
+export function parseTxMixModes(mixString) {
+  if (!mixString) return {};
+  const { modeWeights } = readTxMix(mixString);
+  const options = {};
+  TX_MIX_SHARES.forEach(({ option }, i) => {
+    const weights = Object.entries(modeWeights[i] || {}).filter(([, w]) => w > 0);
+    if (weights.length > 0) options[option] = modeCycle(weights).join(',');
+  });
+  return options;
+}
+
+/**
+ * Parse --txOrder
+ * @returns {string} - From TX_ORDERS
+ */
+export function parseTxOrder(spec) {
+  const order = String(spec || 'spread').trim();
+  if (!TX_ORDERS.includes(order)) {
+    throw new Error(`Unknown --txOrder "${order}" (expected ${TX_ORDERS.join(' or ')})`);
   }
-  
-  return {
-    ethTransfer: Math.round((eth / total) * 100),
-    tokenTransfer: Math.round((token / total) * 100),
-    swap: Math.round((swap / total) * 100),
-  };
+  return order;
+}
+
+// Percentages to one decimal, e.g. 33.3
+const formatPercent = (percent) => `${Number((percent || 0).toFixed(1))}%`;
+
+/**
+ * Mix as text, e.g. "40% ETH | 30% Token | 30% Swap" (other shares only when used)
+ */
+export function formatTxMix(txMix, separator = ' | ') {
+  return TX_MIX_SHARES
+    .filter(({ key }, i) => i < 3 || txMix[key] > 0)
+    .map(({ key, label }) => `${formatPercent(txMix[key])} ${label}`)
+    .join(separator);
+}
+
+/**
+ * Parse --swapMode: one mode or a comma-separated cycle, e.g. "buy,sell,multi-hop"
+ * @returns {Array<string>} - Swap modes in cycle order
+ */
+export function parseSwapModes(spec) {
+  const modes = String(spec || 'buy').split(',').map(m => m.trim());
+  const invalid = modes.find(mode => !SWAP_MODES.includes(mode));
+  if (invalid !== undefined) {
+    throw new Error(`Unknown swap mode "${invalid}" (expected ${SWAP_MODES.join(', ')})`);
+  }
+  return modes;
+}
+
+/**
+ * Whether any swap mode sells tokens (senders then need tokens and a router approval)
+ */
+export function swapsSpendTokens(swapModes) {
+  return swapModes.some(mode => mode !== 'buy');
 }
 
 /**
  * Determine which contracts need to be deployed based on tx mix
  * @param {Object} txMix
- * @returns {Object} - { needsToken, needsUniswap }
+ * @param {Array<string>} [swapModes] - From parseSwapModes()
+ * @param {Array<string>} [deployModes] - From parseDeployModes()
+ * @param {string} [calldataTarget] - --calldataTarget
+ * @param {Array<string>} [lpModes] - From parseLpModes()
+ * @param {number} [pools] - Token/WETH pools for swaps (more than one brings their own tokens)
+ * @returns {Object} - { needsToken, needsUniswap, needsSecondPool, needsTokenPool, needsErc721, needsErc1155, needsDeployFactory, needsGasBurner, needsCalldataSink }
  */
-export function getRequiredContracts(txMix) {
+export function getRequiredContracts(txMix, swapModes = ['buy'], deployModes = ['create'], calldataTarget = 'sink', lpModes = ['add-eth'], pools = 1) {
   return {
-    needsToken: txMix.tokenTransfer > 0 || txMix.swap > 0,
-    needsUniswap: txMix.swap > 0,
+    needsToken: txMix.tokenTransfer > 0 || txMix.swap > 0 || txMix.liquidity > 0,
+    needsUniswap: txMix.swap > 0 || txMix.liquidity > 0,
+    needsSecondPool: txMix.swap > 0 && swapModes.includes('multi-hop') && pools === 1,
+    needsTokenPool: (txMix.liquidity > 0 && lpModes.includes('add-tokens')) || (txMix.swap > 0 && swapModes.includes('direct') && pools === 1),
+    needsErc721: txMix.nftMint > 0 || txMix.nftTransfer > 0,
+    needsErc1155: txMix.nftBatchTransfer > 0,
+    needsDeployFactory: txMix.deploy > 0 && deployModes.includes('create2'),
+    needsGasBurner: txMix.burn > 0,
+    needsCalldataSink: txMix.calldata > 0 && calldataTarget === 'sink',
   };
 }
 
@@ -143,153 +384,686 @@ function generateSwapTx(sender, nonce, routerAddress, wethAddress, tokenAddress,
   };
 }
 
+function generateSellSwapTx(sender, nonce, routerAddress, wethAddress, tokenAddress, tokenAmount, gasParams, chainId) {
+  const iface = new ethers.Interface(ROUTER_ABI);
+  const deadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour
+  const path = [tokenAddress, wethAddress];
+
+  const data = iface.encodeFunctionData('swapExactTokensForETH', [
+    tokenAmount,
+    0n, // amountOutMin - accept any amount for stress testing
+    path,
+    sender.address,
+    deadline,
+  ]);
+
+  return {
+    to: routerAddress,
+    value: 0n,
+    data: data,
+    nonce: nonce,
+    gasLimit: 200000n,
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+function generateMultiHopSwapTx(sender, nonce, routerAddress, path, tokenAmount, gasParams, chainId) {
+  const iface = new ethers.Interface(ROUTER_ABI);
+  const deadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour
+
+  const data = iface.encodeFunctionData('swapExactTokensForTokens', [
+    tokenAmount,
+    0n, // amountOutMin - accept any amount for stress testing
+    path,
+    sender.address,
+    deadline,
+  ]);
+
+  return {
+    to: routerAddress,
+    value: 0n,
+    data: data,
+    nonce: nonce,
+    gasLimit: 300000n, // One pair swap per hop
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
 // =============================================================================
-// Mixed Payload Generator
+// Liquidity Generator
+// =============================================================================
+
+function generateLiquidityTx(sender, nonce, routerAddress, mode, contracts, plan, gasParams, chainId) {
+  return {
+    to: routerAddress,
+    value: mode === 'add-eth' ? plan.ethPerAdd : 0n,
+    data: encodeLiquidity(mode, { to: sender.address, contracts, plan }),
+    nonce: nonce,
+    gasLimit: LP_GAS_LIMIT,
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+// =============================================================================
+// NFT Generators
 // =============================================================================
 
 /**
- * Generate mixed transaction payloads
- * @param {Object} options
- * @param {Array} options.senders - Array of wallet objects
- * @param {Object} options.provider - Ethers provider
- * @param {bigint} options.chainId - Chain ID
- * @param {Object} options.config - Configuration object
- * @param {Object} options.contracts - Deployed contract addresses (if needed)
- * @returns {Promise<Object>}
+ * ERC721 token ID a sender owns: TestNFT numbers each owner's tokens from 0
  */
-export async function generatePayload(options) {
+export function nftTokenId(owner, n) {
+  return (BigInt(owner) << 32n) | BigInt(n);
+}
+
+function generateNftMintTx(sender, nonce, nftAddress, gasParams, chainId) {
+  const iface = new ethers.Interface(ERC721_ABI);
+  const data = iface.encodeFunctionData('mint', [sender.address]);
+
+  return {
+    to: nftAddress,
+    value: 0n,
+    data: data,
+    nonce: nonce,
+    gasLimit: 150000n, // New owner slot, balance and mint counter
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+function generateNftTransferTx(sender, nonce, nftAddress, recipient, tokenId, gasParams, chainId) {
+  const iface = new ethers.Interface(ERC721_ABI);
+  const data = iface.encodeFunctionData('transferFrom', [sender.address, recipient, tokenId]);
+
+  return {
+    to: nftAddress,
+    value: 0n,
+    data: data,
+    nonce: nonce,
+    gasLimit: 100000n,
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+function generateNftBatchTransferTx(sender, nonce, multiTokenAddress, recipient, ids, gasParams, chainId) {
+  const iface = new ethers.Interface(ERC1155_ABI);
+  const data = iface.encodeFunctionData('safeBatchTransferFrom', [
+    sender.address, recipient, ids, ids.map(() => 1n), '0x',
+  ]);
+
+  return {
+    to: multiTokenAddress,
+    value: 0n,
+    data: data,
+    nonce: nonce,
+    gasLimit: 60000n + 40000n * BigInt(ids.length), // Two balance slots per ID
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+// =============================================================================
+// Contract Deployment Generators
+// =============================================================================
+
+function generateCreateDeployTx(sender, nonce, payload, gasParams, chainId) {
+  return {
+    to: null,
+    value: 0n,
+    data: payload.initCode,
+    nonce: nonce,
+    gasLimit: deployGasLimit(payload, 'create'),
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+function generateCreate2DeployTx(sender, nonce, factoryAddress, payload, gasParams, chainId) {
+  return {
+    to: factoryAddress,
+    value: 0n,
+    data: encodeCreate2Deploy(create2Salt(sender.address, nonce), payload.initCode),
+    nonce: nonce,
+    gasLimit: deployGasLimit(payload, 'create2'),
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+// =============================================================================
+// Gas Burn Generator
+// =============================================================================
+
+function generateGasBurnTx(sender, nonce, burnerAddress, mode, { rounds, gasLimit }, gasParams, chainId) {
+  return {
+    to: burnerAddress,
+    value: 0n,
+    data: encodeBurn(mode, rounds),
+    nonce: nonce,
+    gasLimit: gasLimit,
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+// =============================================================================
+// Calldata Generator
+// =============================================================================
+
+function generateCalldataTx(sender, nonce, target, data, gasLimit, gasParams, chainId) {
+  return {
+    to: target,
+    value: 0n,
+    data: data,
+    nonce: nonce,
+    gasLimit: gasLimit,
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+// =============================================================================
+// Plugin Generator
+// =============================================================================
+
+function generatePluginTx(sender, nonce, plugin, context, gasParams, chainId) {
+  const fields = plugin.build({ sender, ...context });
+  if (typeof fields?.then === 'function') {
+    throw new Error(`Plugin ${plugin.name}: build() must return the transaction, not a promise`);
+  }
+
+  return {
+    to: fields.to ?? null,
+    value: BigInt(fields.value ?? 0n),
+    data: fields.data ?? '0x',
+    nonce: nonce,
+    gasLimit: BigInt(fields.gasLimit ?? plugin.gasLimit),
+    chainId: chainId,
+    type: 2,
+    maxFeePerGas: gasParams.maxFeePerGas,
+    maxPriorityFeePerGas: gasParams.maxPriorityFeePerGas,
+  };
+}
+
+// =============================================================================
+// Type Interleaving
+// =============================================================================
+
+// Slots in the repeating type pattern of open-ended (streaming) runs, enough for 0.1% shares
+const PATTERN_SLOTS = 1000;
+
+// Fixed seed for --txOrder=random
+const ORDER_SEED = 0x7c3a91;
+
+/**
+ * Split a count by weight with largest remainders, so counts sum to the total
+ * @param {Array<number>} weights
+ * @param {number} total
+ * @returns {Array<number>}
+ */
+function apportion(weights, total) {
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  const exact = weights.map(w => weightSum > 0 ? total * w / weightSum : 0);
+  const counts = exact.map(Math.floor);
+  let left = total - counts.reduce((sum, count) => sum + count, 0);
+
+  // Largest fractional parts first, earlier shares on ties
+  const byRemainder = exact
+    .map((value, i) => [value - counts[i], i])
+    .filter(([remainder]) => remainder > 0)
+    .sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+  for (const [, i] of byRemainder) {
+    if (left === 0) break;
+    counts[i]++;
+    left--;
+  }
+
+  return counts;
+}
+
+/**
+ * Split a count over the mix shares by largest remainder, so counts are exact
+ * and sum to the total
+ * @param {Object} txMix
+ * @param {number} total - Transactions to split
+ * @returns {Array} - [[txType, count]] in --txMix order
+ */
+export function allocateMix(txMix, total) {
+  const counts = apportion(TX_MIX_SHARES.map(({ key }) => txMix[key] || 0), total);
+  return TX_MIX_SHARES.map(({ txType }, i) => [txType, counts[i]]);
+}
+
+const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+
+/**
+ * Shortest spread cycle of modes with the given weights (to 3 decimals, at most PATTERN_SLOTS long)
+ * @param {Array} weights - [[mode, weight]], weights above 0
+ * @returns {Array<string>} - e.g. ['buy', 'sell', 'buy'] for buy=20, sell=10
+ */
+function modeCycle(weights) {
+  const scaled = weights.map(([, w]) => Math.max(1, Math.round(w * 1000)));
+  const divisor = scaled.reduce(gcd);
+  let counts = scaled.map(n => n / divisor);
+  if (counts.reduce((sum, n) => sum + n, 0) > PATTERN_SLOTS) counts = apportion(counts, PATTERN_SLOTS);
+  return interleaveTypes(weights.map(([mode], i) => [mode, counts[i]]));
+}
+
+/**
+ * Order transaction types over the run
+ * @param {Array} counts - [[txType, count]]
+ * @param {string} [order] - From TX_ORDERS
+ * @returns {Array<string>} - Ordered list of tx types
+ */
+export function interleaveTypes(counts, order = 'spread') {
+  // spread: a type's n-th transaction goes at (n + 0.5) / count of the way through,
+  // earlier shares first on ties
+  const txAssignments = [];
+  const used = counts.map(() => 0);
+  const total = counts.reduce((sum, [, count]) => sum + count, 0);
+  for (let slot = 0; slot < total; slot++) {
+    let next = -1;
+    counts.forEach(([, count], i) => {
+      if (used[i] < count && (next < 0 || (used[i] + 0.5) / count < (used[next] + 0.5) / counts[next][1])) next = i;
+    });
+    txAssignments.push(counts[next][0]);
+    used[next]++;
+  }
+
+  if (order === 'random') {
+    // Fisher-Yates with a seeded generator (mulberry32)
+    let seed = ORDER_SEED;
+    const random = () => {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    for (let i = txAssignments.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [txAssignments[i], txAssignments[j]] = [txAssignments[j], txAssignments[i]];
+    }
+  }
+
+  return txAssignments;
+}
+
+/**
+ * Repeating type pattern for open-ended (streaming) runs
+ * @param {Object} txMix
+ * @param {string} [order] - --txOrder
+ * @returns {Array<string>} - PATTERN_SLOTS-slot pattern matching the mix
+ */
+export function getTxTypePattern(txMix, order) {
+  return interleaveTypes(allocateMix(txMix, PATTERN_SLOTS), order);
+}
+
+/**
+ * Transaction types in run order: what generatePayload assigns, or for
+ * streaming runs the repeating pattern over txCount transactions
+ */
+export function planTxTypes(txMix, txCount, { streaming = false, order } = {}) {
+  if (!streaming) return interleaveTypes(allocateMix(txMix, txCount), order);
+  const pattern = getTxTypePattern(txMix, order);
+  return Array.from({ length: txCount }, (_, i) => pattern[i % pattern.length]);
+}
+
+/**
+ * Most transactions of a type any one sender gets (senders take transactions
+ * round-robin, so this can be well above the average)
+ * @param {Array<string>} plan - From planTxTypes()
+ * @param {number} senderCount
+ * @param {string} txType
+ * @returns {number}
+ */
+export function maxPerSender(plan, senderCount, txType) {
+  const counts = new Array(senderCount).fill(0);
+  plan.forEach((type, index) => {
+    if (type === txType) counts[index % senderCount]++;
+  });
+  return Math.max(0, ...counts);
+}
+
+// =============================================================================
+// Transaction Builder
+// =============================================================================
+
+/**
+ * Prepare everything needed to build transactions one at a time.
+ * Nonces are tracked per sender, so transactions built over the
+ * whole run (batch or streaming) form one gapless sequence per sender.
+ * @param {Object} options - Same as generatePayload
+ * @returns {Promise<Object>} - { build(index, txType), expectedTxDetails }
+ */
+export async function createTxBuilder(options) {
   const { senders, provider, chainId, config, contracts = {} } = options;
   const txMix = config.txMix || { ethTransfer: 100, tokenTransfer: 0, swap: 0 };
-  
-  console.log(`\n🔧 Generating ${config.txCount} transactions...`);
-  console.log(`   Mix: ${txMix.ethTransfer}% ETH | ${txMix.tokenTransfer}% Token | ${txMix.swap}% Swap`);
-  
-  // Calculate counts for each type
-  const ethCount = Math.floor(config.txCount * txMix.ethTransfer / 100);
-  const tokenCount = Math.floor(config.txCount * txMix.tokenTransfer / 100);
-  const swapCount = config.txCount - ethCount - tokenCount; // Remainder goes to swap
-  
-  console.log(`   ETH transfers: ${ethCount}`);
-  console.log(`   Token transfers: ${tokenCount}`);
-  console.log(`   Swaps: ${swapCount}`);
-  
+
   // Validate contracts are available for the required tx types
-  if (tokenCount > 0 && !contracts.token) {
+  if (txMix.tokenTransfer > 0 && !contracts.token) {
     throw new Error('Token address required for token transfers');
   }
-  if (swapCount > 0 && (!contracts.router || !contracts.weth || !contracts.token)) {
+  if (txMix.swap > 0 && (!contracts.router || !contracts.weth || !contracts.token)) {
     throw new Error('Router, WETH, and Token addresses required for swaps');
   }
-  
+  const swapModes = parseSwapModes(config.swapMode);
+  // Swap pools (see dex-shards.js); without a plan, the one Token/WETH pool with Token2 as partner
+  const dex = config.dexPlan || { tokens: [contracts.token], pairs: [contracts.pair], partners: [contracts.token2], tokenPairs: [contracts.tokenPair] };
+  // The Token/WETH pair of each pool's partner (Token2's with a single pool), for access lists
+  const partnerPairs = dex.partners.map(partner => dex.pairs[dex.tokens.indexOf(partner)] ?? contracts.pair2);
+  if (txMix.swap > 0 && swapModes.includes('multi-hop') && !dex.partners.every(Boolean)) {
+    throw new Error('A second token (with a WETH pool) is required for multi-hop swaps');
+  }
+  if (txMix.swap > 0 && swapModes.includes('direct') && !dex.tokenPairs?.every(Boolean)) {
+    throw new Error('Token/Token pools are required for direct swaps');
+  }
+  if ((txMix.nftMint > 0 || txMix.nftTransfer > 0) && !contracts.nft) {
+    throw new Error('ERC721 address required for NFT mints and transfers');
+  }
+  if (txMix.nftBatchTransfer > 0 && !contracts.multiToken) {
+    throw new Error('ERC1155 address required for NFT batch transfers');
+  }
+  const deployModes = parseDeployModes(config.deployMode);
+  if (txMix.deploy > 0 && deployModes.includes('create2') && !contracts.deployFactory) {
+    throw new Error('CREATE2 factory address required for CREATE2 deployments');
+  }
+  const burnModes = parseBurnModes(config.burnMode);
+  if (txMix.burn > 0 && (!contracts.gasBurner || !config.gasBurner)) {
+    throw new Error('Gas burner address and calibration (config.gasBurner) required for gas burns');
+  }
+  const calldataPatterns = parseCalldataPatterns(config.calldataPattern);
+  if (txMix.calldata > 0 && !config.calldataPlan) {
+    throw new Error('Calldata target and gas limits (config.calldataPlan) required for calldata transactions');
+  }
+  const lpModes = parseLpModes(config.lpMode);
+  if (txMix.liquidity > 0 && (!contracts.router || !contracts.token || !config.liquidityPlan)) {
+    throw new Error('Router, Token and LP amounts (config.liquidityPlan) required for LP changes');
+  }
+  if (txMix.liquidity > 0 && lpModes.includes('add-tokens') && !contracts.token2) {
+    throw new Error('A second token (with a Token/Token2 pool) is required for token-token liquidity');
+  }
+  for (const plugin of getActivePlugins(txMix)) {
+    const missing = plugin.contracts.filter(key => !contracts[key]);
+    if (missing.length > 0) throw new Error(`Plugin ${plugin.name} requires contract addresses for ${missing.join(', ')}`);
+  }
+
   // Get nonces for all senders in parallel
   const noncePromises = senders.map(s => s.getNonce());
   const nonces = await Promise.all(noncePromises);
   const senderNonces = new Map(senders.map((s, i) => [s.address, nonces[i]]));
-  
-  // Get current fee data
-  const feeData = await provider.getFeeData();
-  const multiplier = BigInt(Math.floor((config.gasMultiplier || 2) * 100));
-  const gasParams = {
-    maxFeePerGas: (feeData.maxFeePerGas || feeData.gasPrice) * multiplier / 100n,
-    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || 0n,
-  };
-  
-  console.log(`   Gas price: ${ethers.formatUnits(feeData.gasPrice || 0n, 'gwei')} gwei (using ${config.gasMultiplier || 2}x buffer)`);
-  
-  // Create recipient addresses
-  const ethRecipient = ethers.Wallet.createRandom().address;
-  const tokenRecipient = ethers.Wallet.createRandom().address;
-  
+
+  // Fees come from the run's gas strategy, per transaction (see gas-strategy.js)
+  const gas = config.gasPricing || await createGasStrategy(config, provider);
+  console.log(`   Gas: ${gas.describe()}`);
+
+  // Generators build type 2; other envelopes are re-wrapped per transaction (see tx-envelope.js)
+  const envelopes = parseTxEnvelopes(config.txEnvelope ?? '2');
+  const envelope = envelopes.some(type => type !== 2)
+    ? createEnvelopeWrapper({ envelopes, contracts, delegateTo: config.delegateTo })
+    : null;
+  if (envelope) console.log(`   Envelopes: ${describeEnvelopes(envelopes)}`);
+
+  // Recipients and values of ETH and token transfers (see recipients.js)
+  const recipients = createRecipientPicker({
+    model: parseRecipientModel(config.recipients),
+    count: config.recipientCount,
+    skew: config.zipfSkew,
+    senders,
+  });
+  const valueModel = parseValueModel(config.valueModel);
+
   // Transaction values
-  const ethValue = ethers.parseEther(config.txValue || '0.0001');
-  const tokenAmount = ethers.parseUnits(config.tokenTxValue || '100', 18); // 100 tokens per transfer
+  const ethValue = createValueSampler(valueModel, ethers.parseEther(config.txValue || '0.0001'));
+  const tokenAmount = createValueSampler(valueModel, ethers.parseUnits(config.tokenTxValue || '100', 18)); // 100 tokens per transfer
   const swapEthAmount = ethers.parseEther(config.swapValue || '0.001'); // 0.001 ETH per swap
-  
-  console.log(`   ETH value: ${config.txValue || '0.0001'} ETH per transfer`);
-  if (tokenCount > 0) console.log(`   Token value: ${config.tokenTxValue || '100'} tokens per transfer`);
-  if (swapCount > 0) console.log(`   Swap value: ${config.swapValue || '0.001'} ETH per swap`);
-  
-  // Build transaction assignment list (round-robin across senders)
-  const txAssignments = [];
-  
-  // Create interleaved assignments for better distribution
-  let ethRemaining = ethCount;
-  let tokenRemaining = tokenCount;
-  let swapRemaining = swapCount;
-  
-  while (ethRemaining > 0 || tokenRemaining > 0 || swapRemaining > 0) {
-    if (ethRemaining > 0) {
-      txAssignments.push(TX_TYPES.ETH_TRANSFER);
-      ethRemaining--;
-    }
-    if (tokenRemaining > 0) {
-      txAssignments.push(TX_TYPES.TOKEN_TRANSFER);
-      tokenRemaining--;
-    }
-    if (swapRemaining > 0) {
-      txAssignments.push(TX_TYPES.SWAP);
-      swapRemaining--;
-    }
+  const swapTokenAmount = ethers.parseUnits(config.swapTokenValue || '1000', 18); // Tokens per sell / multi-hop swap
+  const nftRecipient = ethers.Wallet.createRandom().address;
+  const nftBatchIds = Array.from({ length: config.nftBatchSize || 5 }, (_, i) => BigInt(i + 1));
+  const nftTransfers = new Map();  // sender -> NFTs transferred so far (IDs minted during setup)
+  const deployPayload = txMix.deploy > 0 ? createDeployPayload(config.deploySize) : null;
+  const calldata = txMix.calldata > 0 ? createCalldataGenerator(config.calldataPlan.size) : null;
+
+  const valueNote = valueModel === 'uniform' ? ' on average (uniform up to twice that)' : '';
+  console.log(`   ETH value: ${config.txValue || '0.0001'} ETH per transfer${valueNote}`);
+  if (txMix.tokenTransfer > 0) console.log(`   Token value: ${config.tokenTxValue || '100'} tokens per transfer${valueNote}`);
+  if (txMix.ethTransfer > 0 || txMix.tokenTransfer > 0) console.log(`   Recipients: ${recipients.describe()}`);
+  if (txMix.nftBatchTransfer > 0) console.log(`   NFT batch: ${nftBatchIds.length} ERC1155 IDs per transfer`);
+  if (txMix.burn > 0) console.log(`   Gas burn: ${burnModes.join(', ')}, ~${config.burnGas} gas each`);
+  if (calldata) console.log(`   Calldata: ${calldataPatterns.join(', ')}, ${config.calldataPlan.size} bytes each to ${config.calldataPlan.target}`);
+  if (deployPayload) console.log(`   Deploy: ${deployModes.join(', ')}, ${deployPayload.codeSize} bytes of code each`);
+  if (txMix.liquidity > 0) console.log(`   LP modes: ${lpModes.join(', ')}, ${config.lpValue || '0.001'} ETH per change`);
+  if (txMix.swap > 0) {
+    console.log(`   Swap modes: ${swapModes.join(', ')}`);
+    console.log(`   Swap value: ${config.swapValue || '0.001'} ETH per buy, ${config.swapTokenValue || '1000'} tokens per sell`);
+    if (dex.tokens.length > 1) console.log(`   Swap pools: ${dex.tokens.length}, ${parsePoolDistribution(config.poolDistribution)}`);
   }
-  
-  // Build unsigned transactions
-  const unsignedTxs = [];
-  
-  for (let i = 0; i < txAssignments.length; i++) {
-    const txType = txAssignments[i];
-    const senderIdx = i % senders.length;
-    const sender = senders[senderIdx];
+
+  // Pool for the next swap (--poolDistribution)
+  const pools = createPoolPicker({
+    count: dex.tokens.length,
+    distribution: parsePoolDistribution(config.poolDistribution),
+    skew: config.poolSkew,
+  });
+
+  // Swap direction for the next swap: modes cycle per swap, round trips alternate per sender
+  let swapCount = 0;
+  const roundTrips = new Map();
+  const nextSwapDirection = (sender) => {
+    const mode = swapModes[swapCount++ % swapModes.length];
+    if (mode !== 'round-trip') return mode;
+    const trips = roundTrips.get(sender.address) || 0;
+    roundTrips.set(sender.address, trips + 1);
+    return trips % 2 === 0 ? 'buy' : 'sell';
+  };
+
+  // Deploy, burn and LP modes and calldata patterns cycle per transaction of their type
+  let deployCount = 0;
+  let burnCount = 0;
+  let calldataCount = 0;
+  let lpCount = 0;
+
+  /**
+   * Build the unsigned transaction at a position in the run (round-robin across senders).
+   * Swaps come back with their direction's txType (SWAP_TX_TYPES), deployments, gas burns,
+   * calldata and LP changes with their mode's (DEPLOY_TX_TYPES, BURN_TX_TYPES, CALLDATA_TX_TYPES,
+   * LP_TX_TYPES).
+   */
+  const build = (index, txType) => {
+    const sender = senders[index % senders.length];
     const nonce = senderNonces.get(sender.address);
     senderNonces.set(sender.address, nonce + 1);
-    
+    const gasParams = gas.feesFor(index);
+
     let tx;
-    
+    // Token path and the pair of each hop, for the access lists of swaps
+    let swapRoute = null;
+
     switch (txType) {
       case TX_TYPES.ETH_TRANSFER:
         tx = generateEthTransferTx(
-          sender, nonce, ethRecipient, ethValue, gasParams, chainId, config.gasLimit || 21000n
+          sender, nonce, recipients.pick(sender, 'eth'), ethValue(), gasParams, chainId, config.gasLimit || 21000n
         );
         break;
-        
+
       case TX_TYPES.TOKEN_TRANSFER:
         tx = generateTokenTransferTx(
-          sender, nonce, contracts.token, tokenRecipient, tokenAmount, gasParams, chainId
+          sender, nonce, contracts.token, recipients.pick(sender, 'token'), tokenAmount(), gasParams, chainId
         );
         break;
-        
-      case TX_TYPES.SWAP:
-        tx = generateSwapTx(
-          sender, nonce, contracts.router, contracts.weth, contracts.token, swapEthAmount, gasParams, chainId
+
+      case TX_TYPES.SWAP: {
+        const direction = nextSwapDirection(sender);
+        txType = SWAP_TX_TYPES[direction];
+        const shard = pools.pick();
+        const token = dex.tokens[shard];
+        if (direction === 'buy') {
+          tx = generateSwapTx(
+            sender, nonce, contracts.router, contracts.weth, token, swapEthAmount, gasParams, chainId
+          );
+          swapRoute = { path: [contracts.weth, token], pairs: [dex.pairs[shard]] };
+        } else if (direction === 'sell') {
+          tx = generateSellSwapTx(
+            sender, nonce, contracts.router, contracts.weth, token, swapTokenAmount, gasParams, chainId
+          );
+          swapRoute = { path: [token, contracts.weth], pairs: [dex.pairs[shard]] };
+        } else {
+          const path = direction === 'direct' ? [token, dex.partners[shard]] : [token, contracts.weth, dex.partners[shard]];
+          tx = generateMultiHopSwapTx(
+            sender, nonce, contracts.router, path, swapTokenAmount, gasParams, chainId
+          );
+          swapRoute = { path, pairs: direction === 'direct' ? [dex.tokenPairs[shard]] : [dex.pairs[shard], partnerPairs[shard]] };
+        }
+        break;
+      }
+
+      case TX_TYPES.NFT_MINT:
+        tx = generateNftMintTx(sender, nonce, contracts.nft, gasParams, chainId);
+        break;
+
+      case TX_TYPES.NFT_TRANSFER: {
+        const transferred = nftTransfers.get(sender.address) || 0;
+        nftTransfers.set(sender.address, transferred + 1);
+        tx = generateNftTransferTx(
+          sender, nonce, contracts.nft, nftRecipient, nftTokenId(sender.address, transferred), gasParams, chainId
         );
         break;
+      }
+
+      case TX_TYPES.NFT_BATCH_TRANSFER:
+        tx = generateNftBatchTransferTx(sender, nonce, contracts.multiToken, nftRecipient, nftBatchIds, gasParams, chainId);
+        break;
+
+      case TX_TYPES.CONTRACT_DEPLOY: {
+        const mode = deployModes[deployCount++ % deployModes.length];
+        txType = DEPLOY_TX_TYPES[mode];
+        tx = mode === 'create2'
+          ? generateCreate2DeployTx(sender, nonce, contracts.deployFactory, deployPayload, gasParams, chainId)
+          : generateCreateDeployTx(sender, nonce, deployPayload, gasParams, chainId);
+        break;
+      }
+
+      case TX_TYPES.GAS_BURN: {
+        const mode = burnModes[burnCount++ % burnModes.length];
+        txType = BURN_TX_TYPES[mode];
+        tx = generateGasBurnTx(sender, nonce, contracts.gasBurner, mode, config.gasBurner[mode], gasParams, chainId);
+        break;
+      }
+
+      case TX_TYPES.CALLDATA: {
+        const pattern = calldataPatterns[calldataCount++ % calldataPatterns.length];
+        txType = CALLDATA_TX_TYPES[pattern];
+        const { target, gasLimits } = config.calldataPlan;
+        tx = generateCalldataTx(sender, nonce, target, calldata.next(pattern), gasLimits[pattern], gasParams, chainId);
+        break;
+      }
+
+      case TX_TYPES.LIQUIDITY: {
+        const mode = lpModes[lpCount++ % lpModes.length];
+        txType = LP_TX_TYPES[mode];
+        tx = generateLiquidityTx(sender, nonce, contracts.router, mode, contracts, config.liquidityPlan, gasParams, chainId);
+        break;
+      }
+
+      default: {
+        const plugin = TX_MIX_SHARES.find(share => share.txType === txType)?.plugin;
+        if (!plugin) throw new Error(`Unknown transaction type "${txType}"`);
+        tx = generatePluginTx(sender, nonce, plugin, { senders, index, contracts, config, chainId }, gasParams, chainId);
+        break;
+      }
     }
-    
-    unsignedTxs.push({
-      sender,
-      tx,
-      index: i,
-      txType,
-    });
-  }
-  
+
+    if (envelope) tx = envelope.wrap(tx, sender, txType, swapRoute);
+
+    return { sender, tx, index, txType };
+  };
+
   // Build expected tx details for verification
   const expectedTxDetails = {
     senderAddresses: new Set(senders.map(s => s.address.toLowerCase())),
     txMix,
-    counts: { ethCount, tokenCount, swapCount },
-    recipients: {
-      eth: ethRecipient.toLowerCase(),
-      token: tokenRecipient.toLowerCase(),
-    },
+    // ETH and token transfer recipients and swap pools, handed out as transactions are built
+    recipients,
+    pools,
+    nftRecipient: nftRecipient.toLowerCase(),
     contracts: {
       token: contracts.token?.toLowerCase(),
       router: contracts.router?.toLowerCase(),
       weth: contracts.weth?.toLowerCase(),
+      token2: contracts.token2?.toLowerCase(),
+      nft: contracts.nft?.toLowerCase(),
+      multiToken: contracts.multiToken?.toLowerCase(),
+      deployFactory: contracts.deployFactory?.toLowerCase(),
+      gasBurner: contracts.gasBurner?.toLowerCase(),
+      calldataTarget: config.calldataPlan?.target.toLowerCase(),
     },
+    deployment: deployPayload ? { codeSize: deployPayload.codeSize, codeHash: deployPayload.codeHash } : null,
   };
-  
+
+  return { build, expectedTxDetails };
+}
+
+// =============================================================================
+// Mixed Payload Generator
+// =============================================================================
+
+/**
+ * Generate mixed transaction payloads
+ * @param {Object} options
+ * @param {Array} options.senders - Array of wallet objects
+ * @param {Object} options.provider - Ethers provider
+ * @param {bigint} options.chainId - Chain ID
+ * @param {Object} options.config - Configuration object
+ * @param {Object} options.contracts - Deployed contract addresses (if needed)
+ * @returns {Promise<Object>}
+ */
+export async function generatePayload(options) {
+  const { senders, config } = options;
+  const txMix = config.txMix || { ethTransfer: 100, tokenTransfer: 0, swap: 0 };
+
+  console.log(`\n🔧 Generating ${config.txCount} transactions...`);
+  console.log(`   Mix: ${formatTxMix(txMix)}`);
+
+  // Calculate counts for each type
+  const counts = allocateMix(txMix, config.txCount);
+  counts.forEach(([txType, count], i) => {
+    if (i < 3 || count > 0) console.log(`   ${TX_MIX_SHARES[i].name}: ${count}`);
+  });
+  if (config.txOrder === 'random') console.log('   Order: random');
+
+  const { build, expectedTxDetails } = await createTxBuilder(options);
+
+  // Build transaction assignment list, interleaved for better distribution (--txOrder)
+  const txAssignments = interleaveTypes(counts, config.txOrder);
+
+  // Build unsigned transactions
+  const unsignedTxs = txAssignments.map((txType, i) => build(i, txType));
+
+  expectedTxDetails.counts = Object.fromEntries(counts);
+
   console.log(`✅ Generated ${unsignedTxs.length} transactions across ${senders.length} senders`);
-  
+
   return { unsignedTxs, expectedTxDetails };
 }
 
@@ -297,43 +1071,127 @@ export async function generatePayload(options) {
 // Transaction Signing
 // =============================================================================
 
+/**
+ * What the reports need of a transaction besides its signed copy
+ * @param {Object} tx - Unsigned transaction
+ * @returns {Object} - { nonce, type, maxFee, tip, dataBytes } (maxFee is the gas price of legacy envelopes)
+ */
+export function summarizeTx(tx) {
+  return {
+    nonce: tx.nonce,
+    type: tx.type ?? 2,
+    maxFee: BigInt(tx.maxFeePerGas ?? tx.gasPrice ?? 0n),
+    tip: BigInt(tx.maxPriorityFeePerGas ?? 0n),
+    dataBytes: ethers.dataLength(tx.data || '0x'),
+  };
+}
+
+/**
+ * The unsigned transaction inside a signed one, e.g. to re-sign it with other fees
+ * @param {string} signedTx
+ * @returns {Object} - Transaction request
+ */
+export function unsignedTx(signedTx) {
+  const tx = ethers.Transaction.from(signedTx);
+  const fields = {
+    type: tx.type, chainId: tx.chainId, nonce: tx.nonce, to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit,
+    gasPrice: tx.gasPrice, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    accessList: tx.accessList, authorizationList: tx.authorizationList,
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+}
+
+/**
+ * Signed entry of a built transaction
+ * @param {Object} unsigned - { sender, tx, index, txType }
+ * @param {string} signedTx
+ * @returns {Object} - { signedTx, index, expectedFrom, txType, sender, ...summarizeTx(tx) }
+ *   (the sender stays attached so the transaction can be re-signed while it is in flight;
+ *   the unsigned tx is dropped, unsignedTx() recovers it from the signed copy)
+ */
+export function signedEntry({ sender, tx, index, txType }, signedTx) {
+  return { signedTx, index, expectedFrom: sender.address.toLowerCase(), txType, sender, ...summarizeTx(tx) };
+}
+
+/**
+ * A built transaction with other fees, in the form its envelope carries them
+ * @param {Object} tx - Unsigned transaction (EIP-1559 or legacy gasPrice)
+ * @param {Object} fees - { maxFeePerGas, maxPriorityFeePerGas }
+ * @returns {Object}
+ */
+function withFees(tx, { maxFeePerGas, maxPriorityFeePerGas }) {
+  if (tx.maxFeePerGas == null) return { ...tx, gasPrice: maxFeePerGas };
+  return { ...tx, maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Sign a single built transaction
+ * @param {Object} unsigned - { sender, tx, index, txType }
+ * @returns {Promise<Object>} - From signedEntry()
+ */
+export async function signTransaction(unsigned) {
+  return signedEntry(unsigned, await unsigned.sender.signTransaction(unsigned.tx));
+}
+
 /**
  * Pre-sign all transactions
  * @param {Array} unsignedTxs - Array of { sender, tx, index, txType }
  * @param {Function} formatDuration - Duration formatter function
+ * @param {Object} [pool] - Worker pool (worker-pool.js) to sign on, instead of the main thread
+ * @param {Object} [gas] - Gas strategy (gas-strategy.js); with 'refresh', each batch is signed with the fees of the moment
  * @returns {Promise<Object>} - { signedTxs, signDuration }
  */
-export async function signTransactions(unsignedTxs, formatDuration) {
-  console.log(`\n✍️  Pre-signing ${unsignedTxs.length} transactions...`);
+export async function signTransactions(unsignedTxs, formatDuration, pool = null, gas = null) {
+  console.log(`\n✍️  Pre-signing ${unsignedTxs.length} transactions${pool ? ` on ${pool.size} worker threads` : ''}...`);
   const signStartTime = Date.now();
   
-  const signedTxs = [];
-  const signBatchSize = 100;
-  
+  const signBatchSize = pool ? 500 : 100;
+  const signBatch = pool
+    ? (batch) => pool.signBatch(batch)
+    : (batch) => Promise.all(batch.map(unsigned =>
+      signTransaction(unsigned).catch(err => ({ error: err.message, index: unsigned.index }))
+    ));
+
+  // A long signing pass follows the base fee like a soak run does. Yielding between batches
+  // lets the strategy's refresh timer (and its fee read) run while the main thread signs.
+  const prepareBatch = gas?.name === 'refresh'
+    ? async (batch) => {
+      await new Promise(resolve => setImmediate(resolve));
+      return batch.map(unsigned => ({ ...unsigned, tx: withFees(unsigned.tx, gas.feesFor(unsigned.index)) }));
+    }
+    : async (batch) => batch;
+
+  const batches = [];
   for (let i = 0; i < unsignedTxs.length; i += signBatchSize) {
-    const batch = unsignedTxs.slice(i, i + signBatchSize);
-    
-    const signPromises = batch.map(async ({ sender, tx, index, txType }) => {
-      try {
-        const signedTx = await sender.signTransaction(tx);
-        return { signedTx, index, expectedFrom: sender.address.toLowerCase(), txType };
-      } catch (err) {
-        console.error(`\n   Failed to sign tx ${index}: ${err.message}`);
-        return null;
-      }
-    });
-    
-    const results = await Promise.all(signPromises);
-    
-    for (const result of results) {
-      if (result) signedTxs.push(result);
+    batches.push(unsignedTxs.slice(i, i + signBatchSize));
+  }
+
+  // Keep every worker busy (two batches each); the main thread signs one batch at a time
+  const results = new Array(batches.length);
+  let nextBatch = 0;
+  let progress = 0;
+
+  const lane = async () => {
+    while (nextBatch < batches.length) {
+      const b = nextBatch++;
+      results[b] = await signBatch(await prepareBatch(batches[b]));
+
+      // Progress update
+      progress += batches[b].length;
+      const elapsed = Date.now() - signStartTime;
+      const rate = (progress / elapsed) * 1000;
+      process.stdout.write(`\r   Signed: ${progress}/${unsignedTxs.length} (${rate.toFixed(0)} tx/s)`);
     }
-    
-    // Progress update
-    const progress = Math.min(i + signBatchSize, unsignedTxs.length);
-    const elapsed = Date.now() - signStartTime;
-    const rate = (progress / elapsed) * 1000;
-    process.stdout.write(`\r   Signed: ${progress}/${unsignedTxs.length} (${rate.toFixed(0)} tx/s)`);
+  };
+  await Promise.all(Array.from({ length: pool ? pool.size * 2 : 1 }, () => lane()));
+
+  const signedTxs = [];
+  for (const result of results.flat()) {
+    if (result.error) {
+      console.error(`\n   Failed to sign tx ${result.index}: ${result.error}`);
+      continue;
+    }
+    signedTxs.push(result);
   }
   
   const signDuration = Date.now() - signStartTime;
@@ -350,62 +1208,218 @@ export async function signTransactions(unsignedTxs, formatDuration) {
  * Calculate how much ETH and tokens each sender needs
  * @param {Object} config
  * @param {number} senderCount
- * @returns {Object} - { ethPerSender, tokensPerSender }
+ * @returns {Object} - { ethPerSender, tokensPerSender, token2PerSender, lpTokensPerSender, shardTokensPerSender, pluginTokens, pluginApprovals, breakdown }
  */
 export function calculateFundingNeeds(config, senderCount) {
   const txMix = config.txMix || { ethTransfer: 100, tokenTransfer: 0, swap: 0 };
   const txPerSender = Math.ceil(config.txCount / senderCount);
   
+  // Gas-heavy types and LP changes are funded for the most any one sender gets in the run's
+  // type plan, which can be well above the average (a 50:50 mix over an even sender count
+  // gives every deployment to half of the senders). In a random --txOrder any type can
+  // bunch up on a sender, so every type is funded that way.
+  const heavyShares = ['nftMint', 'nftTransfer', 'nftBatchTransfer', 'deploy', 'burn', 'calldata', 'liquidity'];
+  const plugins = getActivePlugins(txMix);
+  const randomOrder = config.txOrder === 'random';
+  const plan = randomOrder || heavyShares.some(key => txMix[key] > 0) || plugins.length > 0
+    ? planTxTypes(txMix, config.txCount, { streaming: !!config.durationMs, order: config.txOrder })
+    : [];
+  const mostPerSender = (txType) => maxPerSender(plan, senderCount, txType);
+
   // ETH needs: transfers + swaps + gas for all tx types
-  const ethTransfersPerSender = Math.ceil(txPerSender * txMix.ethTransfer / 100);
-  const swapsPerSender = Math.ceil(txPerSender * txMix.swap / 100);
-  const tokenTransfersPerSender = Math.ceil(txPerSender * txMix.tokenTransfer / 100);
+  const perSender = (txType, percent) => randomOrder ? mostPerSender(txType) : Math.ceil(txPerSender * percent / 100);
+  const ethTransfersPerSender = perSender(TX_TYPES.ETH_TRANSFER, txMix.ethTransfer);
+  const swapsPerSender = perSender(TX_TYPES.SWAP, txMix.swap);
+  const tokenTransfersPerSender = perSender(TX_TYPES.TOKEN_TRANSFER, txMix.tokenTransfer);
+
+  const nftMintsPerSender = mostPerSender(TX_TYPES.NFT_MINT);
+  const nftTransfersPerSender = mostPerSender(TX_TYPES.NFT_TRANSFER);
+  const nftBatchTransfersPerSender = mostPerSender(TX_TYPES.NFT_BATCH_TRANSFER);
+  const deploysPerSender = mostPerSender(TX_TYPES.CONTRACT_DEPLOY);
+  const burnsPerSender = mostPerSender(TX_TYPES.GAS_BURN);
+  const calldataTxsPerSender = mostPerSender(TX_TYPES.CALLDATA);
+  const lpChangesPerSender = mostPerSender(TX_TYPES.LIQUIDITY);
   
-  const ethValue = ethers.parseEther(config.txValue || '0.0001');
+  // A sender's swaps can all end up in one direction (modes cycle across senders), so
+  // fund every swap as a buy (ETH) and, if any mode sells, as a sell (tokens) too
+  const swapModes = parseSwapModes(config.swapMode);
+  const buysPerSender = swapModes.some(mode => mode === 'buy' || mode === 'round-trip') ? swapsPerSender : 0;
+  const sellsPerSender = swapsSpendTokens(swapModes) ? swapsPerSender : 0;
+
+  // With several pools (--pools) a sender's sells can all hit any one of them: it gets
+  // each extra pool's token for all of them, and approves the router for each during setup
+  const extraPools = txMix.swap > 0 && config.dexPlan ? config.dexPlan.tokens.length - 1 : 0;
+  const shardApprovals = sellsPerSender > 0 ? extraPools : 0;
+
+  // LP modes cycle across senders the same way: fund every LP change as each mode in use
+  const lpModes = parseLpModes(config.lpMode);
+  const lpPlan = config.liquidityPlan;
+  const ethAddsPerSender = lpModes.includes('add-eth') ? lpChangesPerSender : 0;
+  const tokenAddsPerSender = lpModes.includes('add-tokens') ? lpChangesPerSender : 0;
+  const removesPerSender = lpModes.includes('remove-eth') ? lpChangesPerSender : 0;
+
+  // Uniform values (--valueModel) can reach twice the set value
+  const valueModel = parseValueModel(config.valueModel);
+  const ethValue = maxValue(valueModel, ethers.parseEther(config.txValue || '0.0001'));
   const swapValue = ethers.parseEther(config.swapValue || '0.001');
   
   // Gas estimates
   const ethTransferGas = 21000n;
   const tokenTransferGas = 100000n;
-  const swapGas = 200000n;
-  const gasPrice = ethers.parseUnits('1', 'gwei') * BigInt(Math.floor((config.gasMultiplier || 2) * 2)); // Extra buffer
+  const swapGas = swapModes.includes('multi-hop') || swapModes.includes('direct') ? 300000n : 200000n;
+  const nftMintGas = 150000n;
+  const nftTransferGas = 100000n;
+  const nftBatchTransferGas = 60000n + 40000n * BigInt(config.nftBatchSize || 5);
+  const deployPayload = deploysPerSender > 0 ? createDeployPayload(config.deploySize) : null;
+  const deployGas = deployPayload
+    ? parseDeployModes(config.deployMode).map(mode => deployGasLimit(deployPayload, mode)).reduce((a, b) => (a > b ? a : b))
+    : 0n;
+  // Calibrated limits once setup has run (see gas-burner.js), the target plus margin before
+  const burnGas = config.gasBurner
+    ? Object.values(config.gasBurner).map(({ gasLimit }) => gasLimit).reduce((a, b) => (a > b ? a : b))
+    : BigInt(config.burnGas || 1000000) * 11n / 10n;
+  // Estimated limits once setup has run (see calldata-payload.js), random data's intrinsic gas before
+  const calldataGas = config.calldataPlan
+    ? Object.values(config.calldataPlan.gasLimits).reduce((a, b) => (a > b ? a : b))
+    : calldataTxsPerSender > 0 ? calldataGasLimit(ethers.randomBytes(Number(config.calldataSize) || 1024)) : 0n;
+  const envelopeGas = envelopeGasOverhead(parseTxEnvelopes(config.txEnvelope ?? '2'));
+  // Fund for the highest max fee the gas strategy will sign with
+  const gasPrice = config.gasPricing
+    ? config.gasPricing.fundingFeePerGas()
+    : ethers.parseUnits('1', 'gwei') * BigInt(Math.floor((config.gasMultiplier || 2) * 2)); // Extra buffer
   
+  // Plugins state their own needs for the most transactions a sender gets (see plugins.js)
+  let ethForPlugins = 0n;
+  let pluginGas = 0n;
+  const pluginTokens = new Map();
+  const pluginApprovals = [];
+  const pluginTxsPerSender = {};
+  for (const plugin of plugins) {
+    const txCount = mostPerSender(plugin.name);
+    pluginTxsPerSender[plugin.name] = txCount;
+    if (txCount === 0) continue;
+
+    const needs = plugin.funding?.({ config, contracts: config.contracts || {}, txCount }) || {};
+    ethForPlugins += BigInt(needs.eth ?? 0n);
+    pluginGas += BigInt(needs.gas ?? plugin.gasLimit * BigInt(txCount));
+    for (const [token, amount] of Object.entries(needs.tokens || {})) {
+      pluginTokens.set(token, (pluginTokens.get(token) || 0n) + BigInt(amount));
+    }
+    pluginApprovals.push(...(needs.approvals || []));
+  }
+
   const ethForTransfers = ethValue * BigInt(ethTransfersPerSender);
-  const ethForSwaps = swapValue * BigInt(swapsPerSender);
+  const ethForSwaps = swapValue * BigInt(buysPerSender);
   const ethForGas = gasPrice * (
     ethTransferGas * BigInt(ethTransfersPerSender) +
     tokenTransferGas * BigInt(tokenTransfersPerSender) +
-    swapGas * BigInt(swapsPerSender)
+    swapGas * BigInt(swapsPerSender) +
+    nftMintGas * BigInt(nftMintsPerSender) +
+    nftTransferGas * BigInt(nftTransfersPerSender) +
+    nftBatchTransferGas * BigInt(nftBatchTransfersPerSender) +
+    deployGas * BigInt(deploysPerSender) +
+    burnGas * BigInt(burnsPerSender) +
+    calldataGas * BigInt(calldataTxsPerSender) +
+    LP_GAS_LIMIT * BigInt(lpChangesPerSender) +
+    pluginGas +
+    envelopeGas * BigInt(txPerSender) +
+    100000n * BigInt(shardApprovals)
   );
   
-  const ethPerSender = ethForTransfers + ethForSwaps + ethForGas + ethers.parseEther('0.01'); // Extra buffer
+  const ethForLiquidity = lpPlan ? lpPlan.ethPerAdd * BigInt(ethAddsPerSender) : 0n;
+  
+  const ethPerSender = ethForTransfers + ethForSwaps + ethForLiquidity + ethForPlugins + ethForGas + ethers.parseEther('0.01'); // Extra buffer
   
-  // Token needs: transfers only (swaps buy tokens, not spend them in ETH->Token direction)
-  const tokenAmount = ethers.parseUnits(config.tokenTxValue || '100', 18);
-  const tokensPerSender = tokenAmount * BigInt(tokenTransfersPerSender) + ethers.parseUnits('1000', 18); // Buffer
+  // Token needs: transfers, token-selling swaps (sell, multi-hop, round-trip) and LP adds
+  const tokenAmount = maxValue(valueModel, ethers.parseUnits(config.tokenTxValue || '100', 18));
+  const swapTokenAmount = ethers.parseUnits(config.swapTokenValue || '1000', 18);
+  const lpTokenAmount = lpPlan ? lpPlan.tokensPerAdd : 0n;
+  const tokensPerSender = tokenAmount * BigInt(tokenTransfersPerSender) +
+    swapTokenAmount * BigInt(sellsPerSender) +
+    lpTokenAmount * BigInt(Math.max(ethAddsPerSender, tokenAddsPerSender)) +
+    ethers.parseUnits('1000', 18); // Buffer
+
+  // Token2 for token-token adds, and LP tokens for removes (amounts from planLiquidity())
+  const token2PerSender = lpTokenAmount * BigInt(tokenAddsPerSender);
+  const shardTokensPerSender = shardApprovals > 0 ? swapTokenAmount * BigInt(sellsPerSender) + ethers.parseUnits('1000', 18) : 0n;
+  const lpTokensPerSender = lpPlan ? lpPlan.liquidityPerRemove * BigInt(removesPerSender) : 0n;
   
   return {
     ethPerSender,
     tokensPerSender,
+    token2PerSender,
+    lpTokensPerSender,
+    shardTokensPerSender,
+    pluginTokens: [...pluginTokens],
+    pluginApprovals,
     breakdown: {
       ethTransfersPerSender,
       tokenTransfersPerSender,
       swapsPerSender,
+      sellsPerSender,
+      nftMintsPerSender,
+      nftTransfersPerSender,
+      nftBatchTransfersPerSender,
+      deploysPerSender,
+      burnsPerSender,
+      calldataTxsPerSender,
+      lpChangesPerSender,
+      pluginTxsPerSender,
     },
   };
 }
 
+/**
+ * NFTs each sender must own before the run: the most transfers of each kind the
+ * run's type pattern can give one sender (round-robin over the funded senders)
+ * @param {Object} config - Test configuration (txMix, txCount, durationMs)
+ * @param {number} senderCount - Funded senders
+ * @returns {Object} - { erc721PerSender, erc1155BatchesPerSender }
+ */
+export function calculateNftNeeds(config, senderCount) {
+  const plan = planTxTypes(config.txMix, config.txCount, { streaming: !!config.durationMs, order: config.txOrder });
+  return {
+    erc721PerSender: maxPerSender(plan, senderCount, TX_TYPES.NFT_TRANSFER),
+    erc1155BatchesPerSender: maxPerSender(plan, senderCount, TX_TYPES.NFT_BATCH_TRANSFER),
+  };
+}
+
 // =============================================================================
 // Exports
 // =============================================================================
 
 export default {
   TX_TYPES,
+  SWAP_MODES,
+  SWAP_TX_TYPES,
   ERC20_ABI,
   ROUTER_ABI,
+  ERC721_ABI,
+  ERC1155_ABI,
+  TX_MIX_SHARES,
+  TX_ORDERS,
+  registerPlugin,
+  listTxTypes,
+  getActivePlugins,
   parseTxMix,
+  parseTxMixModes,
+  parseTxOrder,
+  formatTxMix,
+  parseSwapModes,
+  swapsSpendTokens,
   getRequiredContracts,
+  allocateMix,
+  interleaveTypes,
+  getTxTypePattern,
+  planTxTypes,
+  maxPerSender,
+  createTxBuilder,
   generatePayload,
+  summarizeTx,
+  unsignedTx,
+  signedEntry,
+  signTransaction,
   signTransactions,
   calculateFundingNeeds,
+  calculateNftNeeds,
 };
@@ -0,0 +1,179 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { unsignedTx } from './payload-generator.js';
+
+/**
+ * Workload Plugins
+ *
+ * An ES module passed with --plugin=./my-workload.js adds a transaction type
+ * without changes to this repo. Its default export describes the type:
+ *
+ *   export default {
+ *     name: 'vault_deposit',     // txType and --txMix share (lowercase letters, digits, _)
+ *     label: 'Vault',            // In mix summaries (default: name)
+ *     title: 'Vault deposits',   // In the type breakdown (default: name)
+ *     contracts: ['vault'],      // Contract keys build() reads from `contracts`
+ *     gasLimit: 120000n,         // Per transaction, unless build() returns one
+ *
+ *     // Setup, when a contract in `contracts` has no address yet
+ *     async deploy({ provider, funderWallet, config, contracts }) { return { vault: '0x...' }; },
+ *
+ *     // What one sender needs for `txCount` transactions of this type (all optional):
+ *     // ETH spent as value, gas (default gasLimit * txCount), ERC20 amounts and approvals
+ *     funding({ config, contracts, txCount }) {
+ *       return { eth: 0n, gas: 0n, tokens: { [token]: amount }, approvals: [[token, spender]] };
+ *     },
+ *
+ *     // One transaction, synchronously; nonce, chain ID, fees and envelope come from the tool
+ *     build({ sender, senders, index, contracts, config, chainId }) { return { to, data, value, gasLimit }; },
+ *
+ *     // Optional check of each successful receipt (false or a throw counts as failed)
+ *     async verify({ receipt, tx, provider, contracts }) { return true; },
+ *   };
+ *
+ * Plugin shares follow the built-in ones in --txMix, in --plugin order.
+ */
+
+// Gas per transaction for plugins that don't set one
+const DEFAULT_GAS_LIMIT = 200000n;
+
+// Receipts verified at once
+const VERIFY_CONCURRENCY = 20;
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+/**
+ * Import and check a plugin module
+ * @param {string} spec - Path (relative to the working directory) or package name
+ * @returns {Promise<Object>} - From definePlugin()
+ */
+export async function loadPlugin(spec) {
+  const url = spec.startsWith('.') || spec.startsWith('/') ? pathToFileURL(resolve(spec)).href : spec;
+  const module = await import(url);
+  return definePlugin(module.default ?? module, spec);
+}
+
+/**
+ * Check a plugin description and fill in its defaults
+ * @param {Object} plugin - As a plugin module exports it
+ * @param {string} source - Where it came from, for messages
+ * @returns {Object} - { name, label, title, contracts, gasLimit, deploy, funding, build, verify, source }
+ */
+export function definePlugin(plugin, source) {
+  if (typeof plugin.name !== 'string' || !NAME_PATTERN.test(plugin.name)) {
+    throw new Error(`Plugin needs a name of lowercase letters, digits and _ (got ${JSON.stringify(plugin.name)})`);
+  }
+  if (typeof plugin.build !== 'function') {
+    throw new Error(`Plugin ${plugin.name} needs a build() function`);
+  }
+  for (const hook of ['deploy', 'funding', 'verify']) {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+      throw new Error(`Plugin ${plugin.name}: ${hook} must be a function`);
+    }
+  }
+  const contracts = plugin.contracts ?? [];
+  if (!Array.isArray(contracts) || contracts.some(key => typeof key !== 'string')) {
+    throw new Error(`Plugin ${plugin.name}: contracts must be a list of contract keys`);
+  }
+
+  return {
+    name: plugin.name,
+    label: plugin.label || plugin.name,
+    title: plugin.title || plugin.name,
+    contracts,
+    gasLimit: plugin.gasLimit !== undefined ? BigInt(plugin.gasLimit) : DEFAULT_GAS_LIMIT,
+    deploy: plugin.deploy,
+    funding: plugin.funding,
+    build: plugin.build,
+    verify: plugin.verify,
+    source,
+  };
+}
+
+// =============================================================================
+// Setup
+// =============================================================================
+
+/**
+ * Run the deploy hooks of plugins whose contracts have no address yet
+ * @param {Object} options
+ * @param {Array<Object>} options.plugins - Plugins in the run's mix
+ * @param {Object} options.provider
+ * @param {Object} options.funderWallet
+ * @param {Object} options.config
+ * @param {Object} options.contracts - Addresses so far
+ * @returns {Promise<Object>} - Contracts with the plugins' addresses added
+ */
+export async function setupPluginContracts({ plugins, provider, funderWallet, config, contracts }) {
+  const result = { ...contracts };
+
+  for (const plugin of plugins) {
+    const missing = plugin.contracts.filter(key => !result[key]);
+    if (missing.length === 0) continue;
+    if (!plugin.deploy) {
+      throw new Error(`Plugin ${plugin.name} needs ${missing.join(', ')} (pass --pluginContract=KEY=ADDR)`);
+    }
+
+    console.log(`\n🧩 Deploying contracts for plugin ${plugin.name}...`);
+    Object.assign(result, await plugin.deploy({ provider, funderWallet, config, contracts: { ...result } }));
+
+    const stillMissing = plugin.contracts.filter(key => !result[key]);
+    if (stillMissing.length > 0) {
+      throw new Error(`Plugin ${plugin.name}'s deploy() returned no address for ${stillMissing.join(', ')}`);
+    }
+    for (const key of plugin.contracts) console.log(`✅ ${key}: ${result[key]}`);
+  }
+
+  return result;
+}
+
+// =============================================================================
+// Verification
+// =============================================================================
+
+/**
+ * Run the plugins' receipt verifiers over their successful transactions
+ * @param {Object} provider
+ * @param {Array} txHashes - Broadcast entries of the run
+ * @param {Map} receiptsByHash - Lowercase hash -> receipt
+ * @param {Array<Object>} plugins - Plugins in the run's mix
+ * @param {Object} contracts
+ * @returns {Promise<Object|null>} - { [name]: { checked, passed, failed, firstError } } (null without verifiers)
+ */
+export async function verifyPluginReceipts(provider, txHashes, receiptsByHash, plugins, contracts) {
+  const verifying = plugins.filter(plugin => plugin.verify);
+  if (verifying.length === 0) return null;
+
+  const results = {};
+  for (const plugin of verifying) {
+    const confirmed = txHashes.filter(t => t.txType === plugin.name && receiptsByHash.get(t.hash.toLowerCase())?.status === 1);
+    const result = { checked: confirmed.length, passed: 0, failed: 0, firstError: null };
+
+    for (let i = 0; i < confirmed.length; i += VERIFY_CONCURRENCY) {
+      await Promise.all(confirmed.slice(i, i + VERIFY_CONCURRENCY).map(async (t) => {
+        try {
+          const ok = await plugin.verify({ receipt: receiptsByHash.get(t.hash.toLowerCase()), tx: unsignedTx(t.signedTx), provider, contracts });
+          if (ok === false) throw new Error('verify() returned false');
+          result.passed++;
+        } catch (err) {
+          result.failed++;
+          result.firstError ??= err.message;
+        }
+      }));
+    }
+    results[plugin.name] = result;
+  }
+
+  return results;
+}
+
+export default {
+  loadPlugin,
+  definePlugin,
+  setupPluginContracts,
+  verifyPluginReceipts,
+};
@@ -0,0 +1,195 @@
+import { ethers } from 'ethers';
+
+/**
+ * Recipient and Value Models
+ *
+ * Who ETH and token transfers pay, and how much, for state-contention experiments.
+ *
+ * Recipients (--recipients):
+ * - hotspot: one address for ETH and one for tokens, every transfer touches the same account
+ * - uniform: --recipientCount fresh addresses, picked uniformly (the first transfer to each creates it)
+ * - zipf:    the same addresses, address k picked with weight 1 / k^--zipfSkew (a few hot, a long tail)
+ * - ring:    each sender pays the next sender, so recipients are existing, busy accounts
+ *
+ * Values (--valueModel), for --txValue and --tokenTxValue:
+ * - constant: exactly the set value
+ * - uniform:  random from 1 wei to twice the set value, so the mean stays the same
+ */
+
+export const RECIPIENT_MODELS = ['hotspot', 'uniform', 'zipf', 'ring'];
+
+export const VALUE_MODELS = ['constant', 'uniform'];
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse --recipients
+ * @returns {string} - From RECIPIENT_MODELS
+ */
+export function parseRecipientModel(spec) {
+  const model = String(spec || 'hotspot').trim();
+  if (!RECIPIENT_MODELS.includes(model)) {
+    throw new Error(`Unknown recipient model "${model}" (expected ${RECIPIENT_MODELS.join(', ')})`);
+  }
+  return model;
+}
+
+/**
+ * Check --recipientCount and --zipfSkew
+ * @param {Object} options - { count, skew }
+ */
+export function checkRecipientOptions({ count, skew }) {
+  if (!Number.isInteger(count) || count < 1) throw new Error(`--recipientCount must be a positive integer (got ${count})`);
+  if (!(skew > 0)) throw new Error(`--zipfSkew must be above 0 (got ${skew})`);
+}
+
+/**
+ * Parse --valueModel
+ * @returns {string} - From VALUE_MODELS
+ */
+export function parseValueModel(spec) {
+  const model = String(spec || 'constant').trim();
+  if (!VALUE_MODELS.includes(model)) {
+    throw new Error(`Unknown value model "${model}" (expected ${VALUE_MODELS.join(' or ')})`);
+  }
+  return model;
+}
+
+/**
+ * Largest value a model can draw, for funding
+ * @param {string} model - From parseValueModel()
+ * @param {bigint} value - The set value
+ * @returns {bigint}
+ */
+export function maxValue(model, value) {
+  return model === 'uniform' ? value * 2n : value;
+}
+
+/**
+ * Recipient model as text, e.g. "zipf over 1000 fresh addresses (skew 1.2)"
+ */
+export function describeRecipients({ model, count = 1000, skew = 1, senderCount }) {
+  if (model === 'hotspot') return 'hotspot (one ETH and one token recipient)';
+  if (model === 'ring') return `ring over ${senderCount} senders`;
+  if (model === 'uniform') return `uniform over ${count} fresh addresses`;
+  return `zipf over ${count} fresh addresses (skew ${skew})`;
+}
+
+// =============================================================================
+// Recipients
+// =============================================================================
+
+/**
+ * Zipf-distributed index: i in [0, count) with weight 1 / (i + 1)^skew
+ * @param {number} count
+ * @param {number} skew - Exponent, above 0
+ * @returns {Function} - () => index
+ */
+export function createZipfSampler(count, skew) {
+  // Cumulative weights of ranks 1..count, searched with a uniform draw
+  const cumulative = [];
+  let total = 0;
+  for (let k = 1; k <= count; k++) {
+    total += 1 / k ** skew;
+    cumulative.push(total);
+  }
+  return () => {
+    const target = Math.random() * total;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < target) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+}
+
+const randomAddress = () => ethers.getAddress(ethers.hexlify(ethers.randomBytes(20)));
+
+/**
+ * Recipient picker for a run
+ * @param {Object} options
+ * @param {string} options.model - From parseRecipientModel()
+ * @param {number} options.count - Addresses for uniform and zipf (--recipientCount)
+ * @param {number} options.skew - Zipf exponent (--zipfSkew)
+ * @param {Array} options.senders - Sender wallets, for ring
+ * @returns {Object} - { pick(sender, kind), describe(), stats() }, kind 'eth' or 'token'
+ */
+export function createRecipientPicker({ model, count = 1000, skew = 1, senders }) {
+  const hits = new Map();
+  const record = (address) => {
+    hits.set(address, (hits.get(address) || 0) + 1);
+    return address;
+  };
+
+  checkRecipientOptions({ count, skew });
+  let choose;
+
+  if (model === 'hotspot') {
+    const hot = { eth: randomAddress(), token: randomAddress() };
+    choose = (sender, kind) => hot[kind];
+  } else if (model === 'ring') {
+    const next = new Map(senders.map((s, i) => [s.address, senders[(i + 1) % senders.length].address]));
+    choose = (sender) => next.get(sender.address);
+  } else {
+    const pool = Array.from({ length: count }, randomAddress);
+
+    if (model === 'uniform') {
+      choose = () => pool[Math.floor(Math.random() * pool.length)];
+    } else {
+      const rank = createZipfSampler(count, skew);
+      choose = () => pool[rank()];
+    }
+  }
+
+  return {
+    pick: (sender, kind) => record(choose(sender, kind)),
+    describe: () => describeRecipients({ model, count, skew, senderCount: senders.length }),
+    /**
+     * Recipients handed out so far
+     * @returns {Object} - { transfers, distinct, hottestShare } (hottestShare in percent)
+     */
+    stats: () => {
+      let transfers = 0;
+      let hottest = 0;
+      for (const n of hits.values()) {
+        transfers += n;
+        if (n > hottest) hottest = n;
+      }
+      return { transfers, distinct: hits.size, hottestShare: transfers > 0 ? hottest / transfers * 100 : 0 };
+    },
+  };
+}
+
+// =============================================================================
+// Values
+// =============================================================================
+
+/**
+ * Value source for one kind of transfer
+ * @param {string} model - From parseValueModel()
+ * @param {bigint} value - The set value (wei or token units)
+ * @returns {Function} - () => bigint
+ */
+export function createValueSampler(model, value) {
+  if (model === 'constant' || value === 0n) return () => value;
+  const range = value * 2n;
+  return () => 1n + BigInt(ethers.hexlify(ethers.randomBytes(32))) % range;
+}
+
+export default {
+  RECIPIENT_MODELS,
+  VALUE_MODELS,
+  parseRecipientModel,
+  checkRecipientOptions,
+  parseValueModel,
+  maxValue,
+  describeRecipients,
+  createZipfSampler,
+  createRecipientPicker,
+  createValueSampler,
+};
@@ -0,0 +1,171 @@
+import { readFileSync } from 'fs';
+import { ethers } from 'ethers';
+import { definePlugin } from './plugins.js';
+
+/**
+ * Trace Replay
+ *
+ * A JSONL file of recorded transactions (--replay=./mainnet.jsonl), one per line,
+ * replayed as the `replay` transaction type with its own --txMix share:
+ *
+ *   {"to": "0xA0b8...eB48", "data": "0xa9059cbb...", "value": "0x0", "gas": "0xfde8"}
+ *
+ * `input` is read when there is no `data`, and `gasLimit` when there is no `gas`;
+ * numbers may be hex or decimal (wei). A line without `to` deploys its data.
+ * Other fields (from, nonce, fees, hash) are ignored: the run's senders re-sign
+ * every template with their own nonces and the run's fees and envelope.
+ *
+ * Templates are replayed in file order and start over when the file runs out.
+ *
+ * Recorded addresses are rewritten with --replayMap=OLD=NEW (repeatable), in `to`
+ * and wherever they appear as an ABI word in the calldata. NEW is an address,
+ * the key of a contract the run knows (token, router, weth, ...) or `sender` for
+ * the account replaying the transaction.
+ */
+
+// Gas for templates that don't record one
+const DEFAULT_REPLAY_GAS = 200000n;
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse --replayMap entries
+ * @param {Array<string>} entries - OLD=NEW
+ * @returns {Array<Array>} - [[old (lowercase), new]]
+ */
+export function parseReplayMap(entries) {
+  return entries.map(entry => {
+    const [from, to] = entry.split('=');
+    if (!ethers.isAddress(from) || !to) {
+      throw new Error(`--replayMap=${entry}: expected OLD_ADDRESS=NEW (an address, a contract key or sender)`);
+    }
+    return [from.toLowerCase(), ethers.isAddress(to) ? ethers.getAddress(to) : to];
+  });
+}
+
+function parseTemplate(line, where) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (err) {
+    throw new Error(`${where}: invalid JSON (${err.message})`);
+  }
+
+  const to = record.to ?? null;
+  if (to !== null && !ethers.isAddress(to)) throw new Error(`${where}: invalid to address ${JSON.stringify(to)}`);
+  const data = record.data ?? record.input ?? '0x';
+  if (!ethers.isHexString(data)) throw new Error(`${where}: data must be a hex string`);
+  if (to === null && data === '0x') throw new Error(`${where}: a deployment (no to) needs data`);
+
+  try {
+    const gas = record.gas ?? record.gasLimit;
+    return {
+      to: to && to.toLowerCase(),
+      data: data.toLowerCase(),
+      value: BigInt(record.value ?? 0),
+      gasLimit: gas !== undefined ? BigInt(gas) : DEFAULT_REPLAY_GAS,
+    };
+  } catch {
+    throw new Error(`${where}: value and gas must be hex or decimal numbers`);
+  }
+}
+
+// =============================================================================
+// Loading
+// =============================================================================
+
+/**
+ * Read a trace file into the `replay` transaction type
+ * @param {string} path - JSONL file
+ * @param {Array<Array>} remap - From parseReplayMap()
+ * @returns {Object} - Plugin from definePlugin()
+ */
+export function loadReplayTrace(path, remap = []) {
+  const templates = readFileSync(path, 'utf8')
+    .split('\n')
+    .map((line, i) => [line.trim(), `${path}:${i + 1}`])
+    .filter(([line]) => line !== '')
+    .map(([line, where]) => parseTemplate(line, where));
+  if (templates.length === 0) throw new Error(`${path}: no transactions`);
+
+  const maxValue = templates.reduce((max, t) => t.value > max ? t.value : max, 0n);
+  const maxGas = templates.reduce((max, t) => t.gasLimit > max ? t.gasLimit : max, 0n);
+
+  // Contract keys among the NEW addresses must be known before the run starts
+  const contractKeys = [...new Set(remap.map(([, to]) => to).filter(to => !ethers.isAddress(to) && to !== 'sender'))];
+
+  // Templates with every mapping except `sender` applied, built on first use
+  // (contract keys resolve once setup is done)
+  let remapped = null;
+  const bySender = remap.filter(([, to]) => to === 'sender').map(([from]) => from);
+  let replayed = 0;
+
+  const remapTemplates = (contracts) => {
+    const mapping = remap
+      .filter(([, to]) => to !== 'sender')
+      .map(([from, to]) => [from, (ethers.isAddress(to) ? to : contracts[to]).toLowerCase()]);
+    return templates.map(t => {
+      let { to, data } = t;
+      for (const [from, target] of mapping) {
+        if (to === from) to = target;
+        data = replaceAddressWords(data, from, target, t.to === null);
+      }
+      return { ...t, to, data };
+    });
+  };
+
+  return definePlugin({
+    name: 'replay',
+    label: 'Replay',
+    title: 'Replayed',
+    contracts: contractKeys,
+    gasLimit: maxGas,
+    // Senders and templates are both handed out in turn, so a sender may replay the
+    // same (biggest) template every time: fund for that
+    funding: ({ txCount }) => ({
+      eth: maxValue * BigInt(txCount),
+      gas: maxGas * BigInt(txCount),
+    }),
+    build: ({ sender, contracts }) => {
+      remapped ??= remapTemplates(contracts);
+      const template = remapped[replayed++ % remapped.length];
+
+      let { to, data } = template;
+      const own = sender.address.toLowerCase();
+      for (const from of bySender) {
+        if (to === from) to = own;
+        data = replaceAddressWords(data, from, own, template.to === null);
+      }
+      return { to: to && ethers.getAddress(to), data, value: template.value, gasLimit: template.gasLimit };
+    },
+  }, path);
+}
+
+/**
+ * Replace an address where it fills an ABI word (left-padded to 32 bytes). Words
+ * start after a call's 4-byte selector; in a deployment they count back from the
+ * end of the data, where the constructor arguments follow the init code.
+ * @param {string} data - Lowercase calldata
+ * @param {string} from - Lowercase address
+ * @param {string} to - Lowercase address
+ * @param {boolean} deployment - data is init code
+ * @returns {string}
+ */
+function replaceAddressWords(data, from, to, deployment) {
+  const padding = '0'.repeat(24);
+  const word = padding + from.slice(2);
+  const start = deployment ? 2 + (data.length - 2) % 64 : 10;
+  let replaced = data.slice(0, start);
+  for (let i = start; i < data.length; i += 64) {
+    const chunk = data.slice(i, i + 64);
+    replaced += chunk === word ? padding + to.slice(2) : chunk;
+  }
+  return replaced;
+}
+
+export default {
+  parseReplayMap,
+  loadReplayTrace,
+};
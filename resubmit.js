@@ -0,0 +1,125 @@
+import { summarizeTx, unsignedTx } from './payload-generator.js';
+
+/**
+ * Resubmission of Failed and Stuck Transactions
+ *
+ * Broadcast errors are grouped by categorizeError(); each retryable category
+ * maps to a strategy:
+ * - bump:    the node rejected the fee, so re-sign the same nonce with higher fees
+ * - backoff: transient (network trouble, nonce ahead of the pool), so resend the
+ *            same signed transaction after an exponential backoff
+ * Anything else (insufficient funds, reverts, nonce too low) is final.
+ *
+ * Transactions that were accepted but stay unmined past a deadline are
+ * replaced in place: same nonce, higher fees.
+ */
+
+export const RETRY_STRATEGIES = {
+  gas_price_too_low: 'bump',
+  replacement_underpriced: 'bump',
+  nonce_too_high: 'backoff',
+  timeout: 'backoff',
+  connection_error: 'backoff',
+};
+
+// Pools reject same-nonce replacements that raise fees by less than this
+export const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+// How long a fetched fee floor is reused
+const FEE_FLOOR_TTL_MS = 1000;
+
+// =============================================================================
+// Fee Bumping
+// =============================================================================
+
+function bump(value, percent) {
+  const bumped = value * BigInt(100 + percent) / 100n;
+  return bumped > value ? bumped : value + 1n;
+}
+
+const max = (a, b) => (a > b ? a : b);
+
+/**
+ * Raise a transaction's fees by a percentage, and at least to the floor
+ * @param {Object} tx - Unsigned transaction (EIP-1559 or legacy gasPrice)
+ * @param {number} percent - Increase in percent
+ * @param {bigint} floor - Minimum max fee (or gas price), e.g. the current network fee
+ * @returns {Object} - New transaction
+ */
+export function bumpFees(tx, percent, floor = 0n) {
+  if (tx.maxFeePerGas != null) {
+    const maxPriorityFeePerGas = bump(BigInt(tx.maxPriorityFeePerGas || 0n), percent);
+    const maxFeePerGas = max(max(bump(BigInt(tx.maxFeePerGas), percent), floor), maxPriorityFeePerGas);
+    return { ...tx, maxFeePerGas, maxPriorityFeePerGas };
+  }
+  return { ...tx, gasPrice: max(bump(BigInt(tx.gasPrice), percent), floor) };
+}
+
+/**
+ * Re-sign a signed entry with bumped fees (keeps index, sender and nonce)
+ */
+export async function resignWithBump(entry, percent, floor) {
+  const tx = bumpFees(unsignedTx(entry.signedTx), percent, floor);
+  const signedTx = await entry.sender.signTransaction(tx);
+  return { ...entry, ...summarizeTx(tx), signedTx };
+}
+
+// =============================================================================
+// Resubmitter
+// =============================================================================
+
+/**
+ * Create the retry/replacement policy used by the broadcasters
+ * @param {Object} options
+ * @param {Object} options.provider - For the current network fee
+ * @param {number} options.maxRetries - Retries per transaction (0 = off)
+ * @param {number} options.backoffMs - First backoff delay, doubled on every retry
+ * @param {number} options.feeBumpPercent - Fee increase per re-sign
+ */
+export function createResubmitter({ provider, maxRetries, backoffMs, feeBumpPercent }) {
+  let feeFloor = 0n;
+  let feeFloorAt = 0;
+
+  const getFeeFloor = async () => {
+    if (Date.now() - feeFloorAt > FEE_FLOOR_TTL_MS) {
+      const feeData = await provider.getFeeData().catch(() => null);
+      feeFloor = feeData?.maxFeePerGas || feeData?.gasPrice || feeFloor;
+      feeFloorAt = Date.now();
+    }
+    return feeFloor;
+  };
+
+  return {
+    maxRetries,
+
+    /** Strategy for a failed attempt ('bump' or 'backoff'), or null to give up */
+    strategyFor(category, attempt) {
+      if (attempt >= maxRetries) return null;
+      return RETRY_STRATEGIES[category] || null;
+    },
+
+    /** Wait before retry number `attempt` (0-based), with jitter */
+    backoff(attempt) {
+      const delay = backoffMs * 2 ** attempt * (0.75 + Math.random() / 2);
+      return new Promise(resolve => setTimeout(resolve, delay));
+    },
+
+    /** Re-sign after a fee rejection */
+    async rebid(entry) {
+      return resignWithBump(entry, feeBumpPercent, await getFeeFloor());
+    },
+
+    /** Re-sign a stuck transaction so it replaces the pending one */
+    async replace(entry) {
+      return resignWithBump(entry, Math.max(feeBumpPercent, MIN_REPLACEMENT_BUMP_PERCENT), await getFeeFloor());
+    },
+  };
+}
+
+export default {
+  RETRY_STRATEGIES,
+  MIN_REPLACEMENT_BUMP_PERCENT,
+  bumpFees,
+  resignWithBump,
+  createResubmitter,
+};
@@ -0,0 +1,442 @@
+import WebSocket from 'ws';
+import { percentile } from './latency.js';
+
+/**
+ * RPC Transports for Broadcasting
+ *
+ * A transport sends raw JSON-RPC requests and resolves with the JSON-RPC
+ * response object ({ result } or { error }), so broadcasters can treat
+ * node errors the same way regardless of how the request travelled:
+ * - http: one fetch() POST per request
+ * - ws:   persistent WebSocket connections, requests spread round-robin
+ *
+ * sendBatch() packs several calls into one JSON-RPC batch array and resolves
+ * with one response per call, in call order (matched by id, since nodes may
+ * answer a batch out of order).
+ *
+ * Network failures (timeouts, dropped connections) reject with an Error.
+ *
+ * An endpoint pool wraps several transports (e.g. a sequencer plus full
+ * nodes that forward to it) behind the same interface and picks one per
+ * call according to a load-balancing policy.
+ */
+
+export const TRANSPORTS = ['http', 'ws', 'compare'];
+
+export const ENDPOINT_POLICIES = ['round-robin', 'sticky', 'weighted', 'least-latency'];
+
+// Smoothing factor for the least-latency moving average
+const LATENCY_EWMA_ALPHA = 0.2;
+
+// Latencies kept per endpoint for percentiles: all of them, then a uniform sample (soak runs)
+const LATENCY_SAMPLE_SIZE = 10000;
+
+// =============================================================================
+// HTTP
+// =============================================================================
+
+/**
+ * @param {string} url - HTTP RPC endpoint
+ * @returns {Object} - { kind, url, requestCount, send(method, params), sendBatch(calls), close() }
+ */
+export function createHttpTransport(url) {
+  let nextId = 1;
+  let requestCount = 0;
+
+  const post = async (body) => {
+    requestCount++;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return response.json();
+  };
+
+  return {
+    kind: 'http',
+    url,
+    get requestCount() { return requestCount; },
+
+    send(method, params) {
+      return post({ jsonrpc: '2.0', method, params, id: nextId++ });
+    },
+
+    async sendBatch(calls) {
+      const requests = calls.map(({ method, params }) => ({ jsonrpc: '2.0', method, params, id: nextId++ }));
+      const body = await post(requests);
+
+      // A node that rejects the whole batch answers with a single error object
+      if (!Array.isArray(body)) {
+        const message = body?.error?.message || 'Invalid batch response';
+        return requests.map(() => ({ error: { message } }));
+      }
+      return matchBatchResponses(requests, body);
+    },
+
+    async close() {},
+  };
+}
+
+/**
+ * Order batch responses like the requests they answer
+ */
+function matchBatchResponses(requests, responses) {
+  const byId = new Map(responses.map(r => [r.id, r]));
+  return requests.map(({ id }) => byId.get(id) || { error: { message: 'Missing response in batch' } });
+}
+
+// =============================================================================
+// WebSocket
+// =============================================================================
+
+function openSocket(url) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    socket.once('open', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * @param {string} url - WebSocket RPC endpoint
+ * @param {number} connections - Number of persistent connections
+ * @param {number} timeoutMs - Per-request timeout
+ * @returns {Promise<Object>} - { kind, url, connections, requestCount, send(method, params), sendBatch(calls), close() }
+ */
+export async function createWsTransport(url, connections = 1, timeoutMs = 30000) {
+  const sockets = await Promise.all(Array.from({ length: connections }, () => openSocket(url)));
+  const pending = new Map();
+  let nextId = 1;
+  let nextSocket = 0;
+  let requestCount = 0;
+
+  const settle = (id, fn) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    clearTimeout(request.timer);
+    fn(request);
+  };
+
+  for (const socket of sockets) {
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      for (const response of Array.isArray(message) ? message : [message]) {
+        settle(response.id, ({ resolve }) => resolve(response));
+      }
+    });
+
+    socket.on('close', () => {
+      for (const [id, request] of pending) {
+        if (request.socket === socket) {
+          settle(id, ({ reject }) => reject(new Error('WebSocket connection closed')));
+        }
+      }
+    });
+
+    // Errors are followed by 'close', which fails the outstanding requests
+    socket.on('error', () => {});
+  }
+
+  // Register a response handler for each request, then write them as one frame
+  const dispatch = (socket, requests) => {
+    const promises = requests.map(({ id }) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        settle(id, () => reject(new Error(`WebSocket request timeout after ${timeoutMs}ms`)));
+      }, timeoutMs);
+      pending.set(id, { resolve, reject, timer, socket });
+    }));
+
+    if (socket.readyState !== WebSocket.OPEN) {
+      for (const { id } of requests) {
+        settle(id, ({ reject }) => reject(new Error('WebSocket connection closed')));
+      }
+    } else {
+      requestCount++;
+      socket.send(JSON.stringify(requests.length === 1 ? requests[0] : requests));
+    }
+    return promises;
+  };
+
+  return {
+    kind: 'ws',
+    url,
+    connections,
+    get requestCount() { return requestCount; },
+
+    send(method, params) {
+      const socket = sockets[nextSocket++ % sockets.length];
+      const [promise] = dispatch(socket, [{ jsonrpc: '2.0', method, params, id: nextId++ }]);
+      return promise;
+    },
+
+    sendBatch(calls) {
+      const socket = sockets[nextSocket++ % sockets.length];
+      const requests = calls.map(({ method, params }) => ({ jsonrpc: '2.0', method, params, id: nextId++ }));
+      return Promise.all(dispatch(socket, requests));
+    },
+
+    async close() {
+      await Promise.all(sockets.map(socket => new Promise((resolve) => {
+        if (socket.readyState === WebSocket.CLOSED) return resolve();
+        socket.once('close', resolve);
+        socket.close();
+      })));
+    },
+  };
+}
+
+// =============================================================================
+// Endpoint Pool
+// =============================================================================
+
+/**
+ * Build the endpoint chooser for a policy
+ * - round-robin:   rotate through the endpoints
+ * - sticky:        each sender always uses the same endpoint (keeps its nonce order)
+ * - weighted:      smooth weighted round-robin, e.g. weights 3,1 = 75% / 25%
+ * - least-latency: lowest recent latency, scaled by requests in flight
+ */
+function createChooser(policy, endpoints) {
+  switch (policy) {
+    case 'round-robin': {
+      let next = 0;
+      return () => endpoints[next++ % endpoints.length];
+    }
+
+    case 'sticky': {
+      const assigned = new Map();
+      let next = 0;
+      return (key) => {
+        if (key === undefined) return endpoints[next++ % endpoints.length];
+        if (!assigned.has(key)) assigned.set(key, endpoints[next++ % endpoints.length]);
+        return assigned.get(key);
+      };
+    }
+
+    case 'weighted': {
+      const totalWeight = endpoints.reduce((sum, e) => sum + e.weight, 0);
+      const current = endpoints.map(() => 0);
+      return () => {
+        let best = 0;
+        endpoints.forEach((e, i) => {
+          current[i] += e.weight;
+          if (current[i] > current[best]) best = i;
+        });
+        current[best] -= totalWeight;
+        return endpoints[best];
+      };
+    }
+
+    case 'least-latency': {
+      const score = (e) => e.latencyEwma * (e.inFlight + 1);
+      // Every endpoint gets one request before scores are compared
+      return () => endpoints.find(e => e.requests === 0)
+        || endpoints.reduce((best, e) => score(e) < score(best) ? e : best);
+    }
+
+    default:
+      throw new Error(`Unknown endpoint policy "${policy}" (use ${ENDPOINT_POLICIES.join(', ')})`);
+  }
+}
+
+/**
+ * Spread requests over several endpoints. Calls may carry a routing key
+ * (the sender address), which the sticky policy uses to pin a sender to
+ * one endpoint; batches are split per endpoint and reassembled in order.
+ * @param {Array<Object>} transports - Transports for each endpoint
+ * @param {Object} options - { policy, weights }
+ * @returns {Object} - Transport interface plus stats()
+ */
+export function createEndpointPool(transports, { policy = 'round-robin', weights = [] } = {}) {
+  const endpoints = transports.map((transport, i) => ({
+    transport,
+    weight: weights[i] ?? 1,
+    inFlight: 0,
+    latencyEwma: 0,
+    latencies: [],
+    latencyCount: 0,
+    latencyTotal: 0,
+    requests: 0,
+    accepted: 0,
+    failed: 0,
+  }));
+
+  if (endpoints.some(e => !(e.weight > 0))) {
+    throw new Error('Endpoint weights must be positive numbers');
+  }
+
+  const choose = createChooser(policy, endpoints);
+
+  // Time one request and count its per-call outcomes on the endpoint
+  const timed = async (endpoint, callCount, request) => {
+    endpoint.requests++;
+    endpoint.inFlight++;
+    const start = Date.now();
+    try {
+      const responses = await request();
+      for (const r of [].concat(responses)) {
+        if (r.error) endpoint.failed++;
+        else endpoint.accepted++;
+      }
+      return responses;
+    } catch (err) {
+      endpoint.failed += callCount;
+      throw err;
+    } finally {
+      const latency = Date.now() - start;
+      endpoint.inFlight--;
+      endpoint.latencyCount++;
+      endpoint.latencyTotal += latency;
+      if (endpoint.latencies.length < LATENCY_SAMPLE_SIZE) {
+        endpoint.latencies.push(latency);
+      } else {
+        // Reservoir sampling: every latency so far is equally likely to be kept
+        const slot = Math.floor(Math.random() * endpoint.latencyCount);
+        if (slot < LATENCY_SAMPLE_SIZE) endpoint.latencies[slot] = latency;
+      }
+      endpoint.latencyEwma = endpoint.latencyEwma === 0
+        ? latency
+        : endpoint.latencyEwma + LATENCY_EWMA_ALPHA * (latency - endpoint.latencyEwma);
+    }
+  };
+
+  return {
+    kind: 'pool',
+    policy,
+    endpoints: endpoints.length,
+    url: transports.map(t => t.url).join(', '),
+    get requestCount() {
+      return transports.reduce((sum, t) => sum + t.requestCount, 0);
+    },
+
+    send(method, params, key) {
+      const endpoint = choose(key);
+      return timed(endpoint, 1, () => endpoint.transport.send(method, params));
+    },
+
+    async sendBatch(calls) {
+      // Group calls by endpoint, remembering their positions
+      const groups = new Map();
+      calls.forEach((call, i) => {
+        const endpoint = choose(call.key);
+        if (!groups.has(endpoint)) groups.set(endpoint, []);
+        groups.get(endpoint).push(i);
+      });
+
+      const responses = new Array(calls.length);
+      await Promise.all([...groups].map(async ([endpoint, positions]) => {
+        const group = positions.map(i => calls[i]);
+        let groupResponses;
+        try {
+          groupResponses = group.length === 1
+            ? [await timed(endpoint, 1, () => endpoint.transport.send(group[0].method, group[0].params))]
+            : await timed(endpoint, group.length, () => endpoint.transport.sendBatch(group));
+        } catch (err) {
+          // One endpoint failing only fails the calls routed to it
+          groupResponses = group.map(() => ({ error: { message: err.message } }));
+        }
+        positions.forEach((pos, j) => { responses[pos] = groupResponses[j]; });
+      }));
+      return responses;
+    },
+
+    /** Per-endpoint request counts, outcomes and latency (ms) */
+    stats() {
+      return endpoints.map(e => {
+        const sorted = [...e.latencies].sort((a, b) => a - b);
+        return {
+          url: e.transport.url,
+          weight: e.weight,
+          requests: e.requests,
+          accepted: e.accepted,
+          failed: e.failed,
+          avgLatencyMs: e.latencyCount ? e.latencyTotal / e.latencyCount : 0,
+          p50LatencyMs: percentile(sorted, 50),
+          p99LatencyMs: percentile(sorted, 99),
+        };
+      });
+    },
+
+    async close() {
+      await Promise.all(transports.map(t => t.close()));
+    },
+  };
+}
+
+// =============================================================================
+// Factory
+// =============================================================================
+
+/**
+ * Transport for a single URL, picked by its scheme (ws:// or wss:// opens --wsConnections sockets)
+ * @param {string} url
+ * @param {Object} config - { wsConnections }
+ * @returns {Promise<Object>}
+ */
+export async function createTransportForUrl(url, config) {
+  return /^wss?:\/\//i.test(url)
+    ? createWsTransport(url, config.wsConnections)
+    : createHttpTransport(url);
+}
+
+/**
+ * Create the broadcast transport(s) selected by config.transport,
+ * or an endpoint pool when several endpoints are configured
+ * @param {Object} config - { transport, rpcUrl, wsUrl, wsConnections, rpcUrls, endpointPolicy, endpointWeights }
+ * @returns {Promise<Object>} - { http?, ws?, pool? } keyed by transport kind
+ */
+export async function createTransports(config) {
+  if (!TRANSPORTS.includes(config.transport)) {
+    throw new Error(`Unknown transport "${config.transport}" (use ${TRANSPORTS.join(', ')})`);
+  }
+
+  if (config.rpcUrls.length > 0) {
+    if (config.transport !== 'http') {
+      throw new Error('--rpcUrls cannot be combined with --transport (list ws:// URLs in --rpcUrls instead)');
+    }
+    if (config.endpointWeights.length > 0 && config.endpointWeights.length !== config.rpcUrls.length) {
+      throw new Error(`Got ${config.endpointWeights.length} endpoint weights for ${config.rpcUrls.length} endpoints`);
+    }
+    const endpoints = await Promise.all(config.rpcUrls.map(url => createTransportForUrl(url, config)));
+    return {
+      pool: createEndpointPool(endpoints, { policy: config.endpointPolicy, weights: config.endpointWeights }),
+    };
+  }
+
+  const transports = {};
+  if (config.transport === 'http' || config.transport === 'compare') {
+    transports.http = createHttpTransport(config.rpcUrl);
+  }
+  if (config.transport === 'ws' || config.transport === 'compare') {
+    transports.ws = await createWsTransport(config.wsUrl, config.wsConnections);
+  }
+  return transports;
+}
+
+/**
+ * Short human-readable description, e.g. "ws (4 connections)"
+ */
+export function describeTransport(transport) {
+  if (transport.kind === 'pool') return `${transport.endpoints} endpoints (${transport.policy})`;
+  return transport.kind === 'ws'
+    ? `ws (${transport.connections} connection${transport.connections === 1 ? '' : 's'})`
+    : 'http';
+}
+
+export default {
+  TRANSPORTS,
+  ENDPOINT_POLICIES,
+  createHttpTransport,
+  createWsTransport,
+  createEndpointPool,
+  createTransportForUrl,
+  createTransports,
+  describeTransport,
+};
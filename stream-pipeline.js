@@ -0,0 +1,224 @@
+/**
+ * Streaming Generate/Sign/Send Pipeline
+ *
+ * For duration-based (soak) runs. Instead of building and pre-signing the
+ * whole run up front, transactions are built, signed and broadcast
+ * continuously. A bounded queue sits between signing and sending, so the
+ * signer pauses whenever the broadcasters fall behind (backpressure) and
+ * never holds more than the buffer of signed transactions, however long the
+ * run is (the run itself still records every transaction it sends).
+ */
+
+// =============================================================================
+// Bounded Async Queue
+// =============================================================================
+
+/**
+ * Create a FIFO queue with a fixed capacity
+ * - push() waits while the queue is full
+ * - shift() waits while the queue is empty, resolves null once closed and drained
+ * - shiftMany(n) waits for n items (fewer once closed), resolves [] once closed and drained
+ * @param {number} capacity
+ */
+export function createBoundedQueue(capacity) {
+  const items = [];
+  const waitingPush = [];
+  const waitingShift = [];
+  let closed = false;
+  let highWater = 0;
+
+  const wake = (waiters) => {
+    const resolve = waiters.shift();
+    if (resolve) resolve();
+  };
+
+  return {
+    async push(item) {
+      while (items.length >= capacity && !closed) {
+        await new Promise(resolve => waitingPush.push(resolve));
+      }
+      if (closed) return false;
+
+      items.push(item);
+      highWater = Math.max(highWater, items.length);
+      wake(waitingShift);
+      return true;
+    },
+
+    async shift() {
+      while (items.length === 0 && !closed) {
+        await new Promise(resolve => waitingShift.push(resolve));
+      }
+      if (items.length === 0) return null;
+
+      const item = items.shift();
+      wake(waitingPush);
+      return item;
+    },
+
+    async shiftMany(count) {
+      while (items.length < count && !closed) {
+        await new Promise(resolve => waitingShift.push(resolve));
+      }
+
+      const taken = items.splice(0, count);
+      for (let i = 0; i < taken.length; i++) wake(waitingPush);
+      return taken;
+    },
+
+    close() {
+      closed = true;
+      while (waitingPush.length > 0) wake(waitingPush);
+      while (waitingShift.length > 0) wake(waitingShift);
+    },
+
+    get size() {
+      return items.length;
+    },
+
+    get highWater() {
+      return highWater;
+    },
+  };
+}
+
+// =============================================================================
+// Pipeline
+// =============================================================================
+
+/**
+ * Run the generate -> sign -> send pipeline until the deadline
+ * @param {Object} options
+ * @param {number} options.durationMs - How long to keep producing transactions
+ * @param {number} options.bufferSize - Max signed transactions waiting to be sent
+ * @param {number} options.signBatchSize - Transactions signed per batch
+ * @param {number} options.workers - Number of concurrent send workers
+ * @param {number} [options.batchSize] - Max signed entries handed to one send() call
+ * @param {Function} options.build - (index) => unsigned tx
+ * @param {Function} options.sign - async (unsigned) => signed entry
+ * @param {Function} [options.signBatch] - async (unsigned[]) => signed entries ({ error } on failure), replaces sign
+ * @param {number} [options.signAhead] - Batches being signed at once (for signBatch on worker threads)
+ * @param {Function} [options.refill] - async (unsigned, error) => signed entry holding the nonce of a transaction that failed to sign
+ * @param {Function} options.send - async (signed entries) => void
+ * @param {Function} [options.acquire] - async (max) => number of entries allowed now (0 = stop), paces sends
+ * @param {Function} [options.onProgress] - (stats) => void, called about once a second
+ * @returns {Promise<Object>} - Pipeline statistics
+ */
+export async function runPipeline(options) {
+  const {
+    durationMs,
+    bufferSize,
+    signBatchSize = 50,
+    workers,
+    batchSize = 1,
+    build,
+    sign,
+    signBatch = (batch) => Promise.allSettled(batch.map(unsigned => sign(unsigned)))
+      .then(results => results.map(r => (r.status === 'fulfilled' ? r.value : { error: r.reason }))),
+    signAhead = 1,
+    refill,
+    send,
+    acquire,
+    onProgress,
+  } = options;
+
+  const queue = createBoundedQueue(bufferSize);
+  const startTime = Date.now();
+  const deadline = startTime + durationMs;
+
+  const stats = {
+    generated: 0,
+    signed: 0,
+    signFailed: 0,
+    refilled: 0,
+    sent: 0,
+    signTimeMs: 0,
+    producerWaitMs: 0,
+  };
+
+  let stopped = false;
+
+  // Producer: build and sign in small batches, then block on the queue. With signAhead > 1,
+  // several batches are signed at once but still queued in build order (nonce order).
+  const producer = async () => {
+    const signing = [];
+    while (!stopped && Date.now() < deadline) {
+      while (signing.length < signAhead) {
+        const batch = [];
+        for (let i = 0; i < signBatchSize; i++) {
+          batch.push(build(stats.generated++));
+        }
+        signing.push({ batch, results: signBatch(batch) });
+      }
+
+      const signStart = Date.now();
+      const { batch, results } = signing.shift();
+      const signed = await results;
+      stats.signTimeMs += Date.now() - signStart;
+
+      for (let i = 0; i < signed.length; i++) {
+        let result = signed[i];
+        if (result.error) {
+          stats.signFailed++;
+          // The builder already gave out its nonce: dropping it would stall the sender's later transactions
+          result = refill ? await refill(batch[i], result.error).catch(() => null) : null;
+          if (!result) continue;
+          stats.refilled++;
+        }
+        stats.signed++;
+
+        const waitStart = Date.now();
+        const accepted = await queue.push(result);
+        stats.producerWaitMs += Date.now() - waitStart;
+        if (!accepted) return;
+      }
+
+      // Signing is CPU-bound: yield so the send workers' I/O gets serviced
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    queue.close();
+  };
+
+  // Consumers: pull signed transactions and broadcast them
+  const consumer = async () => {
+    for (;;) {
+      const count = Date.now() >= deadline ? 0 : acquire ? await acquire(batchSize) : batchSize;
+      if (count === 0) {
+        stopped = true;
+        queue.close();
+        return;
+      }
+
+      const entries = await queue.shiftMany(count);
+      if (entries.length === 0) return;
+
+      stats.sent += entries.length;
+      await send(entries);
+    }
+  };
+
+  const progressTimer = onProgress
+    ? setInterval(() => onProgress({ ...stats, queued: queue.size, elapsedMs: Date.now() - startTime }), 1000)
+    : null;
+
+  try {
+    await Promise.all([
+      producer(),
+      ...Array.from({ length: workers }, () => consumer()),
+    ]);
+  } finally {
+    if (progressTimer) clearInterval(progressTimer);
+  }
+
+  return {
+    ...stats,
+    unsent: queue.size,
+    queueHighWater: queue.highWater,
+    durationMs: Date.now() - startTime,
+  };
+}
+
+export default {
+  createBoundedQueue,
+  runPipeline,
+};
@@ -299,7 +299,7 @@ export function printResultsBox(title, results) {
 // TPS Results Display
 // =============================================================================
 
-export function printTPSResults(included, confirmed) {
+export function printTPSResults(included, confirmed, gas = null) {
   const width = 64;
   
   console.log(`\n${colors.brightCyan}╔${'═'.repeat(width - 2)}╗${colors.reset}`);
@@ -318,6 +318,17 @@ export function printTPSResults(included, confirmed) {
   console.log(`${colors.brightCyan}║${colors.reset}     Broadcast-duration: ${colors.brightGreen}${colors.bold}${confirmed.broadcastTps.toFixed(2).padStart(12)}${colors.reset} tx/s${' '.repeat(13)}${colors.brightCyan}║${colors.reset}`);
   
   console.log(`${colors.brightCyan}║${colors.reset}${' '.repeat(width - 2)}${colors.brightCyan}║${colors.reset}`);
+
+  // Gas throughput (our transactions, any status)
+  if (gas) {
+    console.log(`${colors.brightCyan}║${colors.reset}  ⛽ ${colors.bold}GAS THROUGHPUT${colors.reset} (on-chain, any status)${' '.repeat(16)}${colors.brightCyan}║${colors.reset}`);
+    console.log(`${colors.brightCyan}║${colors.reset}     Block-timestamp:    ${colors.brightWhite}${colors.bold}${gas.blockMgasPerSecond.toFixed(2).padStart(12)}${colors.reset} Mgas/s${' '.repeat(11)}${colors.brightCyan}║${colors.reset}`);
+    console.log(`${colors.brightCyan}║${colors.reset}     Broadcast-duration: ${colors.brightWhite}${colors.bold}${gas.broadcastMgasPerSecond.toFixed(2).padStart(12)}${colors.reset} Mgas/s${' '.repeat(11)}${colors.brightCyan}║${colors.reset}`);
+    if (gas.blockFullness !== null) {
+      console.log(`${colors.brightCyan}║${colors.reset}     Block gas used:     ${colors.brightWhite}${colors.bold}${`${gas.blockFullness.toFixed(1)}%`.padStart(12)}${colors.reset} of limit${' '.repeat(9)}${colors.brightCyan}║${colors.reset}`);
+    }
+    console.log(`${colors.brightCyan}║${colors.reset}${' '.repeat(width - 2)}${colors.brightCyan}║${colors.reset}`);
+  }
   console.log(`${colors.brightCyan}╚${'═'.repeat(width - 2)}╝${colors.reset}`);
 }
 
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTxMix, parseTxMixModes, allocateMix, interleaveTypes } from '../payload-generator.js';
+
+const nonZero = (counts) => counts.filter(([, count]) => count > 0);
+
+test('allocateMix splits counts exactly by largest remainder', () => {
+  const counts = allocateMix(parseTxMix('eth_transfer=40,token_transfer=30,swap=20,nft_mint=10'), 97);
+  assert.deepEqual(nonZero(counts), [['eth_transfer', 39], ['token_transfer', 29], ['swap', 19], ['nft_mint', 10]]);
+});
+
+test('allocateMix gives ties to earlier shares', () => {
+  const counts = allocateMix(parseTxMix('eth_transfer=1,token_transfer=1,swap=1'), 10);
+  assert.deepEqual(nonZero(counts), [['eth_transfer', 4], ['token_transfer', 3], ['swap', 3]]);
+});
+
+test('allocateMix always sums to the total', () => {
+  const txMix = parseTxMix('eth_transfer=3,gas_burn=1,calldata=7');
+  for (const total of [0, 1, 2, 11, 999, 1000]) {
+    assert.equal(allocateMix(txMix, total).reduce((sum, [, count]) => sum + count, 0), total);
+  }
+});
+
+test('interleaveTypes spreads each type evenly', () => {
+  assert.deepEqual(interleaveTypes([['a', 2], ['b', 1]]), ['a', 'b', 'a']);
+  const order = interleaveTypes([['eth', 9], ['swap', 1]]);
+  assert.equal(order.length, 10);
+  assert.equal(order.indexOf('swap'), 5); // Halfway, after the tied ETH transfer
+});
+
+test('interleaveTypes random keeps the counts and is the same every run', () => {
+  const counts = [['a', 50], ['b', 30], ['c', 20]];
+  const order = interleaveTypes(counts, 'random');
+  for (const [type, count] of counts) {
+    assert.equal(order.filter(t => t === type).length, count);
+  }
+  assert.deepEqual(interleaveTypes(counts, 'random'), order);
+  assert.notDeepEqual(order, interleaveTypes(counts));
+});
+
+test('parseTxMix weights variants into their share', () => {
+  const mix = 'eth_transfer=40,token_transfer=30,swap_eth_token=20,nft_mint=10';
+  assert.equal(parseTxMix(mix).swap, 20);
+  assert.deepEqual(parseTxMixModes(mix), { swapMode: 'buy' });
+
+  const directions = 'swap_eth_to_token=20,swap_token_to_eth=10';
+  assert.equal(parseTxMix(directions).swap, 100);
+  assert.deepEqual(parseTxMixModes(directions), { swapMode: 'buy,sell,buy' });
+});
+
+test('parseTxMix rejects a type named with its variants', () => {
+  assert.throws(() => parseTxMix('swap=10,swap_eth_to_token=20'), /both swap and its variants/);
+  assert.throws(() => parseTxMix('swap_eth_to_token=1,swap_eth_token=2'), /twice/);
+  assert.throws(() => parseTxMix('swap_sideways=1'), /Unknown --txMix entry/);
+});
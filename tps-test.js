@@ -1,8 +1,29 @@
 import { ethers } from 'ethers';
 import * as readline from 'readline';
-import { generatePayload, signTransactions, parseTxMix, getRequiredContracts, calculateFundingNeeds, ERC20_ABI, ROUTER_ABI } from './payload-generator.js';
+import { generatePayload, createTxBuilder, getTxTypePattern, signTransaction, signTransactions, parseTxMix, parseTxMixModes, formatTxMix, parseSwapModes, swapsSpendTokens, getRequiredContracts, getActivePlugins, registerPlugin, calculateFundingNeeds, calculateNftNeeds, ERC20_ABI, ERC721_ABI, ERC1155_ABI, ROUTER_ABI, listTxTypes, parseTxOrder, TX_MIX_SHARES, TX_TYPES } from './payload-generator.js';
 import { deployToken } from './deploy-token.js';
 import { deployUniswap } from './deploy-uniswap.js';
+import { deployNfts, DEFAULT_CONFIG as DEFAULT_NFT_CONFIG } from './deploy-nft.js';
+import { createLoadProfile, createIntervalTracker, parseDuration } from './load-profile.js';
+import { runPipeline } from './stream-pipeline.js';
+import { findMaxSustainable, LIMIT_LABELS } from './max-search.js';
+import { createTransports, createTransportForUrl, describeTransport } from './rpc-transport.js';
+import { createResubmitter } from './resubmit.js';
+import { collectLatency, LATENCY_METRICS } from './latency.js';
+import { createWorkerPool } from './worker-pool.js';
+import { createDispatchScheduler, DISPATCH_ORDERS } from './dispatch-scheduler.js';
+import { createNonceManager } from './nonce-manager.js';
+import { createGasStrategy, summarizeGasCost, GAS_STRATEGIES } from './gas-strategy.js';
+import { parseTxEnvelopes, describeEnvelopes, TX_ENVELOPES } from './tx-envelope.js';
+import { parseBurnModes, deployGasBurner, calibrateGasBurner, describeBurnPlan } from './gas-burner.js';
+import { loadPlugin, setupPluginContracts, verifyPluginReceipts } from './plugins.js';
+import { loadCallWorkloads } from './call-workload.js';
+import { parseReplayMap, loadReplayTrace } from './replay.js';
+import { parseRecipientModel, checkRecipientOptions, parseValueModel, describeRecipients } from './recipients.js';
+import { parsePoolDistribution, describeDex, dexLiquidityNeeded, setupDexShards, TOKENS_PER_ETH } from './dex-shards.js';
+import { parseLpModes, planLiquidity, ensureFunderLiquidity } from './liquidity.js';
+import { parseCalldataPatterns, parseCalldataSize, deployCalldataSink, planCalldata, collectL1Gas, CALLDATA_TARGETS } from './calldata-payload.js';
+import { DEPLOY_TX_TYPES, parseDeployModes, parseDeploySize, deployCreate2Factory, verifyDeployments } from './contract-deploy.js';
 import * as ui from './terminal-ui.js';
 
 // =============================================================================
@@ -13,6 +34,13 @@ const CONFIG = {
   // Arbitrum Nitro dev node RPC URL
   rpcUrl: process.env.RPC_URL || 'http://127.0.0.1:8547',
 
+  // Multi-endpoint broadcasting (optional) - e.g. a sequencer plus forwarding full nodes.
+  // Setup, funding and nonce lookups always use rpcUrl.
+  rpcUrls: [],                  // Broadcast endpoints (http:// or ws://); empty = rpcUrl only
+  endpointPolicy: 'round-robin', // round-robin, sticky (per sender), weighted or least-latency
+  endpointWeights: [],          // Relative weights for the 'weighted' policy, one per endpoint
+  readUrl: null,                // Endpoint for confirmation and analysis (default: rpcUrl)
+
   // Pre-funded dev account from nitro-devnode
   funderPrivateKey: '0xb6b15c8cb491557369f3c7d2c287b053eb229daa9c22138887752191c9520659',
 
@@ -22,9 +50,31 @@ const CONFIG = {
   txValue: '0.00000001',  // ETH value per ETH transfer (10 gwei = 0.00000001 ETH)
   fundingAmount: '0.01',  // ETH to fund each sender account (enough for many tiny txs)
 
+  // ETH and token transfer recipients and values (see recipients.js)
+  recipients: 'hotspot',  // 'hotspot', 'uniform', 'zipf' or 'ring'
+  recipientCount: 1000,   // Fresh addresses for uniform and zipf
+  zipfSkew: 1.0,          // Zipf exponent: higher puts more transfers on the top addresses
+  valueModel: 'constant', // 'constant' or 'uniform' (up to twice --txValue / --tokenTxValue)
+
   // Token/Swap specific values
   tokenTxValue: '100',    // Tokens per token transfer
   swapValue: '0.0001',    // ETH per swap
+  swapTokenValue: '1000', // Tokens per token-selling swap (sell, multi-hop)
+  swapMode: 'buy',        // 'buy', 'sell', 'round-trip', 'multi-hop', 'direct' or a comma-separated cycle
+  pools: 1,               // Token/WETH pools swaps spread over (see dex-shards.js)
+  poolLiquidity: '100',   // ETH per pool, with 10M tokens per ETH
+  poolDistribution: 'uniform', // Pool per swap: 'uniform', 'round-robin' or 'zipf'
+  poolSkew: 1.0,          // Zipf exponent for --poolDistribution=zipf
+  nftBatchSize: 5,        // ERC1155 token IDs per batch transfer
+  deployMode: 'create',   // 'create', 'create2', a comma-separated cycle or 'mix'
+  deploySize: 'tiny',     // Deployed code size: 'tiny', 'medium', 'max' or bytes
+  burnGas: 1000000,       // Gas per gas-burn transaction
+  burnMode: 'hash',       // 'hash', 'store-new', 'store-existing', 'load', 'log', a comma-separated cycle or 'mix'
+  calldataSize: 1024,     // Calldata bytes per calldata transaction
+  calldataPattern: 'random', // 'zeros', 'random', 'repetitive', a comma-separated cycle or 'mix'
+  calldataTarget: 'sink', // 'sink' (CalldataSink contract) or 'eoa'
+  lpMode: 'add-eth',      // 'add-eth', 'remove-eth', 'add-tokens', a comma-separated cycle or 'mix'
+  lpValue: '0.001',       // ETH per LP change (adds bring it, removes withdraw about it)
 
   // Gas settings
   gasLimit: 21000,        // Standard ETH transfer gas
@@ -32,12 +82,80 @@ const CONFIG = {
   // Timing - for fire-and-forget, these control concurrency
   concurrentRequests: 200, // Max concurrent HTTP requests
 
-  // Gas buffer multiplier (to handle base fee increases during test)
+  // Broadcast transport: 'http', 'ws' (persistent WebSockets + newHeads tracking) or
+  // 'compare' (half of the transactions over each, reported side by side)
+  transport: 'http',
+  wsUrl: process.env.WS_URL || 'ws://127.0.0.1:8548',
+  wsConnections: 4,       // Persistent WebSocket connections used for broadcasting
+  batchSize: 1,           // Calls per JSON-RPC batch request (broadcasts and receipt lookups); 1 = no batching
+  dispatchOrder: 'array', // 'array', 'nonce' (one request in flight per sender) or 'out-of-order' (see dispatch-scheduler.js)
+  outOfOrderWindow: 4,    // Nonces sent highest-first together in 'out-of-order' mode
+
+  // Worker threads (optional) - spread signing, and optionally broadcasting, over CPU cores
+  workers: 0,             // Signing threads; 0 = sign on the main thread
+  workerBroadcast: false, // Also broadcast from the workers (closed-loop runs only)
+
+  // Open-loop load (optional) - send at a fixed target rate instead of as fast as possible
+  // --rate=300 or --profile=ramp:100:900:60s (see load-profile.js)
+  rate: null,             // Constant target rate in tx/s
+  profile: null,          // Load profile spec (constant, ramp, step, spike or RATE@DURATION,...)
+  rateIntervalMs: null,   // Reporting interval for achieved vs target rate (auto if null)
+
+  // Duration-based (soak) runs - generate, sign and send continuously instead of pre-signing
+  durationMs: null,       // Run length, e.g. --duration=30m (txCount is then only a funding estimate)
+  pipelineBuffer: 1000,   // Max signed transactions waiting to be broadcast
+  estimatedTps: 500,      // Expected throughput, used to size sender funding when no --rate is set
+
+  // Maximum sustainable TPS search (--findMax) - runs a series of open-loop steps
+  findMax: {
+    enabled: false,
+    strategy: 'step',       // 'step' (+rateStep each step) or 'bisect' (double, then bisect)
+    startRate: 100,         // First offered rate (tx/s)
+    rateStep: 100,          // Increment per step for the 'step' strategy
+    maxRate: 10000,         // Upper bound for the offered rate
+    precision: 50,          // Bisect until the bracket is this narrow (tx/s)
+    stepDurationMs: 20000,  // How long each rate is held
+    maxLagMs: 10000,        // Limit: time after a step until all its txs are included
+    maxErrorRate: 1,        // Limit: broadcast error rate (%)
+    minGain: 25,            // Limit: % of the extra offered load that must become extra confirmed TPS
+  },
+
+  // Resubmission (optional) - retry failed broadcasts and replace stuck transactions (see resubmit.js)
+  maxRetries: 0,          // Retries per tx for retryable errors (fee too low, timeouts, ...); 0 = off
+  retryBackoffMs: 250,    // First retry delay, doubled on every further retry
+  feeBumpPercent: 20,     // Fee increase when re-signing (replacements need at least 10%)
+  stuckTimeoutMs: null,   // Replace txs still unmined this long after the broadcast (null = off)
+  maxReplacements: 2,     // Replacement rounds before giving up on a stuck tx
+
+  // Nonce gaps - fill nonces that never reached the pool so later txs aren't stuck (see nonce-manager.js)
+  repairGaps: false,      // Check senders with unconfirmed txs for gaps and fill them (--repairGaps)
+  gapCheckMs: 10000,      // How long confirmation waits between gap checks
+
+  // Gas pricing (see gas-strategy.js): 'multiplier', 'fixed', 'refresh' or 'priority-bid'
+  gasStrategy: 'multiplier',
   gasMultiplier: 4,       // 4x = safe buffer for heavy load, prevents gas price errors
+  maxFeeGwei: null,       // Max fee per gas for 'fixed' (gwei)
+  priorityFeeGwei: null,  // Priority fee for 'fixed' (gwei, default 0)
+  gasRefreshMs: 5000,     // Fee refresh interval for 'refresh'
+  priorityFees: [0, 1, 2, 5], // Tips cycled per transaction for 'priority-bid' (gwei)
   
-  // Transaction mix (percentages for eth:token:swap)
-  // Format: "eth:token:swap" e.g., "50:30:20" or "100:0:0" (default)
+  // Transaction mix (percent per share, see TX_MIX_SHARES)
+  // Format: named weights "eth_transfer=40,swap=60" or positional "eth:token:swap", e.g. "50:30:20" or "100:0:0" (default)
   txMix: { ethTransfer: 100, tokenTransfer: 0, swap: 0 },
+  txMixSpec: null,        // --txMix as given, parsed once plugins have registered their shares
+  txOrder: 'spread',      // Type order over the run: spread (evenly spaced) or random (same shuffle every run)
+
+  // Workload plugins (see plugins.js): --plugin=./my-workload.js, repeatable
+  plugins: [],
+  // Contract-call specs (see call-workload.js): --workload=./spec.yaml, repeatable
+  workloads: [],
+  // Recorded transactions to replay (see replay.js): --replay=./trace.jsonl
+  replay: null,
+  replayMap: [],          // --replayMap=OLD=NEW, repeatable (NEW: address, contract key or sender)
+
+  // Transaction envelopes (see tx-envelope.js): 0 legacy, 1 access-list, 2 EIP-1559, 4 EIP-7702
+  txEnvelope: '2',        // One type, a comma-separated cycle (e.g. "0,1,2,4") or "mix"
+  delegateTo: '0x0000000000000000000000000000000000000000', // EIP-7702 delegation target (zero = clear)
 
   // Verification
   verifyAll: false,       // If true, fetch and verify EVERY transaction individually
@@ -49,6 +167,14 @@ const CONFIG = {
     router: null,
     factory: null,
     pair: null,
+    token2: null,         // Second token, for multi-hop swaps
+    pair2: null,
+    tokenPair: null,      // Token/Token2 pool, for token-token liquidity
+    nft: null,            // ERC721 for NFT mints and transfers
+    multiToken: null,     // ERC1155 for NFT batch transfers
+    deployFactory: null,  // CREATE2 factory for contract deployments
+    gasBurner: null,      // GasBurner for gas-burn transactions
+    calldataSink: null,   // CalldataSink for calldata transactions
   },
 };
 
@@ -58,7 +184,17 @@ const CONFIG = {
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const config = { ...CONFIG, contracts: { ...CONFIG.contracts } };
+  const config = {
+    ...CONFIG,
+    contracts: { ...CONFIG.contracts },
+    findMax: { ...CONFIG.findMax },
+    rpcUrls: [...CONFIG.rpcUrls],
+    endpointWeights: [...CONFIG.endpointWeights],
+    priorityFees: [...CONFIG.priorityFees],
+    plugins: [...CONFIG.plugins],
+    workloads: [...CONFIG.workloads],
+    replayMap: [...CONFIG.replayMap],
+  };
 
   // Check if interactive mode requested or no args
   if (args.length === 0 || args.includes('--interactive') || args.includes('-i')) {
@@ -67,27 +203,116 @@ function parseArgs() {
   }
 
   for (const arg of args) {
-    const [key, value] = arg.replace('--', '').split('=');
+    // Split on the first '=' only, URLs may contain more
+    const [key, ...rest] = arg.replace('--', '').split('=');
+    const value = rest.length > 0 ? rest.join('=') : undefined;
     if (key === 'txCount') config.txCount = parseInt(value);
     if (key === 'senders') config.senderCount = parseInt(value);
     if (key === 'rpcUrl') config.rpcUrl = value;
+    if (key === 'rpcUrls') config.rpcUrls = value.split(',').map(u => u.trim()).filter(Boolean);
+    if (key === 'endpointPolicy') config.endpointPolicy = value;
+    if (key === 'endpointWeights') config.endpointWeights = value.split(',').map(Number);
+    if (key === 'readUrl') config.readUrl = value;
     if (key === 'concurrent') config.concurrentRequests = parseInt(value);
+    if (key === 'transport') config.transport = value;
+    if (key === 'wsUrl') config.wsUrl = value;
+    if (key === 'wsConnections') config.wsConnections = parseInt(value);
+    if (key === 'batchSize') config.batchSize = parseInt(value);
+    if (key === 'dispatchOrder') config.dispatchOrder = value;
+    if (key === 'outOfOrderWindow') config.outOfOrderWindow = parseInt(value);
+    if (key === 'workers') config.workers = parseInt(value);
+    if (key === 'workerBroadcast') config.workerBroadcast = value === 'true' || value === undefined;
     if (key === 'txValue') config.txValue = value;
+    if (key === 'recipients') config.recipients = value;
+    if (key === 'recipientCount') config.recipientCount = parseInt(value);
+    if (key === 'zipfSkew') config.zipfSkew = parseFloat(value);
+    if (key === 'valueModel') config.valueModel = value;
     if (key === 'fundingAmount') config.fundingAmount = value;
     if (key === 'gasMultiplier') config.gasMultiplier = parseFloat(value);
+    if (key === 'gasStrategy') config.gasStrategy = value;
+    if (key === 'maxFee') config.maxFeeGwei = parseFloat(value);
+    if (key === 'priorityFee') config.priorityFeeGwei = parseFloat(value);
+    if (key === 'gasRefresh') config.gasRefreshMs = parseDuration(value);
+    if (key === 'priorityFees') config.priorityFees = value.split(',').map(v => parseFloat(v));
+    if (key === 'txEnvelope') config.txEnvelope = value;
+    if (key === 'delegateTo') config.delegateTo = value;
     if (key === 'verifyAll') config.verifyAll = value === 'true' || value === undefined;
     if (key === 'tokenTxValue') config.tokenTxValue = value;
     if (key === 'swapValue') config.swapValue = value;
-
-    // Transaction mix: --txMix=50:30:20 (eth:token:swap)
-    if (key === 'txMix') {
-      config.txMix = parseTxMix(value);
+    if (key === 'swapTokenValue') config.swapTokenValue = value;
+    if (key === 'swapMode') config.swapMode = value;
+    if (key === 'pools') config.pools = parseInt(value);
+    if (key === 'poolLiquidity') config.poolLiquidity = value;
+    if (key === 'poolDistribution') config.poolDistribution = value;
+    if (key === 'poolSkew') config.poolSkew = parseFloat(value);
+    if (key === 'nftBatchSize') config.nftBatchSize = parseInt(value);
+    if (key === 'deployMode') config.deployMode = value;
+    if (key === 'deploySize') config.deploySize = value;
+    if (key === 'burnGas') config.burnGas = parseInt(value);
+    if (key === 'burnMode') config.burnMode = value;
+    if (key === 'calldataSize') config.calldataSize = parseInt(value);
+    if (key === 'calldataPattern') config.calldataPattern = value;
+    if (key === 'calldataTarget') config.calldataTarget = value;
+    if (key === 'lpMode') config.lpMode = value;
+    if (key === 'lpValue') config.lpValue = value;
+
+    // Open-loop load: --rate=300 or --profile=step:300,600,900:20s
+    if (key === 'rate') config.rate = parseFloat(value);
+    if (key === 'profile') config.profile = value;
+    if (key === 'rateInterval') config.rateIntervalMs = parseDuration(value);
+
+    // Soak runs: --duration=30m
+    if (key === 'duration') config.durationMs = parseDuration(value);
+    if (key === 'pipelineBuffer') config.pipelineBuffer = parseInt(value);
+    if (key === 'estimatedTps') config.estimatedTps = parseFloat(value);
+
+    // Max TPS search: --findMax [--findMaxStrategy=bisect --startRate=200 --maxLag=5s ...]
+    if (key === 'findMax') config.findMax.enabled = value === 'true' || value === undefined;
+    if (key === 'findMaxStrategy') config.findMax.strategy = value;
+    if (key === 'startRate') config.findMax.startRate = parseFloat(value);
+    if (key === 'rateStep') config.findMax.rateStep = parseFloat(value);
+    if (key === 'maxRate') config.findMax.maxRate = parseFloat(value);
+    if (key === 'precision') config.findMax.precision = parseFloat(value);
+    if (key === 'stepDuration') config.findMax.stepDurationMs = parseDuration(value);
+    if (key === 'maxLag') config.findMax.maxLagMs = parseDuration(value);
+    if (key === 'maxErrorRate') config.findMax.maxErrorRate = parseFloat(value);
+    if (key === 'minGain') config.findMax.minGain = parseFloat(value);
+
+    // Resubmission: --retries=3 --stuckTimeout=30s
+    if (key === 'retries') config.maxRetries = parseInt(value);
+    if (key === 'retryBackoff') config.retryBackoffMs = parseDuration(value);
+    if (key === 'feeBump') config.feeBumpPercent = parseFloat(value);
+    if (key === 'stuckTimeout') config.stuckTimeoutMs = parseDuration(value);
+    if (key === 'maxReplacements') config.maxReplacements = parseInt(value);
+
+    // Nonce gaps: --repairGaps [--gapCheck=5s]
+    if (key === 'repairGaps') config.repairGaps = value === 'true' || value === undefined;
+    if (key === 'gapCheck') config.gapCheckMs = parseDuration(value);
+
+    // Transaction mix: --txMix=eth_transfer=40,swap=60 or --txMix=50:30:20 (eth:token:swap), plugin shares after the built-in ones
+    if (key === 'txMix') config.txMixSpec = value;
+    if (key === 'txOrder') config.txOrder = value;
+
+    // Plugins: --plugin=./my-workload.js (repeatable), --pluginContract=vault=0x...
+    if (key === 'plugin') config.plugins.push(value);
+    if (key === 'workload') config.workloads.push(value);
+    if (key === 'replay') config.replay = value;
+    if (key === 'replayMap') config.replayMap.push(value);
+    if (key === 'pluginContract') {
+      const [name, address] = value.split('=');
+      config.contracts[name] = address;
     }
 
     // Pre-deployed contract addresses (optional, skip deployment)
     if (key === 'token') config.contracts.token = value;
     if (key === 'weth') config.contracts.weth = value;
     if (key === 'router') config.contracts.router = value;
+    if (key === 'token2') config.contracts.token2 = value;
+    if (key === 'nft') config.contracts.nft = value;
+    if (key === 'multiToken') config.contracts.multiToken = value;
+    if (key === 'deployFactory') config.contracts.deployFactory = value;
+    if (key === 'gasBurner') config.contracts.gasBurner = value;
+    if (key === 'calldataSink') config.contracts.calldataSink = value;
   }
 
   return config;
@@ -196,14 +421,19 @@ function formatDuration(ms) {
   return `${(ms / 1000).toFixed(2)}s`;
 }
 
+// ERC721 tokens minted per setup transaction
+const NFT_MINT_CHUNK = 100;
+
 // =============================================================================
 // Contract Deployment (Token + Uniswap if needed)
 // =============================================================================
 
 async function setupContracts(config, provider, funderWallet) {
-  const { needsToken, needsUniswap } = getRequiredContracts(config.txMix);
+  const { needsToken, needsUniswap, needsSecondPool, needsTokenPool, needsErc721, needsErc1155, needsDeployFactory, needsGasBurner, needsCalldataSink } = getRequiredContracts(
+    config.txMix, parseSwapModes(config.swapMode), parseDeployModes(config.deployMode), config.calldataTarget, parseLpModes(config.lpMode), config.pools
+  );
 
-  if (!needsToken && !needsUniswap) {
+  if (!needsToken && !needsUniswap && !needsErc721 && !needsErc1155 && !needsDeployFactory && !needsGasBurner && !needsCalldataSink) {
     console.log('\n📦 No contracts needed for ETH-only transfers');
     return config.contracts;
   }
@@ -213,17 +443,26 @@ async function setupContracts(config, provider, funderWallet) {
   console.log('='.repeat(60));
   console.log(`   Needs Token: ${needsToken}`);
   console.log(`   Needs Uniswap: ${needsUniswap}`);
+  if (needsErc721 || needsErc1155) console.log(`   Needs NFTs: ${[needsErc721 && 'ERC721', needsErc1155 && 'ERC1155'].filter(Boolean).join(', ')}`);
 
   const contracts = { ...config.contracts };
 
   // Check if contracts are already provided
-  if (contracts.token && (!needsUniswap || (contracts.weth && contracts.router))) {
+  if ((!needsToken || contracts.token) && (!needsUniswap || (contracts.weth && contracts.router)) && (!(needsSecondPool || needsTokenPool) || contracts.token2) &&
+      (!needsErc721 || contracts.nft) && (!needsErc1155 || contracts.multiToken) && (!needsDeployFactory || contracts.deployFactory) &&
+      (!needsGasBurner || contracts.gasBurner) && (!needsCalldataSink || contracts.calldataSink)) {
     console.log('\n✅ Using pre-deployed contracts:');
-    console.log(`   Token: ${contracts.token}`);
+    if (needsToken) console.log(`   Token: ${contracts.token}`);
     if (needsUniswap) {
       console.log(`   WETH: ${contracts.weth}`);
       console.log(`   Router: ${contracts.router}`);
     }
+    if (needsSecondPool || needsTokenPool) console.log(`   Token2: ${contracts.token2}`);
+    if (needsErc721) console.log(`   ERC721: ${contracts.nft}`);
+    if (needsErc1155) console.log(`   ERC1155: ${contracts.multiToken}`);
+    if (needsDeployFactory) console.log(`   CREATE2 factory: ${contracts.deployFactory}`);
+    if (needsGasBurner) console.log(`   Gas burner: ${contracts.gasBurner}`);
+    if (needsCalldataSink) console.log(`   Calldata sink: ${contracts.calldataSink}`);
     return contracts;
   }
 
@@ -244,6 +483,23 @@ async function setupContracts(config, provider, funderWallet) {
     console.log(`✅ Token deployed: ${contracts.token}`);
   }
 
+  // Second token for multi-hop swaps (Token -> WETH -> Token2) and token-token liquidity
+  if ((needsSecondPool || needsTokenPool) && !contracts.token2) {
+    console.log(`\n🪙 Deploying second Test Token (${needsSecondPool ? 'multi-hop swaps' : 'token-token liquidity'})...`);
+
+    const token2Result = await deployToken({
+      rpcUrl: config.rpcUrl,
+      deployerPrivateKey: config.funderPrivateKey,
+      tokenName: 'TPS Test Token B',
+      tokenSymbol: 'TPSTESTB',
+      tokenDecimals: 18,
+      initialSupply: '10000000000', // 10 billion tokens
+    });
+
+    contracts.token2 = token2Result.contractAddress;
+    console.log(`✅ Token2 deployed: ${contracts.token2}`);
+  }
+
   // Deploy Uniswap if needed
   if (needsUniswap && !contracts.router) {
     console.log('\n🦄 Deploying Uniswap V2...');
@@ -261,42 +517,56 @@ async function setupContracts(config, provider, funderWallet) {
     console.log(`✅ Factory: ${contracts.factory}`);
     console.log(`✅ Router: ${contracts.router}`);
 
-    // Create liquidity pool
-    console.log('\n💧 Creating Token/ETH liquidity pool...');
+    contracts.pair = await createLiquidityPool(provider, funderWallet, contracts, contracts.token, config.poolLiquidity);
+  }
+
+  // Token2's pool goes on whichever router is in use (deployed above or pre-deployed)
+  if (needsSecondPool && !contracts.pair2) {
+    contracts.pair2 = await createLiquidityPool(provider, funderWallet, contracts, contracts.token2, config.poolLiquidity);
+  }
+
+  // Token/Token2 pool for token-token LP adds
+  if (needsTokenPool && !contracts.tokenPair) {
+    contracts.tokenPair = await createTokenPool(provider, funderWallet, contracts);
+  }
 
-    const token = new ethers.Contract(contracts.token, ERC20_ABI, funderWallet);
-    const router = new ethers.Contract(contracts.router, ROUTER_ABI, funderWallet);
+  // Deploy the open-mint NFT contracts if needed
+  if ((needsErc721 && !contracts.nft) || (needsErc1155 && !contracts.multiToken)) {
+    console.log('\n🖼️  Deploying Test NFTs...');
 
-    // Approve router for initial liquidity
-    const liquidityTokenAmount = ethers.parseUnits('1000000000', 18); // 1B tokens
-    const liquidityEthAmount = ethers.parseEther('100'); // 100 ETH (makes token cheap)
+    const nftResult = await deployNfts({
+      ...DEFAULT_NFT_CONFIG,
+      rpcUrl: config.rpcUrl,
+      deployerPrivateKey: config.funderPrivateKey,
+      erc721: needsErc721 && !contracts.nft,
+      erc1155: needsErc1155 && !contracts.multiToken,
+    });
 
-    let nonce = await funderWallet.getNonce();
+    if (nftResult.erc721) contracts.nft = nftResult.erc721.address;
+    if (nftResult.erc1155) contracts.multiToken = nftResult.erc1155.address;
+    if (needsErc721) console.log(`✅ ERC721: ${contracts.nft}`);
+    if (needsErc1155) console.log(`✅ ERC1155: ${contracts.multiToken}`);
+  }
 
-    const approveTx = await token.approve(contracts.router, liquidityTokenAmount, { nonce: nonce++ });
-    await approveTx.wait();
-    console.log(`   Approved router to spend tokens`);
-
-    // Add liquidity
-    const deadline = Math.floor(Date.now() / 1000) + 3600;
-    const addLiqTx = await router.addLiquidityETH(
-      contracts.token,
-      liquidityTokenAmount,
-      liquidityTokenAmount,
-      liquidityEthAmount,
-      funderWallet.address,
-      deadline,
-      { value: liquidityEthAmount, nonce: nonce++, gasLimit: 5000000 }
-    );
-    await addLiqTx.wait();
+  // Deploy the CREATE2 factory if needed
+  if (needsDeployFactory && !contracts.deployFactory) {
+    console.log('\n🏭 Deploying CREATE2 factory...');
+    contracts.deployFactory = await deployCreate2Factory(funderWallet);
+    console.log(`✅ CREATE2 factory: ${contracts.deployFactory}`);
+  }
 
-    // Get pair address
-    const factoryAbi = ['function getPair(address, address) view returns (address)'];
-    const factory = new ethers.Contract(contracts.factory, factoryAbi, provider);
-    contracts.pair = await factory.getPair(contracts.token, contracts.weth);
+  // Deploy the gas burner if needed
+  if (needsGasBurner && !contracts.gasBurner) {
+    console.log('\n🔥 Deploying gas burner...');
+    contracts.gasBurner = await deployGasBurner(funderWallet);
+    console.log(`✅ Gas burner: ${contracts.gasBurner}`);
+  }
 
-    console.log(`✅ Liquidity added! Pair: ${contracts.pair}`);
-    console.log(`   Price: 1 ETH = ${Number(liquidityTokenAmount) / Number(liquidityEthAmount) / 1e18 * 1e18} tokens`);
+  // Deploy the calldata sink if needed
+  if (needsCalldataSink && !contracts.calldataSink) {
+    console.log('\n📥 Deploying calldata sink...');
+    contracts.calldataSink = await deployCalldataSink(funderWallet);
+    console.log(`✅ Calldata sink: ${contracts.calldataSink}`);
   }
 
   console.log('\n' + '='.repeat(60));
@@ -304,10 +574,119 @@ async function setupContracts(config, provider, funderWallet) {
   return contracts;
 }
 
+/**
+ * Create a Token/ETH pool with the funder's liquidity
+ * @param {string} ethAmount - ETH in the pool (--poolLiquidity), with tokens at TOKENS_PER_ETH
+ * @returns {Promise<string>} - Pair address
+ */
+async function createLiquidityPool(provider, funderWallet, contracts, tokenAddress, ethAmount = '100') {
+  console.log(`\n💧 Creating Token/ETH liquidity pool for ${tokenAddress}...`);
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, funderWallet);
+  const router = new ethers.Contract(contracts.router, ROUTER_ABI, funderWallet);
+
+  // Approve router for initial liquidity (100 ETH and 1B tokens by default, a cheap token)
+  const liquidityEthAmount = ethers.parseEther(String(ethAmount));
+  const liquidityTokenAmount = liquidityEthAmount * TOKENS_PER_ETH;
+
+  let nonce = await funderWallet.getNonce();
+
+  const approveTx = await token.approve(contracts.router, liquidityTokenAmount, { nonce: nonce++ });
+  await approveTx.wait();
+  console.log(`   Approved router to spend tokens`);
+
+  // Add liquidity
+  const deadline = Math.floor(Date.now() / 1000) + 3600;
+  const addLiqTx = await router.addLiquidityETH(
+    tokenAddress,
+    liquidityTokenAmount,
+    liquidityTokenAmount,
+    liquidityEthAmount,
+    funderWallet.address,
+    deadline,
+    { value: liquidityEthAmount, nonce: nonce++, gasLimit: 5000000 }
+  );
+  await addLiqTx.wait();
+
+  // Get pair address (the factory comes from the router when it was pre-deployed)
+  const factoryAddress = contracts.factory ||
+    await new ethers.Contract(contracts.router, ['function factory() view returns (address)'], provider).factory();
+  const factoryAbi = ['function getPair(address, address) view returns (address)'];
+  const factory = new ethers.Contract(factoryAddress, factoryAbi, provider);
+  const pair = await factory.getPair(tokenAddress, contracts.weth);
+
+  console.log(`✅ Liquidity added! Pair: ${pair}`);
+  console.log(`   Price: 1 ETH = ${Number(liquidityTokenAmount) / Number(liquidityEthAmount) / 1e18 * 1e18} tokens`);
+
+  return pair;
+}
+
+/**
+ * Create a Token/Token2 pool with the funder's liquidity (1:1)
+ * @returns {Promise<string>} - Pair address
+ */
+async function createTokenPool(provider, funderWallet, contracts) {
+  console.log(`\n💧 Creating Token/Token2 liquidity pool...`);
+
+  const router = new ethers.Contract(contracts.router, ROUTER_ABI, funderWallet);
+  const liquidityAmount = ethers.parseUnits('1000000000', 18); // 1B of each token
+
+  let nonce = await funderWallet.getNonce();
+
+  for (const tokenAddress of [contracts.token, contracts.token2]) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, funderWallet);
+    const approveTx = await token.approve(contracts.router, liquidityAmount, { nonce: nonce++ });
+    await approveTx.wait();
+  }
+  console.log(`   Approved router to spend both tokens`);
+
+  const deadline = Math.floor(Date.now() / 1000) + 3600;
+  const addLiqTx = await router.addLiquidity(
+    contracts.token,
+    contracts.token2,
+    liquidityAmount,
+    liquidityAmount,
+    liquidityAmount,
+    liquidityAmount,
+    funderWallet.address,
+    deadline,
+    { nonce: nonce++, gasLimit: 5000000 }
+  );
+  await addLiqTx.wait();
+
+  const factoryAddress = contracts.factory ||
+    await new ethers.Contract(contracts.router, ['function factory() view returns (address)'], provider).factory();
+  const factory = new ethers.Contract(factoryAddress, ['function getPair(address, address) view returns (address)'], provider);
+  const pair = await factory.getPair(contracts.token, contracts.token2);
+
+  console.log(`✅ Liquidity added! Pair: ${pair}`);
+
+  return pair;
+}
+
 // =============================================================================
 // Account Management
 // =============================================================================
 
+/**
+ * Wait for setup transactions to be mined, batchSize at a time
+ * @param {Object} provider
+ * @param {Array<string>} hashes
+ * @param {number} batchSize
+ * @param {string} what - For errors, e.g. "NFT setup failed: mint"
+ * @returns {Promise<void>} - Throws for the first one that isn't mined in time or reverted
+ */
+async function waitForSetupReceipts(provider, hashes, batchSize, what) {
+  const timeoutMs = Math.max(30000, hashes.length * 100);
+  for (let i = 0; i < hashes.length; i += batchSize) {
+    await Promise.all(hashes.slice(i, i + batchSize).map(async (hash) => {
+      const receipt = await provider.waitForTransaction(hash, 1, timeoutMs).catch(() => null);
+      if (!receipt) throw new Error(`${what} ${hash} not mined within ${formatDuration(timeoutMs)}`);
+      if (receipt.status !== 1) throw new Error(`${what} ${hash} reverted`);
+    }));
+  }
+}
+
 async function createAndFundSenders(provider, funderWallet, count, config, contracts) {
   console.log(`\n📦 Creating ${count} sender accounts...`);
 
@@ -329,18 +708,43 @@ async function createAndFundSenders(provider, funderWallet, count, config, contr
   console.log(`\n💸 Funding ${count} sender accounts...`);
   console.log(`   ETH per sender: ${ethers.formatEther(ethFunding)} ETH`);
 
-  if (config.txMix.tokenTransfer > 0) {
+  // Token-selling swaps (sell, round-trip, multi-hop) and LP adds spend tokens through the router
+  const swapsSellTokens = config.txMix.swap > 0 && swapsSpendTokens(parseSwapModes(config.swapMode));
+  const lpModes = config.txMix.liquidity > 0 ? parseLpModes(config.lpMode) : [];
+  const lpAddsTokens = lpModes.includes('add-eth') || lpModes.includes('add-tokens');
+  const needsTokens = config.txMix.tokenTransfer > 0 || swapsSellTokens || lpAddsTokens;
+
+  // Token-selling swaps over several pools (--pools) sell any pool's token
+  const shardTokens = swapsSellTokens && config.dexPlan ? config.dexPlan.tokens.slice(1) : [];
+
+  // Token2 for token-token LP adds, LP tokens (of the Token/WETH pair) for removes
+  const tokenTransfers = [
+    needsTokens && contracts.token && [contracts.token, tokenFunding],
+    fundingNeeds.token2PerSender > 0n && [contracts.token2, fundingNeeds.token2PerSender],
+    fundingNeeds.lpTokensPerSender > 0n && [config.liquidityPlan.pair, fundingNeeds.lpTokensPerSender],
+    ...shardTokens.map(token => [token, fundingNeeds.shardTokensPerSender]),
+    ...fundingNeeds.pluginTokens,
+  ].filter(Boolean);
+
+  if (needsTokens) {
     console.log(`   Tokens per sender: ${ethers.formatUnits(tokenFunding, 18)} tokens`);
   }
+  if (fundingNeeds.token2PerSender > 0n) {
+    console.log(`   Token2 per sender: ${ethers.formatUnits(fundingNeeds.token2PerSender, 18)} tokens`);
+  }
+  if (shardTokens.length > 0) {
+    console.log(`   Pool tokens per sender: ${ethers.formatUnits(fundingNeeds.shardTokensPerSender, 18)} of each of ${shardTokens.length} more tokens`);
+  }
+  if (fundingNeeds.lpTokensPerSender > 0n) {
+    console.log(`   LP tokens per sender: ${ethers.formatUnits(fundingNeeds.lpTokensPerSender, 18)}`);
+  }
 
-  // Get funder's nonce and fee data with buffer
+  // Get funder's nonce
   let nonce = await funderWallet.getNonce();
-  const feeData = await provider.getFeeData();
   const chainId = (await provider.getNetwork()).chainId;
 
-  // Use gas multiplier for funding too
-  const multiplier = BigInt(Math.floor((config.gasMultiplier || 2) * 100));
-  const maxFeePerGas = (feeData.maxFeePerGas || feeData.gasPrice) * multiplier / 100n;
+  // Funding and approvals use the run's gas strategy too (without a priority bid)
+  const { maxFeePerGas, maxPriorityFeePerGas } = config.gasPricing.current();
 
   // Pre-sign all ETH funding transactions
   console.log(`   Pre-signing ${count} ETH funding transactions...`);
@@ -356,7 +760,7 @@ async function createAndFundSenders(provider, funderWallet, count, config, contr
       chainId: chainId,
       type: 2,
       maxFeePerGas: maxFeePerGas,
-      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || 0n,
+      maxPriorityFeePerGas,
     };
 
     const signedTx = await funderWallet.signTransaction(tx);
@@ -464,10 +868,16 @@ async function createAndFundSenders(provider, funderWallet, count, config, contr
   console.log(`✅ ETH funded ${fundedSenders.length}/${count} sender accounts`);
 
   // Distribute tokens if needed
-  if (config.txMix.tokenTransfer > 0 && contracts.token && fundedSenders.length > 0) {
+  if (tokenTransfers.length > 0 && fundedSenders.length > 0) {
     console.log(`\n🪙 Distributing tokens to senders...`);
 
-    const token = new ethers.Contract(contracts.token, ERC20_ABI, funderWallet);
+    // Removes burn LP tokens the funder hands out (it holds the setup pools' liquidity)
+    if (fundingNeeds.lpTokensPerSender > 0n) {
+      await ensureFunderLiquidity({
+        funderWallet, contracts, plan: config.liquidityPlan, needed: fundingNeeds.lpTokensPerSender * BigInt(fundedSenders.length),
+      });
+    }
+
     nonce = await funderWallet.getNonce();
 
     // Pre-sign token transfers
@@ -475,25 +885,27 @@ async function createAndFundSenders(provider, funderWallet, count, config, contr
     const iface = new ethers.Interface(ERC20_ABI);
 
     for (let i = 0; i < fundedSenders.length; i++) {
-      const data = iface.encodeFunctionData('transfer', [fundedSenders[i].address, tokenFunding]);
-      const tx = {
-        to: contracts.token,
-        value: 0n,
-        data: data,
-        nonce: nonce++,
-        gasLimit: 100000n,
-        chainId: chainId,
-        type: 2,
-        maxFeePerGas: maxFeePerGas,
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || 0n,
-      };
-
-      const signedTx = await funderWallet.signTransaction(tx);
-      tokenTxs.push({ signedTx, senderIdx: i });
+      for (const [tokenAddress, amount] of tokenTransfers) {
+        const data = iface.encodeFunctionData('transfer', [fundedSenders[i].address, amount]);
+        const tx = {
+          to: tokenAddress,
+          value: 0n,
+          data: data,
+          nonce: nonce++,
+          gasLimit: 100000n,
+          chainId: chainId,
+          type: 2,
+          maxFeePerGas: maxFeePerGas,
+          maxPriorityFeePerGas,
+        };
+
+        const signedTx = await funderWallet.signTransaction(tx);
+        tokenTxs.push({ signedTx, senderIdx: i });
+      }
     }
 
     // Broadcast token transfers
-    let tokenSuccess = 0;
+    const tokenHashes = [];
     for (let i = 0; i < tokenTxs.length; i += batchSize) {
       const batch = tokenTxs.slice(i, i + batchSize);
 
@@ -510,57 +922,61 @@ async function createAndFundSenders(provider, funderWallet, count, config, contr
             }),
           });
           const result = await response.json();
-          return result.result ? true : false;
+          return result.result || null;
         } catch {
-          return false;
+          return null;
         }
       });
 
-      const results = await Promise.all(batchPromises);
-      tokenSuccess += results.filter(r => r).length;
+      tokenHashes.push(...(await Promise.all(batchPromises)).filter(Boolean));
 
-      process.stdout.write(`\r   Token distribution: ${i + batch.length}/${fundedSenders.length}`);
+      process.stdout.write(`\r   Token distribution: ${i + batch.length}/${tokenTxs.length}`);
     }
     console.log();
 
-    // Wait for token transfers
-    await sleep(2000);
-    console.log(`✅ Token distribution sent (${tokenSuccess} txs)`);
+    // Mined before the funder's next nonce is read (NFT mints) and before senders spend the tokens
+    await waitForSetupReceipts(provider, tokenHashes, batchSize, 'Token distribution failed: transfer');
+    console.log(`✅ Tokens distributed (${tokenHashes.length} txs)`);
   }
 
-  // Approve router for swaps if needed
-  if (config.txMix.swap > 0 && contracts.router && fundedSenders.length > 0) {
-    console.log(`\n🔓 Approving router for all senders (for token->ETH swaps)...`);
+  // Mint the NFTs senders transfer during the run (TestNFT numbers each owner's tokens from 0)
+  const { erc721PerSender, erc1155BatchesPerSender } = calculateNftNeeds(config, fundedSenders.length);
+  if ((erc721PerSender > 0 && contracts.nft) || (erc1155BatchesPerSender > 0 && contracts.multiToken)) {
+    console.log(`\n🖼️  Minting NFTs to senders...`);
+    if (erc721PerSender > 0) console.log(`   ERC721: ${erc721PerSender} per sender`);
+    if (erc1155BatchesPerSender > 0) console.log(`   ERC1155: ${erc1155BatchesPerSender} of each of ${config.nftBatchSize} IDs per sender`);
 
-    const iface = new ethers.Interface(ERC20_ABI);
-    const approvalAmount = ethers.MaxUint256;
+    const erc721Iface = new ethers.Interface(ERC721_ABI);
+    const erc1155Iface = new ethers.Interface(ERC1155_ABI);
+    const batchIds = Array.from({ length: config.nftBatchSize }, (_, i) => BigInt(i + 1));
+    nonce = await funderWallet.getNonce();
 
-    // Each sender approves the router
-    let approvalSuccess = 0;
-    const approvalBatchSize = 50;
+    // Pre-sign mints (ERC721 in chunks, so one mint stays well under the block gas limit)
+    const mintTxs = [];
+    const addMint = async (to, data, gasLimit) => {
+      const tx = { to, value: 0n, data, nonce: nonce++, gasLimit, chainId, type: 2, maxFeePerGas, maxPriorityFeePerGas };
+      mintTxs.push(await funderWallet.signTransaction(tx));
+    };
 
-    for (let i = 0; i < fundedSenders.length; i += approvalBatchSize) {
-      const batch = fundedSenders.slice(i, i + approvalBatchSize);
+    for (const sender of fundedSenders) {
+      for (let minted = 0; contracts.nft && minted < erc721PerSender; minted += NFT_MINT_CHUNK) {
+        const count = Math.min(NFT_MINT_CHUNK, erc721PerSender - minted);
+        await addMint(contracts.nft, erc721Iface.encodeFunctionData('mintBatch', [sender.address, count]), 80000n + 60000n * BigInt(count));
+      }
+      if (contracts.multiToken && erc1155BatchesPerSender > 0) {
+        const amounts = batchIds.map(() => BigInt(erc1155BatchesPerSender));
+        await addMint(contracts.multiToken, erc1155Iface.encodeFunctionData('mintBatch', [sender.address, batchIds, amounts]), 80000n + 40000n * BigInt(batchIds.length));
+      }
+    }
 
-      const approvalPromises = batch.map(async (sender) => {
-        try {
-          const senderNonce = await sender.getNonce();
-          const data = iface.encodeFunctionData('approve', [contracts.router, approvalAmount]);
-
-          const tx = {
-            to: contracts.token,
-            value: 0n,
-            data: data,
-            nonce: senderNonce,
-            gasLimit: 100000n,
-            chainId: chainId,
-            type: 2,
-            maxFeePerGas: maxFeePerGas,
-            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || 0n,
-          };
-
-          const signedTx = await sender.signTransaction(tx);
+    // Broadcast mints
+    const mintHashes = [];
+    let mintError = null;
+    for (let i = 0; i < mintTxs.length; i += batchSize) {
+      const batch = mintTxs.slice(i, i + batchSize);
 
+      const batchPromises = batch.map(async (signedTx) => {
+        try {
           const response = await fetch(config.rpcUrl, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
@@ -572,22 +988,100 @@ async function createAndFundSenders(provider, funderWallet, count, config, contr
             }),
           });
           const result = await response.json();
-          return result.result ? true : false;
+          if (!result.result) mintError ??= result.error?.message || 'Unknown error';
+          return result.result || null;
+        } catch (err) {
+          mintError ??= err.message;
+          return null;
+        }
+      });
+
+      mintHashes.push(...(await Promise.all(batchPromises)).filter(Boolean));
+      process.stdout.write(`\r   Mints: ${i + batch.length}/${mintTxs.length}`);
+    }
+    console.log();
+
+    // A missing mint leaves a funder nonce gap and senders without the IDs they transfer
+    if (mintHashes.length < mintTxs.length) {
+      throw new Error(`NFT setup failed: ${mintTxs.length - mintHashes.length} of ${mintTxs.length} mints were not accepted (${mintError})`);
+    }
+    await waitForSetupReceipts(provider, mintHashes, batchSize, 'NFT setup failed: mint');
+    console.log(`✅ NFTs minted (${mintHashes.length} txs)`);
+  }
+
+  // Approve router for token-selling swaps (buys don't need it) and for the LP changes' tokens,
+  // and whatever plugins ask for: [token, spender]
+  const approvals = [
+    (swapsSellTokens || lpAddsTokens) && [contracts.token, contracts.router],
+    lpModes.includes('add-tokens') && [contracts.token2, contracts.router],
+    lpModes.includes('remove-eth') && [config.liquidityPlan.pair, contracts.router],
+    ...shardTokens.map(token => [token, contracts.router]),
+    ...fundingNeeds.pluginApprovals,
+  ].filter(Boolean);
+  if (approvals.length > 0 && fundedSenders.length > 0) {
+    const purposes = [swapsSellTokens && 'token-selling swaps', lpModes.length > 0 && 'LP changes', fundingNeeds.pluginApprovals.length > 0 && 'plugins'];
+    console.log(`\n🔓 Approving spenders for all senders (for ${purposes.filter(Boolean).join(' and ')})...`);
+
+    const iface = new ethers.Interface(ERC20_ABI);
+    const approvalAmount = ethers.MaxUint256;
+
+    // Each sender sends every approval (nonces in order)
+    const approvalHashes = [];
+    const approvalBatchSize = 50;
+
+    for (let i = 0; i < fundedSenders.length; i += approvalBatchSize) {
+      const batch = fundedSenders.slice(i, i + approvalBatchSize);
+
+      const approvalPromises = batch.map(async (sender) => {
+        const sent = [];
+        try {
+          const senderNonce = await sender.getNonce();
+
+          for (const [j, [tokenAddress, spender]] of approvals.entries()) {
+            const tx = {
+              to: tokenAddress,
+              value: 0n,
+              data: iface.encodeFunctionData('approve', [spender, approvalAmount]),
+              nonce: senderNonce + j,
+              gasLimit: 100000n,
+              chainId: chainId,
+              type: 2,
+              maxFeePerGas: maxFeePerGas,
+              maxPriorityFeePerGas,
+            };
+
+            const signedTx = await sender.signTransaction(tx);
+
+            const response = await fetch(config.rpcUrl, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({
+                jsonrpc: '2.0',
+                method: 'eth_sendRawTransaction',
+                params: [signedTx],
+                id: 1,
+              }),
+            });
+            const result = await response.json();
+            // Later approvals would wait on the missing nonce
+            if (!result.result) break;
+            sent.push(result.result);
+          }
         } catch {
-          return false;
+          // Counted as not sent
         }
+        return sent;
       });
 
-      const results = await Promise.all(approvalPromises);
-      approvalSuccess += results.filter(r => r).length;
+      approvalHashes.push(...(await Promise.all(approvalPromises)).flat());
 
       process.stdout.write(`\r   Approvals: ${i + batch.length}/${fundedSenders.length}`);
     }
     console.log();
 
-    // Wait for approvals to confirm
-    await sleep(2000);
-    console.log(`✅ Router approvals sent (${approvalSuccess} txs)`);
+    // Mined before the load reads each sender's starting nonce (one approval per pool with --pools)
+    await waitForSetupReceipts(provider, approvalHashes, batchSize, 'Approval failed: approval');
+    console.log(`✅ Approvals confirmed (${approvalHashes.length} txs)`);
   }
 
   if (fundedSenders.length < count) {
@@ -601,7 +1095,7 @@ async function createAndFundSenders(provider, funderWallet, count, config, contr
 // Transaction Preparation & Pre-signing (using payload-generator module)
 // =============================================================================
 
-async function prepareAndSignTransactions(senders, config, chainId, provider, contracts) {
+async function prepareAndSignTransactions(senders, config, chainId, provider, contracts, pool = null) {
   // Generate payload using the payload generator module
   const { unsignedTxs, expectedTxDetails } = await generatePayload({
     senders,
@@ -612,97 +1106,276 @@ async function prepareAndSignTransactions(senders, config, chainId, provider, co
   });
 
   // Sign transactions using the payload generator module
-  const { signedTxs, signDuration } = await signTransactions(unsignedTxs, formatDuration);
+  const { signedTxs, signDuration } = await signTransactions(unsignedTxs, formatDuration, pool, config.gasPricing);
 
   return { signedTxs, signDuration, expectedTxDetails };
 }
 
 // =============================================================================
-// Memory-Efficient Parallel Broadcaster
+// Broadcast Helpers
 // =============================================================================
 
-async function fireAndForgetBroadcast(signedTxs, config) {
-  console.log(`\n🚀 Broadcasting ${signedTxs.length} transactions...`);
-  console.log(`   Concurrency: ${config.concurrentRequests} parallel requests`);
-  console.log(`   Mix: ${config.txMix.ethTransfer}% ETH | ${config.txMix.tokenTransfer}% Token | ${config.txMix.swap}% Swap`);
+const ERROR_LABELS = {
+  'gas_price_too_low': 'Gas price too low',
+  'nonce_too_low': 'Nonce too low',
+  'nonce_too_high': 'Nonce too high',
+  'already_known': 'Already known',
+  'replacement_underpriced': 'Replacement underpriced',
+  'insufficient_funds': 'Insufficient funds',
+  'gas_too_low': 'Gas limit too low',
+  'timeout': 'Timeout',
+  'connection_error': 'Connection error',
+  'execution_reverted': 'Execution reverted',
+  'other': 'Other',
+  'unknown': 'Unknown',
+};
 
-  const startTime = Date.now();
+// Categorize error messages
+function categorizeError(errorMsg) {
+  if (!errorMsg) return 'unknown';
+  const msg = errorMsg.toLowerCase();
+  if (msg.includes('max fee per gas less than block base fee')) return 'gas_price_too_low';
+  if (msg.includes('nonce too low')) return 'nonce_too_low';
+  if (msg.includes('nonce too high')) return 'nonce_too_high';
+  if (msg.includes('already known')) return 'already_known';
+  if (msg.includes('replacement transaction underpriced')) return 'replacement_underpriced';
+  if (msg.includes('insufficient funds')) return 'insufficient_funds';
+  if (msg.includes('intrinsic gas too low')) return 'gas_too_low';
+  if (msg.includes('timeout') || msg.includes('etimedout')) return 'timeout';
+  if (msg.includes('connection') || msg.includes('econnrefused') || msg.includes('econnreset')) return 'connection_error';
+  if (msg.includes('fetch failed') || msg.includes('socket hang up')) return 'connection_error';
+  if (msg.includes('execution reverted')) return 'execution_reverted';
+  return 'other';
+}
+
+/**
+ * Dispatch order as shown in logs and the report
+ */
+function describeDispatchOrder(config) {
+  if (config.dispatchOrder === 'out-of-order') return `out-of-order (windows of ${config.outOfOrderWindow} nonces, highest first)`;
+  if (config.dispatchOrder === 'nonce') return 'nonce order (one request in flight per sender)';
+  return 'array order (no per-sender ordering)';
+}
+
+/**
+ * Transaction types whose broadcast records keep the signed copy and the sender's wallet:
+ * all of them when they may be re-signed after the broadcast (--stuckTimeout, --repairGaps),
+ * otherwise deployments and plugin types with a verifier, which are checked against their calldata.
+ * Other records hold a few numbers each, so long runs stay small.
+ */
+function retainedTxTypes(config) {
+  if (config.stuckTimeoutMs || config.repairGaps) return () => true;
+  const types = new Set([
+    ...Object.values(DEPLOY_TX_TYPES),
+    ...getActivePlugins(config.txMix).filter(plugin => plugin.verify).map(plugin => plugin.name),
+  ]);
+  return (txType) => types.has(txType);
+}
+
+/**
+ * Shared success/error bookkeeping for all broadcast modes.
+ * With a resubmitter, retryable failures are retried (re-signed with a
+ * higher fee, or resent after a backoff) before they count as errors.
+ * @param {Function} [retain] - From retainedTxTypes()
+ * @param {Function} [onAccept] - Called with each accepted entry as it is recorded
+ */
+function createBroadcastTracker(transport, resubmitter = null, retain = () => false, onAccept = null) {
+  const requestsBefore = transport.requestCount;
+  let externalRequests = 0;
   let successCount = 0;
+  let retriedSuccessCount = 0;
+  let retryCount = 0;
   let errorCount = 0;
   let firstError = null;
   const txHashes = [];
+  const failedTxs = [];
 
-  // Track error types
+  // Track error types (final failures) and retries per error type
   const errorTypes = new Map();
   const errorExamples = new Map();
+  const retryTypes = new Map();
 
-  // Simple semaphore using a counter
-  let activeCount = 0;
-  let nextIndex = 0;
-
-  // Categorize error messages
-  const categorizeError = (errorMsg) => {
-    if (!errorMsg) return 'unknown';
-    const msg = errorMsg.toLowerCase();
-    if (msg.includes('max fee per gas less than block base fee')) return 'gas_price_too_low';
-    if (msg.includes('nonce too low')) return 'nonce_too_low';
-    if (msg.includes('nonce too high')) return 'nonce_too_high';
-    if (msg.includes('already known')) return 'already_known';
-    if (msg.includes('replacement transaction underpriced')) return 'replacement_underpriced';
-    if (msg.includes('insufficient funds')) return 'insufficient_funds';
-    if (msg.includes('intrinsic gas too low')) return 'gas_too_low';
-    if (msg.includes('timeout') || msg.includes('ETIMEDOUT')) return 'timeout';
-    if (msg.includes('connection') || msg.includes('ECONNREFUSED')) return 'connection_error';
-    if (msg.includes('execution reverted')) return 'execution_reverted';
-    return 'other';
+  // What stays of an entry once it is settled: hash, nonce, sender address and type,
+  // plus what the reports read (see summarizeTx())
+  const record = ({ index, expectedFrom, nonce, txType, type, maxFee, tip, dataBytes, sender, signedTx }) => {
+    const kept = { index, expectedFrom, nonce, txType, type, maxFee, tip, dataBytes };
+    return retain(txType) ? { ...kept, sender, signedTx } : kept;
   };
 
-  // Create a pool of workers
-  const worker = async () => {
-    while (nextIndex < signedTxs.length) {
-      const idx = nextIndex++;
-      const { signedTx, index, expectedFrom, txType } = signedTxs[idx];
+  const recordError = (entry, errorMsg) => {
+    errorCount++;
+    const errorType = categorizeError(errorMsg);
+    failedTxs.push({ ...record(entry), errorType });
+    errorTypes.set(errorType, (errorTypes.get(errorType) || 0) + 1);
 
-      try {
-        const response = await fetch(config.rpcUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'eth_sendRawTransaction',
-            params: [signedTx],
-            id: index,
-          }),
-        });
+    if (!errorExamples.has(errorType)) {
+      errorExamples.set(errorType, errorMsg);
+    }
 
-        const result = await response.json();
+    if (!firstError) firstError = errorMsg;
+  };
 
-        if (result.result) {
-          successCount++;
-          txHashes.push({ hash: result.result, index, expectedFrom, txType });
-        } else {
-          errorCount++;
-          const errorMsg = result.error?.message || 'Unknown error';
-          const errorType = categorizeError(errorMsg);
-          errorTypes.set(errorType, (errorTypes.get(errorType) || 0) + 1);
-
-          if (!errorExamples.has(errorType)) {
-            errorExamples.set(errorType, errorMsg);
-          }
+  const accept = (entry, hash, attempt, acceptedAt = Date.now()) => {
+    successCount++;
+    if (attempt > 0) retriedSuccessCount++;
+    const accepted = { hash, ...record(entry), sentAt: entry.sentAt, acceptedAt };
+    txHashes.push(accepted);
+    onAccept?.(accepted);
+    return true;
+  };
 
-          if (!firstError) firstError = errorMsg;
-        }
+  const handleFailure = async (entry, errorMsg, attempt) => {
+    const errorType = categorizeError(errorMsg);
+
+    // A resend after a lost response can find the first copy already pooled or mined
+    if (entry.maybeDelivered && (errorType === 'already_known' || errorType === 'nonce_too_low')) {
+      return accept(entry, ethers.keccak256(entry.signedTx), attempt);
+    }
+
+    const strategy = resubmitter?.strategyFor(errorType, attempt);
+    if (!strategy) {
+      recordError(entry, errorMsg);
+      return false;
+    }
+
+    retryCount++;
+    retryTypes.set(errorType, (retryTypes.get(errorType) || 0) + 1);
+    await resubmitter.backoff(attempt);
+
+    let next;
+    try {
+      next = strategy === 'bump'
+        ? await resubmitter.rebid(entry)
+        : { ...entry, maybeDelivered: errorType === 'timeout' || errorType === 'connection_error' };
+    } catch (err) {
+      recordError(entry, err.message);
+      return false;
+    }
+    return attemptSend(next, attempt + 1);
+  };
+
+  const settle = (entry, response, attempt) => response.result
+    ? accept(entry, response.result, attempt, response.acceptedAt)
+    : handleFailure(entry, response.error?.message || 'Unknown error', attempt);
+
+  const attemptSend = async (entry, attempt) => {
+    let response;
+    try {
+      response = await transport.send('eth_sendRawTransaction', [entry.signedTx], entry.expectedFrom);
+    } catch (err) {
+      return handleFailure(entry, err.message, attempt);
+    }
+    return settle(entry, response, attempt);
+  };
+
+  return {
+    get successCount() { return successCount; },
+    get errorCount() { return errorCount; },
+
+    /** Record a send made by a broadcast worker thread; failures are retried from here */
+    settleExternal(entry, response) {
+      return settle({ ...entry, sentAt: response.sentAt }, response, 0);
+    },
+
+    /** Count requests made outside this tracker's transport (worker threads) */
+    addRequests(count) {
+      externalRequests += count;
+    },
+
+    /** Broadcast one signed entry, returns true if the node accepted it (possibly after retries) */
+    send(entry) {
+      return attemptSend({ ...entry, sentAt: Date.now() }, 0);
+    },
+
+    /** Broadcast several signed entries as one JSON-RPC batch, returns one boolean per entry */
+    async sendBatch(batch) {
+      if (batch.length === 1) return [await this.send(batch[0])];
+
+      const sentAt = Date.now();
+      const entries = batch.map(entry => ({ ...entry, sentAt }));
+      let responses;
+      try {
+        responses = await transport.sendBatch(entries.map(({ signedTx, expectedFrom }) => ({
+          method: 'eth_sendRawTransaction',
+          params: [signedTx],
+          key: expectedFrom,
+        })));
       } catch (err) {
-        errorCount++;
-        const errorType = categorizeError(err.message);
-        errorTypes.set(errorType, (errorTypes.get(errorType) || 0) + 1);
+        // The whole request failed, so every transaction in it did (retries go out one by one)
+        return Promise.all(entries.map(entry => handleFailure(entry, err.message, 0)));
+      }
+      return Promise.all(entries.map((entry, i) => settle(entry, responses[i], 0)));
+    },
+
+    /** Print the summary and build the result object */
+    finish(totalTime) {
+      console.log(`\n✅ Broadcast complete in ${formatDuration(totalTime)}`);
+      console.log(`   Success: ${successCount}, Failed: ${errorCount}`);
+      if (retryCount > 0) {
+        console.log(`   Retries: ${retryCount} (${retriedSuccessCount} txs succeeded after retrying)`);
+      }
+
+      if (firstError) {
+        console.log(`   First error: ${firstError.substring(0, 100)}...`);
+      }
+
+      // Convert errorTypes Map to object for return
+      const errorTypesObj = {};
+      for (const [type, count] of errorTypes) {
+        errorTypesObj[type] = count;
+      }
+
+      return {
+        txHashes,
+        failedTxs,
+        successCount,
+        errorCount,
+        firstError,
+        broadcastDuration: totalTime,
+        errorTypes: errorTypesObj,
+        transport: describeTransport(transport),
+        rpcRequests: transport.requestCount - requestsBefore + externalRequests,
+        endpoints: transport.stats ? transport.stats() : null,
+        retriedSuccessCount,
+        retryCount,
+        retryTypes: Object.fromEntries(retryTypes),
+      };
+    },
+  };
+}
+
+// =============================================================================
+// Memory-Efficient Parallel Broadcaster
+// =============================================================================
+
+async function fireAndForgetBroadcast(signedTxs, config, transport, resubmitter = null) {
+  console.log(`\n🚀 Broadcasting ${signedTxs.length} transactions over ${describeTransport(transport)}...`);
+  console.log(`   Concurrency: ${config.concurrentRequests} parallel requests`);
+  if (config.batchSize > 1) console.log(`   Batch size: ${config.batchSize} transactions per request`);
+  console.log(`   Dispatch order: ${describeDispatchOrder(config)}`);
+  console.log(`   Mix: ${formatTxMix(config.txMix)}`);
 
-        if (!firstError) firstError = err.message;
+  const startTime = Date.now();
+  const tracker = createBroadcastTracker(transport, resubmitter, retainedTxTypes(config));
+  const scheduler = createDispatchScheduler(signedTxs, { order: config.dispatchOrder, window: config.outOfOrderWindow });
+  const { batchSize } = config;
+
+  // Create a pool of workers
+  const worker = async () => {
+    while (scheduler.remaining > 0) {
+      const batch = scheduler.take(batchSize);
+      if (batch.length === 0) {
+        // Every sender with work left is waiting for a response
+        await scheduler.waitForReady();
+        continue;
       }
+      await tracker.sendBatch(batch);
+      scheduler.release(batch);
 
-      // Progress update
+      // Progress update (once per 100 txs)
+      const { successCount, errorCount } = tracker;
       const total = successCount + errorCount;
-      if (total % 100 === 0 || total === signedTxs.length) {
+      if (Math.floor(total / 100) > Math.floor((total - batch.length) / 100) || total === signedTxs.length) {
         const elapsed = Date.now() - startTime;
         const rate = (total / elapsed) * 1000;
         process.stdout.write(`\r   Progress: ${total}/${signedTxs.length} (✓${successCount} ✗${errorCount}) ${rate.toFixed(0)} tx/s`);
@@ -719,123 +1392,785 @@ async function fireAndForgetBroadcast(signedTxs, config) {
   // Wait for all workers to complete
   await Promise.all(workers);
 
-  const endTime = Date.now();
-  const totalTime = endTime - startTime;
+  return tracker.finish(Date.now() - startTime);
+}
 
-  console.log(`\n✅ Broadcast complete in ${formatDuration(totalTime)}`);
-  console.log(`   Success: ${successCount}, Failed: ${errorCount}`);
+// =============================================================================
+// Worker Thread Broadcaster
+// =============================================================================
 
-  if (firstError) {
-    console.log(`   First error: ${firstError.substring(0, 100)}...`);
-  }
+/**
+ * Fire-and-forget from worker threads (--workers=N --workerBroadcast). Each
+ * worker opens its own transport; responses come back to this thread, where
+ * they are counted and, with --retries, retried like any other send.
+ */
+async function workerThreadBroadcast(signedTxs, config, transport, resubmitter, pool) {
+  console.log(`\n🚀 Broadcasting ${signedTxs.length} transactions from ${pool.size} worker threads over ${describeTransport(transport)}...`);
+  console.log(`   Concurrency: ${config.concurrentRequests} parallel requests (split across workers)`);
+  if (config.batchSize > 1) console.log(`   Batch size: ${config.batchSize} transactions per request`);
+  console.log(`   Dispatch order: ${describeDispatchOrder(config)}`);
 
-  // Convert errorTypes Map to object for return
-  const errorTypesObj = {};
-  for (const [type, count] of errorTypes) {
-    errorTypesObj[type] = count;
+  const startTime = Date.now();
+  const tracker = createBroadcastTracker(transport, resubmitter, retainedTxTypes(config));
+
+  const { sends, requests } = await pool.broadcast(signedTxs, {
+    transportConfig: {
+      transport: config.transport,
+      rpcUrl: config.rpcUrl,
+      wsUrl: config.wsUrl,
+      wsConnections: config.wsConnections,
+      rpcUrls: config.rpcUrls,
+      endpointPolicy: config.endpointPolicy,
+      endpointWeights: config.endpointWeights,
+    },
+    concurrency: config.concurrentRequests,
+    batchSize: config.batchSize,
+    dispatch: { order: config.dispatchOrder, window: config.outOfOrderWindow },
+    onProgress: (sent) => {
+      const rate = (sent / Math.max(1, Date.now() - startTime)) * 1000;
+      process.stdout.write(`\r   Progress: ${sent}/${signedTxs.length} ${rate.toFixed(0)} tx/s`);
+    },
+  });
+
+  tracker.addRequests(requests);
+  await Promise.all(sends.map(({ entry, response }) => tracker.settleExternal(entry, response)));
+
+  return tracker.finish(Date.now() - startTime);
+}
+
+// =============================================================================
+// Transport Comparison (HTTP vs WebSocket)
+// =============================================================================
+
+/**
+ * Broadcast the first half over HTTP and the second half over WebSocket.
+ * Transactions are assigned to senders round-robin, so every sender's
+ * lower nonces are in the first half and nonce order is preserved.
+ */
+async function compareTransportsBroadcast(signedTxs, config, transports, resubmitter = null) {
+  const half = Math.ceil(signedTxs.length / 2);
+  const parts = [
+    { transport: transports.http, txs: signedTxs.slice(0, half) },
+    { transport: transports.ws, txs: signedTxs.slice(half) },
+  ];
+
+  const results = [];
+  for (const { transport, txs } of parts) {
+    results.push(await fireAndForgetBroadcast(txs, config, transport, resubmitter));
   }
 
+  // Merge both halves into one result for confirmation and analysis
+  const sum = (key) => results.reduce((total, r) => total + r[key], 0);
+  const mergeCounts = (key) => {
+    const merged = {};
+    for (const result of results) {
+      for (const [type, count] of Object.entries(result[key])) {
+        merged[type] = (merged[type] || 0) + count;
+      }
+    }
+    return merged;
+  };
+
   return {
-    txHashes,
-    successCount,
-    errorCount,
-    firstError,
-    broadcastDuration: totalTime,
-    errorTypes: errorTypesObj,
+    txHashes: results.flatMap(r => r.txHashes),
+    failedTxs: results.flatMap(r => r.failedTxs),
+    successCount: sum('successCount'),
+    errorCount: sum('errorCount'),
+    firstError: results.find(r => r.firstError)?.firstError || null,
+    broadcastDuration: sum('broadcastDuration'),
+    errorTypes: mergeCounts('errorTypes'),
+    transport: 'http vs ws',
+    rpcRequests: sum('rpcRequests'),
+    retriedSuccessCount: sum('retriedSuccessCount'),
+    retryCount: sum('retryCount'),
+    retryTypes: mergeCounts('retryTypes'),
+    transportComparison: results.map((r, i) => ({
+      transport: r.transport,
+      count: parts[i].txs.length,
+      successCount: r.successCount,
+      errorCount: r.errorCount,
+      durationMs: r.broadcastDuration,
+    })),
   };
 }
 
 // =============================================================================
-// Confirmation Tracking
+// Open-Loop Rate-Controlled Broadcaster
 // =============================================================================
 
-async function waitForConfirmations(provider, txHashes, timeoutMs = 120000) {
-  console.log(`\n⏳ Waiting for ${txHashes.length} transactions to confirm...`);
+async function rateLimitedBroadcast(signedTxs, config, profile, transport, resubmitter = null) {
+  console.log(`\n🎯 Broadcasting ${signedTxs.length} transactions at target rate over ${describeTransport(transport)}...`);
+  console.log(`   Profile: ${profile.description}`);
+  if (profile.isBounded) {
+    console.log(`   Duration: ${formatDuration(profile.durationMs)}`);
+  }
+  console.log(`   Max in-flight: ${config.concurrentRequests} requests`);
+  if (config.batchSize > 1) console.log(`   Batch size: up to ${config.batchSize} due transactions per request`);
+  console.log(`   Dispatch order: ${describeDispatchOrder(config)}`);
 
   const startTime = Date.now();
-  const receipts = [];
-  const pending = new Set(txHashes.map(t => t.hash));
+  const tracker = createBroadcastTracker(transport, resubmitter, retainedTxTypes(config));
+  const scheduler = createDispatchScheduler(signedTxs, { order: config.dispatchOrder, window: config.outOfOrderWindow });
+  const intervals = createIntervalTracker(profile, config.rateIntervalMs);
+  const tickMs = 5;
+  const { batchSize } = config;
+
+  let dispatched = 0;
+  let inFlight = 0;
+  let maxBacklog = 0;
+  const pendingSends = new Set();
+  let lastProgress = 0;
+
+  // Sends are not awaited by the dispatch loop: the schedule, not the node, decides when
+  // the next transaction goes out. The in-flight cap only protects the load generator.
+  while (dispatched < signedTxs.length) {
+    const elapsed = Date.now() - startTime;
+    const due = Math.min(signedTxs.length, Math.floor(profile.expectedCount(elapsed)));
+    maxBacklog = Math.max(maxBacklog, due - dispatched);
+
+    // Batches never wait to fill up: each one carries whatever is due, up to --batchSize.
+    // Due transactions whose sender still has one in flight wait for a later tick.
+    while (dispatched < due && inFlight < config.concurrentRequests) {
+      const batch = scheduler.take(Math.min(batchSize, due - dispatched));
+      if (batch.length === 0) break;
+      dispatched += batch.length;
+      const sentAtMs = Date.now() - startTime;
+      batch.forEach(() => intervals.recordSent(sentAtMs));
+      inFlight++;
+
+      const promise = tracker.sendBatch(batch).then(results => {
+        results.forEach(ok => intervals.recordResult(sentAtMs, ok));
+        scheduler.release(batch);
+        inFlight--;
+        pendingSends.delete(promise);
+      });
+      pendingSends.add(promise);
+    }
 
-  // Dynamically adjust batch size based on total transactions
-  const batchSize = Math.min(500, Math.max(100, Math.floor(txHashes.length / 50)));
+    if (elapsed >= profile.durationMs) break;
 
-  while (pending.size > 0 && Date.now() - startTime < timeoutMs) {
-    const checkBatch = Array.from(pending).slice(0, batchSize);
+    if (elapsed - lastProgress >= 500) {
+      lastProgress = elapsed;
+      const target = profile.rateAt(elapsed);
+      const rate = (dispatched / Math.max(1, elapsed)) * 1000;
+      process.stdout.write(`\r   Sent: ${dispatched}/${signedTxs.length} (✓${tracker.successCount} ✗${tracker.errorCount}) target ${target.toFixed(0)} tx/s, avg ${rate.toFixed(0)} tx/s, in-flight ${inFlight}   `);
+    }
 
-    const receiptPromises = checkBatch.map(async (hash) => {
-      try {
-        const receipt = await provider.getTransactionReceipt(hash);
-        if (receipt) {
-          pending.delete(hash);
-          return receipt;
-        }
-      } catch {
-        // Ignore errors, will retry
-      }
-      return null;
-    });
+    await sleep(tickMs);
+  }
 
-    const batchReceipts = await Promise.all(receiptPromises);
+  const dispatchDuration = Date.now() - startTime;
 
-    for (const receipt of batchReceipts) {
-      if (receipt) receipts.push(receipt);
-    }
+  // Wait for outstanding requests
+  await Promise.all(pendingSends);
 
-    process.stdout.write(`\r On-chain Verifying ${receipts.length}/${txHashes.length}`);
+  const result = tracker.finish(Date.now() - startTime);
 
-    if (pending.size > 0) {
-      await sleep(200);
-    }
+  if (dispatched < signedTxs.length) {
+    console.log(`   ⚠️  Profile ended with ${signedTxs.length - dispatched} transactions unsent`);
+  }
+  if (maxBacklog > config.concurrentRequests) {
+    console.log(`   ⚠️  Fell behind schedule by up to ${maxBacklog} txs (raise --concurrent?)`);
   }
 
-  const confirmDuration = Date.now() - startTime;
-  console.log(`\n✅ Confirmed ${receipts.length}/${txHashes.length} in ${formatDuration(confirmDuration)}`);
+  result.rateControl = {
+    profile: profile.description,
+    intervalMs: config.rateIntervalMs,
+    intervals: intervals.summarize(dispatchDuration),
+    maxBacklog,
+    unsent: signedTxs.length - dispatched,
+  };
 
-  return { receipts, confirmDuration };
+  return result;
 }
 
 // =============================================================================
-// TPS Analysis (Block-based)
+// Streaming Broadcaster (duration-based runs)
 // =============================================================================
 
-async function analyzeBlockTPS(provider, receipts, broadcastStartTime, broadcastEndTime, expectedTxDetails, txHashesWithMeta, config) {
-  if (receipts.length === 0) {
-    console.log('⚠️  No receipts to analyze');
-    return null;
-  }
+async function streamingBroadcast(builder, config, profile, transport, resubmitter = null, pool = null, confirmer = null) {
+  const durationMs = profile?.isBounded ? Math.min(config.durationMs, profile.durationMs) : config.durationMs;
 
-  console.log(`\n📊 Analyzing on-chain TPS...`);
+  console.log(`\n🌊 Streaming transactions for ${formatDuration(durationMs)} over ${describeTransport(transport)}...`);
+  console.log(`   Concurrency: ${config.concurrentRequests} parallel requests`);
+  console.log(`   Pipeline buffer: ${config.pipelineBuffer} signed transactions`);
+  if (config.batchSize > 1) console.log(`   Batch size: up to ${config.batchSize} transactions per request`);
+  if (pool) console.log(`   Signing: ${pool.size} worker threads`);
+  if (profile) console.log(`   Profile: ${profile.description}`);
 
-  // Find block range from receipts
-  const blockNumbers = [...new Set(receipts.map(r => r.blockNumber))].sort((a, b) => a - b);
-  const firstBlock = Math.min(...blockNumbers);
-  const lastBlock = Math.max(...blockNumbers);
+  const startTime = Date.now();
+  const tracker = createBroadcastTracker(transport, resubmitter, retainedTxTypes(config), confirmer?.add);
+  const intervals = profile ? createIntervalTracker(profile, config.rateIntervalMs) : null;
+  const pattern = getTxTypePattern(config.txMix, config.txOrder);
+
+  // Rate gate: sends wait in line for their slots in the profile schedule. One timer,
+  // set for when the next slot should be due, hands slots out instead of every send polling.
+  let dispatched = 0;
+  let maxBacklog = 0;
+  const waiting = [];
+  let gateTimer = null;
+  const openGate = () => {
+    gateTimer = null;
+    while (waiting.length > 0) {
+      const elapsed = Date.now() - startTime;
+      if (elapsed >= durationMs) {
+        for (const { resolve } of waiting.splice(0)) resolve(0);
+        return;
+      }
+      const expected = profile.expectedCount(elapsed);
+      const due = Math.floor(expected);
+      maxBacklog = Math.max(maxBacklog, due - dispatched);
+      if (dispatched >= due) {
+        // Until the next slot at the current rate (re-checked at least every 50ms, the rate may change)
+        const rate = profile.rateAt(elapsed);
+        const untilNextMs = rate > 0 ? (dispatched + 1 - expected) / rate * 1000 : Infinity;
+        gateTimer = setTimeout(openGate, Math.max(1, Math.min(Math.ceil(untilNextMs), 50, durationMs - elapsed)));
+        return;
+      }
+      const { max, resolve } = waiting.shift();
+      const granted = Math.min(max, due - dispatched);
+      dispatched += granted;
+      resolve(granted);
+    }
+  };
+  const acquire = profile ? (max) => new Promise(resolve => {
+    waiting.push({ max, resolve });
+    if (!gateTimer) openGate();
+  }) : null;
+
+  // A transaction that failed to sign still holds its sender's nonce: sign it again here,
+  // or failing that a zero-value self-transfer with the same nonce and fees in its place
+  const refill = async (unsigned) => {
+    try {
+      return await signTransaction(unsigned);
+    } catch {
+      const { sender, tx, index } = unsigned;
+      const fees = tx.gasPrice != null
+        ? { type: 0, gasPrice: tx.gasPrice }
+        : { type: 2, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+      return signTransaction({
+        sender, index, txType: TX_TYPES.ETH_TRANSFER,
+        tx: { ...fees, chainId: tx.chainId, nonce: tx.nonce, to: sender.address, value: 0n, gasLimit: 21000n },
+      });
+    }
+  };
 
-  console.log(`   Block range: ${firstBlock} - ${lastBlock} (${blockNumbers.length} blocks)`);
+  const stats = await runPipeline({
+    durationMs,
+    bufferSize: config.pipelineBuffer,
+    workers: config.concurrentRequests,
+    batchSize: config.batchSize,
+    build: (index) => builder.build(index, pattern[index % pattern.length]),
+    sign: signTransaction,
+    // Keep every worker busy: one batch signing per worker, one queued behind it
+    signBatch: pool ? (batch) => pool.signBatch(batch) : undefined,
+    signAhead: pool ? pool.size * 2 : 1,
+    refill,
+    send: async (entries) => {
+      const sentAtMs = Date.now() - startTime;
+      entries.forEach(() => intervals?.recordSent(sentAtMs));
+      const results = await tracker.sendBatch(entries);
+      results.forEach(ok => intervals?.recordResult(sentAtMs, ok));
+    },
+    acquire,
+    onProgress: ({ sent, queued, elapsedMs }) => {
+      const rate = (sent / Math.max(1, elapsedMs)) * 1000;
+      const remaining = Math.max(0, durationMs - elapsedMs);
+      process.stdout.write(`\r   ${formatDuration(elapsedMs)} elapsed, ${formatDuration(remaining)} left: sent ${sent} (✓${tracker.successCount} ✗${tracker.errorCount}) ${rate.toFixed(0)} tx/s, queued ${queued}${confirmer ? `, confirmed ${confirmer.confirmed}` : ''}   `);
+    },
+  });
 
-  // Fetch blocks (without full transaction data to avoid "response too large")
-  const blockPromises = [];
-  for (let i = firstBlock; i <= lastBlock; i++) {
-    blockPromises.push(provider.getBlock(i, false));
+  const result = tracker.finish(Date.now() - startTime);
+  console.log(`   Generated: ${stats.generated}, Signed: ${stats.signed}, Unsent at deadline: ${stats.unsent}`);
+
+  if (stats.sent > config.txCount) {
+    console.log(`   ⚠️  Sent ${stats.sent} txs but senders were funded for ~${config.txCount} (raise --estimatedTps if you see insufficient funds or reverts)`);
   }
-  const blocks = await Promise.all(blockPromises);
 
-  // Build transaction hash to metadata map
-  const txHashToMeta = new Map();
-  for (const { hash, index, expectedFrom, txType } of txHashesWithMeta) {
-    txHashToMeta.set(hash.toLowerCase(), { index, expectedFrom, txType });
+  result.signDuration = stats.signTimeMs;
+  result.pipeline = stats;
+
+  if (profile) {
+    result.rateControl = {
+      profile: profile.description,
+      intervalMs: config.rateIntervalMs,
+      intervals: intervals.summarize(stats.durationMs),
+      maxBacklog,
+      unsent: stats.unsent,
+    };
   }
 
-  // Analyze blocks
-  const blockStats = [];
-  let totalBlockTxCount = 0;
-  let ourTxCount = 0;
+  return result;
+}
+
+// =============================================================================
+// Confirmation Tracking
+// =============================================================================
+
+/**
+ * Receipt from a raw eth_getTransactionReceipt result, typed the way
+ * provider.getTransactionReceipt() returns it
+ */
+function receiptFromRpc(raw, provider) {
+  const toNumber = (value) => value == null ? null : Number(value);
+  const toBigInt = (value) => value == null ? null : BigInt(value);
+  const toAddress = (value) => value ? ethers.getAddress(value) : null;
+
+  return new ethers.TransactionReceipt({
+    to: toAddress(raw.to),
+    from: toAddress(raw.from),
+    contractAddress: toAddress(raw.contractAddress),
+    hash: raw.transactionHash,
+    index: toNumber(raw.transactionIndex),
+    blockHash: raw.blockHash,
+    blockNumber: toNumber(raw.blockNumber),
+    logsBloom: raw.logsBloom,
+    logs: (raw.logs || []).map(log => ({
+      transactionHash: log.transactionHash,
+      blockHash: log.blockHash,
+      blockNumber: toNumber(log.blockNumber),
+      address: toAddress(log.address),
+      data: log.data,
+      topics: log.topics,
+      index: toNumber(log.logIndex),
+      transactionIndex: toNumber(log.transactionIndex),
+    })),
+    gasUsed: toBigInt(raw.gasUsed),
+    cumulativeGasUsed: toBigInt(raw.cumulativeGasUsed),
+    blobGasUsed: toBigInt(raw.blobGasUsed),
+    gasPrice: toBigInt(raw.effectiveGasPrice ?? raw.gasPrice),
+    blobGasPrice: toBigInt(raw.blobGasPrice),
+    type: toNumber(raw.type ?? 0),
+    status: toNumber(raw.status),
+    root: raw.root,
+  }, provider);
+}
+
+/**
+ * Fetch receipts for a list of hashes, null for those not yet included.
+ * With a batch reader ({ transport, size }), lookups go out as JSON-RPC
+ * batches of that size instead of one request per hash.
+ */
+async function fetchReceipts(provider, hashes, batchReader = null) {
+  if (!batchReader) {
+    return Promise.all(hashes.map(hash => provider.getTransactionReceipt(hash).catch(() => null)));
+  }
+
+  const chunks = [];
+  for (let i = 0; i < hashes.length; i += batchReader.size) {
+    chunks.push(hashes.slice(i, i + batchReader.size));
+  }
+
+  const results = await Promise.all(chunks.map(async (chunk) => {
+    try {
+      const responses = await batchReader.transport.sendBatch(chunk.map(hash => ({
+        method: 'eth_getTransactionReceipt',
+        params: [hash],
+      })));
+      return responses.map(r => r.result ? receiptFromRpc(r.result, provider) : null);
+    } catch {
+      return chunk.map(() => null);
+    }
+  }));
+  return results.flat();
+}
+
+/**
+ * Pending lookup for confirmation: every copy of a transaction (its current
+ * hash plus any hashes it replaced) points at the same entry, and whichever
+ * copy is mined confirms it.
+ */
+function createPendingCopies(txHashes) {
+  const pending = new Map();
+  const copiesOf = (t) => [t.hash, ...(t.replacedHashes || [])].map(h => h.toLowerCase());
+  const add = (t) => {
+    for (const hash of copiesOf(t)) pending.set(hash, t);
+  };
+  txHashes.forEach(add);
+
+  return {
+    pending,
+    add,
+    /** Mark the entry behind a mined hash as confirmed, returns false if it already was */
+    resolve(hash) {
+      const t = pending.get(hash.toLowerCase());
+      if (!t) return false;
+      for (const copy of copiesOf(t)) pending.delete(copy);
+      t.hash = hash;
+      t.receiptSeenAt ??= Date.now();
+      return true;
+    },
+  };
+}
+
+/**
+ * Confirm the pending transactions mined in a block (receipts go to `receipts`).
+ * Throws when the block or one of those receipts can't be read yet, so the
+ * caller retries the block.
+ * @param {Object} copies - From createPendingCopies()
+ * @returns {Promise<Object>} - The block
+ */
+async function scanBlock(provider, number, { pending, resolve }, receipts, batchReader = null) {
+  const block = await provider.getBlock(number, false);
+  if (!block) throw new Error(`Block ${number} not available yet`);
+  const ours = block.transactions.filter(hash => pending.has(hash.toLowerCase()));
+
+  const blockReceipts = await fetchReceipts(provider, ours, batchReader);
+  for (const receipt of blockReceipts) {
+    if (receipt && resolve(receipt.hash)) receipts.push(receipt);
+  }
+  if (blockReceipts.some(receipt => !receipt)) throw new Error(`Receipts of block ${number} not available yet`);
+  return block;
+}
+
+async function waitForConfirmations(provider, txHashes, timeoutMs = 120000, batchReader = null) {
+  console.log(`\n⏳ Waiting for ${txHashes.length} transactions to confirm...`);
+
+  const startTime = Date.now();
+  const receipts = [];
+  const { pending, resolve } = createPendingCopies(txHashes);
+
+  // Dynamically adjust batch size based on total transactions
+  const batchSize = Math.min(500, Math.max(100, Math.floor(txHashes.length / 50)));
+
+  // Walk the pending hashes in turn; confirmed ones drop out of the live iterator
+  let keys = pending.keys();
+  const nextBatch = () => {
+    const batch = [];
+    while (batch.length < batchSize && batch.length < pending.size) {
+      let next = keys.next();
+      if (next.done) {
+        keys = pending.keys();
+        next = keys.next();
+      }
+      batch.push(next.value);
+    }
+    return batch;
+  };
+
+  while (pending.size > 0 && Date.now() - startTime < timeoutMs) {
+    const checkBatch = nextBatch();
+
+    // Errors count as not yet included and are retried
+    const batchReceipts = await fetchReceipts(provider, checkBatch, batchReader);
+
+    batchReceipts.forEach((receipt, i) => {
+      if (receipt && resolve(checkBatch[i])) receipts.push(receipt);
+    });
+
+    process.stdout.write(`\r On-chain Verifying ${receipts.length}/${txHashes.length}`);
+
+    if (pending.size > 0) {
+      await sleep(200);
+    }
+  }
+
+  const confirmDuration = Date.now() - startTime;
+  console.log(`\n✅ Confirmed ${receipts.length}/${txHashes.length} in ${formatDuration(confirmDuration)}`);
+
+  return { receipts, confirmDuration };
+}
+
+/**
+ * WebSocket variant: subscribe to newHeads and match each new block's
+ * transactions against the pending set, instead of polling every hash.
+ * Blocks mined since fromBlock (before the subscription existed) are scanned first.
+ */
+async function waitForInclusionByHeads(wsProvider, txHashes, timeoutMs = 120000, fromBlock = null, batchReader = null) {
+  console.log(`\n⏳ Waiting for ${txHashes.length} transactions to confirm (newHeads subscription)...`);
+
+  const startTime = Date.now();
+  const receipts = [];
+  const { pending, resolve } = createPendingCopies(txHashes);
+  let lastProcessed = fromBlock === null ? null : fromBlock - 1;
+  let processing = Promise.resolve();
+  let done;
+  const finished = new Promise(resolve => { done = resolve; });
+
+  const copies = { pending, resolve };
+  const processBlock = (number) => scanBlock(wsProvider, number, copies, receipts, batchReader);
+
+  // Process heads strictly in order; fill any gap the subscription skipped.
+  // A block that can't be read stays next in line and is retried on the next head.
+  const onHead = (number) => {
+    processing = processing.then(async () => {
+      lastProcessed ??= number - 1;
+      for (let n = lastProcessed + 1; n <= number; n++) {
+        try {
+          await processBlock(n);
+        } catch {
+          break;
+        }
+        lastProcessed = n;
+      }
+      process.stdout.write(`\r On-chain Verifying ${receipts.length}/${txHashes.length} (block ${number})`);
+      if (pending.size === 0) done();
+    });
+  };
+
+  await wsProvider.on('block', onHead);
+
+  // Catch up on blocks mined before the subscription
+  onHead(await wsProvider.getBlockNumber());
+
+  const timer = setTimeout(done, timeoutMs);
+  await finished;
+  clearTimeout(timer);
+  await wsProvider.off('block', onHead);
+  // Last chance for a block whose read failed after the final head
+  if (pending.size > 0) {
+    const head = await wsProvider.getBlockNumber().catch(() => null);
+    if (head !== null) onHead(head);
+  }
+  await processing;
+
+  const confirmDuration = Date.now() - startTime;
+  console.log(`\n✅ Confirmed ${receipts.length}/${txHashes.length} in ${formatDuration(confirmDuration)}`);
+
+  return { receipts, confirmDuration };
+}
+
+// A transaction can be mined before its eth_sendRawTransaction returns: the hashes of
+// blocks scanned this recently are still matched against newly accepted transactions
+const LATE_ACCEPT_WINDOW_MS = 60000;
+
+/**
+ * Confirmation alongside a soak run: accepted transactions are added as they
+ * are sent, and blocks from fromBlock on are scanned as they arrive, so only
+ * the tail is left to confirm after the deadline.
+ * @returns {Object} - { add(entry), confirmed, stop() } where stop() resolves to
+ *   { receipts, pending, nextBlock } (pending: entries not yet confirmed,
+ *   nextBlock: the first block a later confirmation has to scan)
+ */
+function createStreamingConfirmer(provider, fromBlock, batchReader = null) {
+  const receipts = [];
+  const copies = createPendingCopies([]);
+  let nextBlock = fromBlock;
+  let stopped = false;
+
+  // Recently scanned blocks ({ scannedAt, hashes }) and their hashes -> block number
+  const recentBlocks = [];
+  const recentHashes = new Map();
+  // Accepted after their block was scanned: { hash, number }, receipts fetched on the next poll
+  let late = [];
+
+  const remember = (block) => {
+    const now = Date.now();
+    const hashes = block.transactions.map(hash => hash.toLowerCase());
+    recentBlocks.push({ scannedAt: now, hashes });
+    for (const hash of hashes) recentHashes.set(hash, block.number);
+    while (now - recentBlocks[0].scannedAt > LATE_ACCEPT_WINDOW_MS) {
+      for (const hash of recentBlocks.shift().hashes) recentHashes.delete(hash);
+    }
+  };
+
+  const fetchLate = async () => {
+    const checking = late;
+    late = [];
+    const lateReceipts = await fetchReceipts(provider, checking.map(({ hash }) => hash), batchReader);
+    lateReceipts.forEach((receipt, i) => {
+      if (!receipt) late.push(checking[i]);
+      else if (copies.resolve(receipt.hash)) receipts.push(receipt);
+    });
+  };
+
+  const loop = (async () => {
+    while (!stopped) {
+      // A block that can't be read stays next in line and is retried on the next poll
+      try {
+        if (late.length > 0) await fetchLate();
+        const head = await provider.getBlockNumber();
+        for (; nextBlock <= head && !stopped; nextBlock++) {
+          remember(await scanBlock(provider, nextBlock, copies, receipts, batchReader));
+        }
+      } catch {
+        // Retried on the next poll
+      }
+      if (!stopped) await sleep(200);
+    }
+  })();
+
+  return {
+    add(entry) {
+      copies.add(entry);
+      const hash = entry.hash.toLowerCase();
+      if (recentHashes.has(hash)) late.push({ hash, number: recentHashes.get(hash) });
+    },
+
+    get confirmed() {
+      return receipts.length;
+    },
+
+    async stop() {
+      stopped = true;
+      await loop;
+      if (late.length > 0) await fetchLate().catch(() => {});
+      return {
+        receipts,
+        pending: [...new Set(copies.pending.values())],
+        // Blocks holding late transactions whose receipts are still missing are scanned again
+        nextBlock: Math.min(nextBlock, ...late.map(({ number }) => number)),
+      };
+    },
+  };
+}
+
+// =============================================================================
+// Stuck Transaction Replacement
+// =============================================================================
+
+/**
+ * Confirm, replacing transactions still unmined after --stuckTimeout with a
+ * fee-bumped copy (same nonce), for up to --maxReplacements rounds.
+ * Replaced entries keep their earlier hashes, since an earlier copy can still win.
+ */
+async function confirmWithReplacement(txHashes, timeoutMs, fromBlock, { config, confirm, transport, resubmitter }) {
+  const startTime = Date.now();
+  const receipts = [];
+  const stats = { rounds: 0, replaced: 0, failed: 0, earlierCopyMined: 0 };
+  let pending = txHashes;
+
+  for (let round = 0; ; round++) {
+    const lastRound = round >= config.maxReplacements;
+    const result = await confirm(pending, lastRound ? timeoutMs : config.stuckTimeoutMs, fromBlock);
+    receipts.push(...result.receipts);
+
+    const mined = new Set(result.receipts.map(r => r.hash.toLowerCase()));
+    pending = pending.filter(t => !mined.has(t.hash.toLowerCase()));
+    if (pending.length === 0 || lastRound) break;
+
+    stats.rounds++;
+    const before = { replaced: stats.replaced, failed: stats.failed };
+    console.log(`\n🔁 Replacing ${pending.length} transactions unmined after ${formatDuration(config.stuckTimeoutMs)} (round ${stats.rounds}/${config.maxReplacements})...`);
+
+    for (let i = 0; i < pending.length; i += config.concurrentRequests) {
+      await Promise.all(pending.slice(i, i + config.concurrentRequests).map(async (t) => {
+        try {
+          const replacement = await resubmitter.replace(t);
+          const response = await transport.send('eth_sendRawTransaction', [replacement.signedTx], t.expectedFrom);
+          if (!response.result) throw new Error(response.error?.message || 'Unknown error');
+
+          const replacedHashes = [...(t.replacedHashes || []), t.hash];
+          Object.assign(t, replacement, { hash: response.result, replacedHashes });
+          stats.replaced++;
+        } catch {
+          // Keep waiting for the current copy
+          stats.failed++;
+        }
+      }));
+    }
+    console.log(`   Replaced: ${stats.replaced - before.replaced}, Failed: ${stats.failed - before.failed}`);
+  }
+
+  // Confirmation accepts any copy, so an earlier one may have won
+  stats.earlierCopyMined = txHashes.filter(t => t.replacedHashes?.includes(t.hash)).length;
+
+  const confirmDuration = Date.now() - startTime;
+  if (stats.rounds > 0) {
+    console.log(`✅ Confirmed ${receipts.length}/${txHashes.length} in ${formatDuration(confirmDuration)} (with replacements)`);
+  }
+
+  return { receipts, confirmDuration, replacement: stats };
+}
+
+// =============================================================================
+// Nonce Gap Repair
+// =============================================================================
+
+/**
+ * Confirm in rounds of --gapCheck. After each round, senders with unconfirmed
+ * transactions are checked for nonce gaps, which are filled so the
+ * transactions queued behind them can be mined (see nonce-manager.js).
+ */
+async function confirmWithGapRepair(txHashes, timeoutMs, fromBlock, { config, confirm, nonceManager }) {
+  const startTime = Date.now();
+  const receipts = [];
+  let pending = txHashes;
+
+  for (;;) {
+    const remaining = timeoutMs - (Date.now() - startTime);
+    const result = await confirm(pending, Math.min(config.gapCheckMs, remaining), fromBlock);
+    receipts.push(...result.receipts);
+
+    const mined = new Set(result.receipts.map(r => r.hash.toLowerCase()));
+    pending = pending.filter(t => !mined.has(t.hash.toLowerCase()));
+    if (pending.length === 0 || Date.now() - startTime >= timeoutMs) break;
+
+    const gaps = await nonceManager.scan(pending);
+    if (gaps.length === 0) continue;
+
+    console.log(`\n🕳️  Nonce gaps at ${gaps.length} senders, filling...`);
+    const resentBefore = nonceManager.resent.length;
+    const counts = await nonceManager.repair(gaps);
+    console.log(`   Resent: ${counts.resent}, Rebroadcast: ${counts.rebroadcast}, Fillers: ${counts.filler}, Failed: ${counts.failed}`);
+
+    // Re-sent transactions are confirmed along with the rest
+    pending = [...pending, ...nonceManager.resent.slice(resentBefore)];
+  }
+
+  return { receipts, confirmDuration: Date.now() - startTime };
+}
+
+// =============================================================================
+// TPS Analysis (Block-based)
+// =============================================================================
+
+async function analyzeBlockTPS(provider, receipts, broadcastStartTime, broadcastEndTime, expectedTxDetails, txHashesWithMeta, config) {
+  if (receipts.length === 0) {
+    console.log('⚠️  No receipts to analyze');
+    return null;
+  }
+
+  console.log(`\n📊 Analyzing on-chain TPS...`);
+
+  // Find block range from receipts
+  const blockNumbers = [...new Set(receipts.map(r => r.blockNumber))].sort((a, b) => a - b);
+  const firstBlock = Math.min(...blockNumbers);
+  const lastBlock = Math.max(...blockNumbers);
+
+  console.log(`   Block range: ${firstBlock} - ${lastBlock} (${blockNumbers.length} blocks)`);
+
+  // Fetch blocks (without full transaction data to avoid "response too large")
+  const blockPromises = [];
+  for (let i = firstBlock; i <= lastBlock; i++) {
+    blockPromises.push(provider.getBlock(i, false));
+  }
+  const blocks = await Promise.all(blockPromises);
+
+  // Index receipts by hash (runs can have hundreds of thousands of receipts)
+  const receiptsByHash = new Map(receipts.map(r => [r.hash.toLowerCase(), r]));
+
+  // Envelopes (--txEnvelope) are compared per type: sent here, included below
+  const envelopeOf = (t) => TX_ENVELOPES[t.type ?? 2];
+  const byEnvelope = new Map();
+  for (const t of txHashesWithMeta) {
+    const envelope = envelopeOf(t);
+    if (!byEnvelope.has(envelope)) byEnvelope.set(envelope, { sent: 0, verified: 0, successful: 0, reverted: 0, gasUsed: 0n });
+    byEnvelope.get(envelope).sent++;
+  }
+
+  // Build transaction hash to metadata map
+  const txHashToMeta = new Map();
+  for (const t of txHashesWithMeta) {
+    const { hash, index, expectedFrom, txType } = t;
+    txHashToMeta.set(hash.toLowerCase(), { index, expectedFrom, txType, envelope: envelopeOf(t) });
+  }
+
+  // Analyze blocks
+  const blockStats = [];
+  let totalBlockTxCount = 0;
+  let ourTxCount = 0;
   let verifiedTxCount = 0;
   let verifiedSuccessfulCount = 0;
   let revertedTxCount = 0;
+  let ourGasUsed = 0n;
 
   // Track tx types in verified
-  const verifiedByType = { eth_transfer: 0, token_transfer: 0, swap: 0 };
+  const verifiedByType = Object.fromEntries(listTxTypes().map(({ txType }) => [txType, 0]));
+  const sentByType = {};
+  for (const { txType } of txHashesWithMeta) sentByType[txType] = (sentByType[txType] || 0) + 1;
+  const blockTimestamps = new Map();
+  const blockFees = new Map();
 
   for (const block of blocks) {
     if (!block) continue;
@@ -852,28 +2187,37 @@ async function analyzeBlockTPS(provider, receipts, broadcastStartTime, broadcast
         ourTxCount++;
 
         const meta = txHashToMeta.get(hashLower);
-        const receipt = receipts.find(r => r.hash.toLowerCase() === hashLower);
+        const receipt = receiptsByHash.get(hashLower);
 
         if (receipt) {
+          const envelope = byEnvelope.get(meta.envelope);
           verifiedTxCount++;
+          envelope.verified++;
+          envelope.gasUsed += receipt.gasUsed;
+          ourGasUsed += receipt.gasUsed;
           if (receipt.status === 1) {
             verifiedSuccessfulCount++;
+            envelope.successful++;
             if (meta.txType) {
               verifiedByType[meta.txType] = (verifiedByType[meta.txType] || 0) + 1;
             }
           } else {
             revertedTxCount++;
+            envelope.reverted++;
           }
         }
       }
     }
 
+    blockTimestamps.set(block.number, block.timestamp);
+    blockFees.set(block.number, { baseFeePerGas: block.baseFeePerGas, txCount: txHashes.length });
     blockStats.push({
       number: block.number,
       timestamp: block.timestamp,
       totalTxCount: txHashes.length,
       ourTxCount: blockOurTxCount,
       gasUsed: block.gasUsed,
+      gasLimit: block.gasLimit,
     });
   }
 
@@ -892,6 +2236,17 @@ async function analyzeBlockTPS(provider, receipts, broadcastStartTime, broadcast
   const broadcastTps = verifiedTxCount / actualTimeSpanSeconds;
   const confirmedBlockTps = verifiedSuccessfulCount / blockTimeSpanSeconds;
   const confirmedBroadcastTps = verifiedSuccessfulCount / actualTimeSpanSeconds;
+  const showEnvelopes = byEnvelope.size > 1 || !byEnvelope.has(TX_ENVELOPES[2]);
+
+  // Gas throughput next to TPS: a node can run out of gas per block before transactions per block
+  const blockGasUsed = blockStats.reduce((sum, b) => sum + b.gasUsed, 0n);
+  const blockGasLimit = blockStats.reduce((sum, b) => sum + b.gasLimit, 0n);
+  const gasThroughput = {
+    gasUsed: ourGasUsed,
+    blockMgasPerSecond: Number(ourGasUsed) / blockTimeSpanSeconds / 1e6,
+    broadcastMgasPerSecond: Number(ourGasUsed) / actualTimeSpanSeconds / 1e6,
+    blockFullness: blockGasLimit > 0n ? Number(blockGasUsed * 10000n / blockGasLimit) / 100 : null,
+  };
 
   return {
     blockCount: blockStats.length,
@@ -912,12 +2267,149 @@ async function analyzeBlockTPS(provider, receipts, broadcastStartTime, broadcast
     broadcastTps,
     confirmedBlockTps,
     confirmedBroadcastTps,
+    gasThroughput,
     peakBlock,
     blockStats,
     verifiedByType,
+    sentByType,
+    // Recipients of the ETH and token transfers built (see recipients.js), pools of the swaps (see dex-shards.js)
+    recipients: expectedTxDetails.recipients?.stats(),
+    pools: expectedTxDetails.pools?.stats(),
+    // Per envelope (--txEnvelope): counts, gas and inclusion latency, to compare them side by side
+    verifiedByEnvelope: showEnvelopes
+      ? Object.fromEntries([...byEnvelope].map(([envelope, counts]) => [envelope, {
+        ...counts,
+        avgGasUsed: counts.verified > 0 ? counts.gasUsed / BigInt(counts.verified) : null,
+      }]))
+      : null,
+    latencyByEnvelope: showEnvelopes
+      ? collectLatency(txHashesWithMeta, receiptsByHash, blockTimestamps, envelopeOf).byType
+      : null,
+    latency: collectLatency(txHashesWithMeta, receiptsByHash, blockTimestamps),
+    // Code read back from the addresses the deployments should have created
+    deployments: expectedTxDetails.deployment
+      ? await verifyDeployments(provider, txHashesWithMeta, receiptsByHash, { codeHash: expectedTxDetails.deployment.codeHash, verifyAll: config.verifyAll })
+      : null,
+    gasCost: summarizeGasCost(txHashesWithMeta, receiptsByHash, blockFees),
+    // Arbitrum's L1 share of the gas (gasUsedForL1), read back for calldata runs
+    l1Gas: config.txMix.calldata > 0 ? await collectL1Gas(provider, txHashesWithMeta, receiptsByHash) : null,
+    // Plugins' own receipt checks (see plugins.js)
+    plugins: await verifyPluginReceipts(provider, txHashesWithMeta, receiptsByHash, getActivePlugins(config.txMix), config.contracts),
   };
 }
 
+// =============================================================================
+// Max TPS Search Step
+// =============================================================================
+
+/**
+ * Run one open-loop step at a fixed rate with fresh senders and measure it
+ */
+async function runLoadStep(rate, stepNumber, { config, provider, readProvider, funderWallet, chainId, contracts, transport, resubmitter, confirm, pool, nonceManager }) {
+  const { stepDurationMs, maxLagMs } = config.findMax;
+  ui.printSection(`Step ${stepNumber}: ${rate} tx/s for ${ui.formatDuration(stepDurationMs)}`, '📶');
+
+  const profile = createLoadProfile({ profile: `constant:${rate}:${stepDurationMs}ms` });
+  const stepConfig = { ...config, txCount: profile.totalCount, rateIntervalMs: stepDurationMs };
+
+  const senders = await createAndFundSenders(provider, funderWallet, config.senderCount, stepConfig, contracts);
+  if (senders.length === 0) {
+    throw new Error(`No sender accounts could be funded for step ${stepNumber}`);
+  }
+  await sleep(1000);
+
+  const { signedTxs, expectedTxDetails } = await prepareAndSignTransactions(
+    senders, stepConfig, chainId, provider, contracts, pool
+  );
+
+  const fromBlock = await readProvider.getBlockNumber();
+  const broadcastStartTime = Date.now();
+  const sendResult = await rateLimitedBroadcast(signedTxs, stepConfig, profile, transport, resubmitter);
+  const broadcastEndTime = Date.now();
+  nonceManager?.track(sendResult);
+  const resentBefore = nonceManager?.resent.length ?? 0;
+
+  // Inclusion lag: time until every sender's last transaction is included. Nonces are
+  // sequential, so this also covers everything sent before it and is cheap to poll.
+  const lastPerSender = new Map();
+  for (const t of sendResult.txHashes) {
+    const prev = lastPerSender.get(t.expectedFrom);
+    if (!prev || t.index > prev.index) lastPerSender.set(t.expectedFrom, t);
+  }
+  const lagResult = await confirm([...lastPerSender.values()], maxLagMs + 5000, fromBlock);
+  const unconfirmed = lastPerSender.size - lagResult.receipts.length;
+
+  // Full receipts for the TPS analysis (also lets a backlog drain before the next step)
+  const confirmResult = await confirm(sendResult.txHashes, maxLagMs + 60000, fromBlock);
+  if (nonceManager) sendResult.txHashes.push(...nonceManager.resent.slice(resentBefore));
+
+  const tpsAnalysis = await analyzeBlockTPS(
+    readProvider, confirmResult.receipts, broadcastStartTime, broadcastEndTime,
+    expectedTxDetails, sendResult.txHashes, stepConfig
+  );
+
+  const attempted = sendResult.successCount + sendResult.errorCount;
+  const dispatched = sendResult.rateControl.intervals.reduce((sum, iv) => sum + iv.sent, 0);
+
+  return {
+    offered: signedTxs.length,
+    sentTps: dispatched / (stepDurationMs / 1000),
+    accepted: sendResult.successCount,
+    errors: sendResult.errorCount,
+    errorRate: attempted > 0 ? sendResult.errorCount / attempted : 0,
+    errorTypes: sendResult.errorTypes,
+    lagMs: lagResult.confirmDuration,
+    unconfirmed,
+    includedTps: tpsAnalysis?.blockBasedTps || 0,
+    confirmedTps: tpsAnalysis?.confirmedBlockTps || 0,
+  };
+}
+
+function generateMaxSearchReport(config, search) {
+  const { steps, best, knee, stopReason } = search;
+  ui.printSection('Max TPS Search Report', '📈');
+
+  ui.printSubSection('Configuration');
+  ui.printStats({
+    'Strategy': config.findMax.strategy,
+    'Step duration': ui.formatDuration(config.findMax.stepDurationMs),
+    'Sender accounts': config.senderCount,
+    'Transaction mix': formatTxMix(config.txMix, ' │ '),
+    'Limits': `lag ≤ ${ui.formatDuration(config.findMax.maxLagMs)}, errors ≤ ${config.findMax.maxErrorRate}%, gain ≥ ${config.findMax.minGain}%`,
+  });
+
+  ui.printSubSection('Steps');
+  ui.printTable(
+    ['Step', 'Offered', 'Sent', 'Confirmed', 'Errors', 'Lag', 'Result'],
+    steps.map((step, i) => [
+      i + 1,
+      `${step.rate}/s`,
+      `${step.sentTps.toFixed(1)}/s`,
+      `${step.confirmedTps.toFixed(1)}/s`,
+      `${(step.errorRate * 100).toFixed(2)}%`,
+      step.unconfirmed > 0 ? `>${ui.formatDuration(step.lagMs)}` : ui.formatDuration(step.lagMs),
+      step.sustainable ? 'ok' : step.breaches.map(b => LIMIT_LABELS[b] || b).join(', '),
+    ]),
+    [5, 9, 10, 11, 8, 9, 24]
+  );
+
+  if (steps.some(step => step.sentTps < step.rate * 0.95)) {
+    ui.warning('Some steps could not send at the offered rate: the load generator, not the node, limited them');
+  }
+
+  console.log(`\n   ${ui.colors.dim}Stopped: ${stopReason}${ui.colors.reset}`);
+
+  ui.printResultsBox('MAX SUSTAINABLE TPS', {
+    'Max sustainable confirmed TPS': best ? `${best.confirmedTps.toFixed(2)} tx/s` : 'none',
+    'At offered rate': best ? `${best.rate} tx/s` : '-',
+    'Knee point (offered)': knee ? `${knee.rate} tx/s` : 'not reached',
+    'Knee point (confirmed)': knee ? `${knee.confirmedTps.toFixed(2)} tx/s` : '-',
+  });
+
+  console.log(`\n${ui.colors.dim}${'─'.repeat(64)}${ui.colors.reset}`);
+  ui.success('Search completed!');
+}
+
 // =============================================================================
 // Report Generation
 // =============================================================================
@@ -928,11 +2420,31 @@ function generateReport(config, sendResult, confirmResult, tpsAnalysis) {
   // Configuration
   ui.printSubSection('Configuration');
   ui.printStats({
-    'Transaction count': ui.formatNumber(config.txCount),
+    'Transaction count': sendResult.pipeline ? `${ui.formatNumber(sendResult.pipeline.sent)} (streamed for ${ui.formatDuration(config.durationMs)})` : ui.formatNumber(config.txCount),
     'Sender accounts': config.senderCount,
     'Concurrent requests': config.concurrentRequests,
-    'Gas multiplier': `${config.gasMultiplier}x`,
-    'Transaction mix': `${config.txMix.ethTransfer}% ETH │ ${config.txMix.tokenTransfer}% Token │ ${config.txMix.swap}% Swap`,
+    'Broadcast transport': sendResult.transport,
+    'JSON-RPC batch size': config.batchSize > 1 ? config.batchSize : 'off',
+    'Dispatch order': sendResult.pipeline ? 'pipeline order' : describeDispatchOrder(config),
+    'Worker threads': config.workers > 0 ? `${config.workers} (${config.workerBroadcast ? 'signing + broadcast' : 'signing'})` : 'off',
+    'Read endpoint': config.readUrl || config.rpcUrl,
+    'Gas strategy': config.gasPricing.describe(),
+    'Transaction mix': formatTxMix(config.txMix, ' │ '),
+    ...(config.txOrder === 'random' ? { 'Type order': 'random' } : {}),
+    ...(config.txMix.ethTransfer > 0 || config.txMix.tokenTransfer > 0 ? {
+      'Recipients': describeRecipients({ model: config.recipients, count: config.recipientCount, skew: config.zipfSkew, senderCount: config.senderCount }),
+      'Transfer values': config.valueModel === 'uniform' ? 'uniform, up to twice the set value' : 'constant',
+    } : {}),
+    ...(config.txMix.swap > 0 ? { 'Swap modes': parseSwapModes(config.swapMode).join(', '), 'DEX pools': describeDex(config) } : {}),
+    ...(config.txMix.burn > 0 ? { 'Gas burns': config.gasBurner ? describeBurnPlan(config.gasBurner) : parseBurnModes(config.burnMode).join(', ') } : {}),
+    ...(config.txMix.calldata > 0 ? { 'Calldata': `${parseCalldataPatterns(config.calldataPattern).join(', ')}, ${config.calldataSize} bytes to ${config.calldataTarget === 'eoa' ? 'an EOA' : 'the sink contract'}` } : {}),
+    ...(config.plugins.length > 0 ? { 'Plugins': config.plugins.join(', ') } : {}),
+    ...(config.workloads.length > 0 ? { 'Workload specs': config.workloads.join(', ') } : {}),
+    ...(config.replay ? { 'Replay': `${config.replay}${config.replayMap.length > 0 ? ` (${config.replayMap.length} address mapping(s))` : ''}` } : {}),
+    ...(config.txMix.liquidity > 0 ? { 'LP modes': `${parseLpModes(config.lpMode).join(', ')} (${config.lpValue} ETH per change)` } : {}),
+    ...(config.txMix.deploy > 0 ? { 'Deployments': `${parseDeployModes(config.deployMode).join(', ')} (${config.deploySize} code)` } : {}),
+    'Envelopes': describeEnvelopes(parseTxEnvelopes(config.txEnvelope)),
+    'Load mode': sendResult.rateControl ? `open-loop (${sendResult.rateControl.profile})` : 'closed-loop',
   });
 
   // Broadcast metrics
@@ -944,29 +2456,111 @@ function generateReport(config, sendResult, confirmResult, tpsAnalysis) {
     'Broadcast failed': sendResult.errorCount > 0 ? ui.style.error(sendResult.errorCount) : '0',
     'Broadcast time': ui.formatDuration(sendResult.broadcastDuration),
     'Broadcast rate': `${broadcastRate} tx/s`,
+    'Broadcast requests': `${ui.formatNumber(sendResult.rpcRequests)} (${((sendResult.successCount + sendResult.errorCount) / Math.max(1, sendResult.rpcRequests)).toFixed(1)} txs each)`,
   });
 
   if (Object.keys(sendResult.errorTypes).length > 0) {
     console.log(`\n   ${ui.colors.dim}Error breakdown:${ui.colors.reset}`);
-    const errorLabels = {
-      'gas_price_too_low': 'Gas price too low',
-      'nonce_too_low': 'Nonce too low',
-      'nonce_too_high': 'Nonce too high',
-      'already_known': 'Already known',
-      'replacement_underpriced': 'Replacement underpriced',
-      'insufficient_funds': 'Insufficient funds',
-      'gas_too_low': 'Gas limit too low',
-      'timeout': 'Timeout',
-      'connection_error': 'Connection error',
-      'execution_reverted': 'Execution reverted',
-      'other': 'Other',
-      'unknown': 'Unknown',
-    };
     for (const [type, count] of Object.entries(sendResult.errorTypes)) {
-      console.log(`     ${ui.colors.dim}•${ui.colors.reset} ${errorLabels[type] || type}: ${ui.style.warning(count)}`);
+      console.log(`     ${ui.colors.dim}•${ui.colors.reset} ${ERROR_LABELS[type] || type}: ${ui.style.warning(count)}`);
     }
   }
 
+  // Retries (--retries)
+  if (config.maxRetries > 0) {
+    ui.printSubSection('Resubmission');
+    ui.printStats({
+      'First-try success': ui.style.success(sendResult.successCount - sendResult.retriedSuccessCount),
+      'Success after retries': String(sendResult.retriedSuccessCount),
+      'Failed after retries': String(sendResult.errorCount),
+      'Retries': String(sendResult.retryCount),
+    });
+    for (const [type, count] of Object.entries(sendResult.retryTypes)) {
+      console.log(`     ${ui.colors.dim}•${ui.colors.reset} ${ERROR_LABELS[type] || type}: ${ui.style.warning(count)} retries`);
+    }
+  }
+
+  // HTTP vs WebSocket broadcast rates (--transport=compare)
+  if (sendResult.transportComparison) {
+    ui.printSubSection('Transport Comparison');
+    ui.printTable(
+      ['Transport', 'Txs', 'Accepted', 'Failed', 'Time', 'Rate'],
+      sendResult.transportComparison.map(t => [
+        t.transport,
+        t.count,
+        t.successCount,
+        String(t.errorCount),
+        ui.formatDuration(t.durationMs),
+        `${(t.successCount / (t.durationMs / 1000)).toFixed(2)} tx/s`,
+      ]),
+      [18, 7, 9, 7, 9, 14]
+    );
+    const [http, ws] = sendResult.transportComparison.map(t => t.successCount / (t.durationMs / 1000));
+    if (http > 0) {
+      console.log(`\n   ${ui.colors.dim}WebSocket vs HTTP:${ui.colors.reset} ${ui.style.value(`${(ws / http).toFixed(2)}x`)}`);
+    }
+  }
+
+  // Per-endpoint breakdown (--rpcUrls)
+  if (sendResult.endpoints) {
+    ui.printSubSection('Endpoint Breakdown');
+    ui.printTable(
+      ['Endpoint', 'Requests', 'Calls', 'Accepted', 'Failed', 'Avg', 'p50', 'p99'],
+      sendResult.endpoints.map(e => [
+        config.endpointPolicy === 'weighted' ? `${e.url} (w=${e.weight})` : e.url,
+        String(e.requests),
+        String(e.accepted + e.failed),
+        String(e.accepted),
+        String(e.failed),
+        `${e.avgLatencyMs.toFixed(0)}ms`,
+        `${e.p50LatencyMs}ms`,
+        `${e.p99LatencyMs}ms`,
+      ]),
+      [34, 9, 7, 9, 7, 7, 7, 7]
+    );
+    console.log(`\n   ${ui.colors.dim}Requests are JSON-RPC messages (a batch is one), calls the transactions in them; Accepted and Failed count calls${ui.colors.reset}`);
+  }
+
+  // Streaming pipeline health (duration mode)
+  if (sendResult.pipeline) {
+    const p = sendResult.pipeline;
+    ui.printSubSection('Streaming Pipeline');
+    ui.printStats({
+      'Generated / signed / sent': `${ui.formatNumber(p.generated)} / ${ui.formatNumber(p.signed)} / ${ui.formatNumber(p.sent)}`,
+      'Sign failures': p.refilled > 0 ? `${p.signFailed} (${p.refilled} nonces refilled)` : p.signFailed,
+      'Queue high-water mark': `${p.queueHighWater}/${config.pipelineBuffer}`,
+      'Signer blocked (backpressure)': ui.formatDuration(p.producerWaitMs),
+      'Unsent at deadline': p.unsent,
+    });
+  }
+
+  // Achieved vs target rate (open-loop mode)
+  if (sendResult.rateControl) {
+    const { intervals, intervalMs, maxBacklog, unsent } = sendResult.rateControl;
+    ui.printSubSection(`Offered Load (per ${ui.formatDuration(intervalMs)})`);
+    ui.printTable(
+      ['Interval', 'Target', 'Sent', 'Accepted', 'Achieved', 'vs Target'],
+      intervals.map(iv => [
+        `${iv.startSec.toFixed(0)}s`,
+        `${iv.targetTps.toFixed(1)}/s`,
+        iv.sent,
+        iv.accepted,
+        `${iv.achievedTps.toFixed(1)}/s`,
+        iv.targetTps > 0 ? `${(iv.achievedTps / iv.targetTps * 100).toFixed(1)}%` : '-',
+      ]),
+      [10, 10, 8, 9, 10, 10]
+    );
+    // Rounded down, as the schedule hands out whole transactions (past float error in the sum)
+    const totalTarget = Math.floor(intervals.reduce((sum, iv) => sum + iv.targetTps * iv.widthSec, 0) + 1e-6);
+    const totalAccepted = intervals.reduce((sum, iv) => sum + iv.accepted, 0);
+    console.log();
+    ui.printStats({
+      'Offered vs accepted': `${ui.formatNumber(totalTarget)} → ${ui.formatNumber(totalAccepted)} (${ui.formatPercent(totalAccepted, totalTarget)})`,
+      'Max schedule backlog': `${maxBacklog} txs`,
+      'Unsent at profile end': unsent,
+    });
+  }
+
   // Confirmation metrics
   ui.printSubSection('Confirmation Metrics');
   ui.printStats({
@@ -974,6 +2568,43 @@ function generateReport(config, sendResult, confirmResult, tpsAnalysis) {
     'Confirmation time': ui.formatDuration(confirmResult.confirmDuration),
   });
 
+  // Stuck transaction replacement (--stuckTimeout)
+  if (confirmResult.replacement) {
+    const r = confirmResult.replacement;
+    ui.printStats({
+      'Replacement rounds': String(r.rounds),
+      'Replacements sent': String(r.replaced),
+      'Replacements rejected': String(r.failed),
+      'Mined as earlier copy': String(r.earlierCopyMined),
+    });
+  }
+
+  // Nonce gaps found and filled during confirmation
+  if (confirmResult.nonceGaps?.repairs.length > 0) {
+    const { senders, repairs } = confirmResult.nonceGaps;
+    const shown = repairs.slice(0, 20);
+    ui.printSubSection('Nonce Gaps');
+    ui.printStats({
+      'Senders with gaps': String(senders),
+      'Nonces repaired': String(repairs.filter(r => r.hash !== null).length),
+    });
+    ui.printTable(
+      ['Sender', 'Nonce', 'Confirmed', 'Expected', 'Cause', 'Resolution'],
+      shown.map(r => [
+        `${r.address.slice(0, 10)}…`,
+        String(r.nonce),
+        String(r.confirmed),
+        String(r.expected),
+        r.cause,
+        r.attempts > 1 ? `${r.resolution} (${r.attempts} tries)` : r.resolution,
+      ]),
+      [13, 7, 10, 9, 24, 28]
+    );
+    if (repairs.length > shown.length) {
+      console.log(`   ${ui.colors.dim}... and ${repairs.length - shown.length} more${ui.colors.reset}`);
+    }
+  }
+
   if (tpsAnalysis) {
     // On-chain verification
     ui.printSubSection('On-Chain Verification');
@@ -988,17 +2619,77 @@ function generateReport(config, sendResult, confirmResult, tpsAnalysis) {
     });
 
     // Breakdown by type if mixed
-    if (config.txMix.tokenTransfer > 0 || config.txMix.swap > 0) {
+    if (TX_MIX_SHARES.some(({ key }) => key !== 'ethTransfer' && config.txMix[key] > 0)) {
       console.log(`\n   ${ui.colors.dim}By transaction type:${ui.colors.reset}`);
-      console.log(`     ${ui.colors.dim}•${ui.colors.reset} ETH transfers:   ${ui.style.value(tpsAnalysis.verifiedByType.eth_transfer || 0)}`);
-      console.log(`     ${ui.colors.dim}•${ui.colors.reset} Token transfers: ${ui.style.value(tpsAnalysis.verifiedByType.token_transfer || 0)}`);
-      console.log(`     ${ui.colors.dim}•${ui.colors.reset} Swaps:           ${ui.style.value(tpsAnalysis.verifiedByType.swap || 0)}`);
+      // One line per type the run sent, modes (--swapMode, --deployMode, ...) as their own types
+      for (const { txType, name } of listTxTypes()) {
+        if (!tpsAnalysis.sentByType[txType]) continue;
+        console.log(`     ${ui.colors.dim}•${ui.colors.reset} ${`${name}:`.padEnd(16)} ${ui.style.value(tpsAnalysis.verifiedByType[txType] || 0)}`);
+      }
+    }
+
+    // How the ETH and token transfers were spread over recipients (--recipients)
+    const recipients = tpsAnalysis.recipients;
+    if (recipients?.transfers > 0) {
+      console.log(`\n   ${ui.colors.dim}Recipients:${ui.colors.reset} ${ui.style.value(ui.formatNumber(recipients.distinct))} distinct for ${ui.formatNumber(recipients.transfers)} transfers, the busiest got ${ui.style.value(`${recipients.hottestShare.toFixed(1)}%`)}`);
+    }
+
+    // How the swaps were spread over pools (--pools)
+    const pools = tpsAnalysis.pools;
+    if (pools?.swaps > 0 && config.pools > 1) {
+      console.log(`\n   ${ui.colors.dim}Pools:${ui.colors.reset} ${ui.style.value(pools.used)} of ${config.pools} used by ${ui.formatNumber(pools.swaps)} swaps, the busiest got ${ui.style.value(`${pools.busiestShare.toFixed(1)}%`)}`);
+    }
+
+    // Plugin receipt verifiers
+    for (const [name, result] of Object.entries(tpsAnalysis.plugins || {})) {
+      const passed = `${result.passed}/${result.checked}`;
+      console.log(`\n   ${ui.colors.dim}Plugin ${name}:${ui.colors.reset} ${result.failed > 0 ? ui.style.error(passed) : ui.style.success(passed)} successful receipts passed its verifier`);
+      if (result.firstError) console.log(`     ${ui.colors.dim}•${ui.colors.reset} First failure: ${ui.style.error(result.firstError)}`);
+    }
+
+    // Deployed code at the expected addresses (sender + nonce, or CREATE2 salt)
+    const deployments = tpsAnalysis.deployments;
+    if (deployments) {
+      const sampled = deployments.checked < deployments.deployed ? ` (sample of ${deployments.deployed}, --verifyAll for every one)` : '';
+      const failed = deployments.wrongAddress + deployments.missingCode;
+      console.log(`\n   ${ui.colors.dim}Deployments:${ui.colors.reset} ${failed > 0 ? ui.style.error(`${deployments.matched}/${deployments.checked}`) : ui.style.success(`${deployments.matched}/${deployments.checked}`)} with the expected code at the expected address${sampled}`);
+      if (deployments.wrongAddress > 0) console.log(`     ${ui.colors.dim}•${ui.colors.reset} Receipt names another address: ${ui.style.error(deployments.wrongAddress)}`);
+      if (deployments.missingCode > 0) console.log(`     ${ui.colors.dim}•${ui.colors.reset} No or different code: ${ui.style.error(deployments.missingCode)}`);
+    }
+
+    // Breakdown by envelope (--txEnvelope)
+    if (tpsAnalysis.verifiedByEnvelope) {
+      console.log(`\n   ${ui.colors.dim}By envelope:${ui.colors.reset}`);
+      const rejected = {};
+      for (const entry of sendResult.failedTxs || []) {
+        const envelope = TX_ENVELOPES[entry.type ?? 2];
+        rejected[envelope] = (rejected[envelope] || 0) + 1;
+      }
+      const inclusion = (envelope, p) => {
+        const m = tpsAnalysis.latencyByEnvelope?.[envelope]?.inclusion;
+        return m ? ui.formatDuration(Math.round(m[p])) : '-';
+      };
+      ui.printTable(
+        ['Envelope', 'Sent', 'Failed', 'Confirmed', 'Reverted', 'Gas (avg)', 'Incl. p50', 'Incl. p90'],
+        Object.entries(tpsAnalysis.verifiedByEnvelope).map(([envelope, e]) => [
+          envelope,
+          String(e.sent),
+          String(rejected[envelope] || 0),
+          String(e.successful),
+          String(e.reverted),
+          e.avgGasUsed === null ? '-' : e.avgGasUsed.toString(),
+          inclusion(envelope, 'p50'),
+          inclusion(envelope, 'p90'),
+        ]),
+        [13, 7, 8, 11, 10, 11, 11, 11]
+      );
     }
 
     // TPS Results Box
     ui.printTPSResults(
       { blockTps: tpsAnalysis.blockBasedTps, broadcastTps: tpsAnalysis.broadcastTps },
-      { blockTps: tpsAnalysis.confirmedBlockTps, broadcastTps: tpsAnalysis.confirmedBroadcastTps }
+      { blockTps: tpsAnalysis.confirmedBlockTps, broadcastTps: tpsAnalysis.confirmedBroadcastTps },
+      tpsAnalysis.gasThroughput
     );
 
     // Success rate
@@ -1006,6 +2697,83 @@ function generateReport(config, sendResult, confirmResult, tpsAnalysis) {
     const rateColor = successRate >= 99 ? ui.colors.brightGreen : successRate >= 90 ? ui.colors.brightYellow : ui.colors.brightRed;
     console.log(`\n   📈 Success Rate: ${rateColor}${successRate}%${ui.colors.reset} (${tpsAnalysis.verifiedSuccessfulCount}/${tpsAnalysis.verifiedTxCount})`);
 
+    // Per-transaction latency percentiles, overall and per type
+    const { latency } = tpsAnalysis;
+    if (latency.all.submit) {
+      ui.printSubSection('Latency');
+      const types = Object.keys(latency.byType);
+      const groups = [['all', latency.all], ...(types.length > 1 ? types.map(t => [t, latency.byType[t]]) : [])];
+      const ms = (v) => ui.formatDuration(Math.round(v));
+      ui.printTable(
+        ['Type', 'Metric', 'Count', 'p50', 'p90', 'p99', 'Max'],
+        groups.flatMap(([type, metrics]) => LATENCY_METRICS
+          .filter(metric => metrics[metric])
+          .map((metric, i) => {
+            const m = metrics[metric];
+            return [i === 0 ? type : '', metric, String(m.count), ms(m.p50), ms(m.p90), ms(m.p99), ms(m.max)];
+          })),
+        [16, 10, 8, 9, 9, 9, 9]
+      );
+      console.log(`\n   ${ui.colors.dim}submit = until the RPC accepted it, inclusion = until its block's timestamp (1s resolution),${ui.colors.reset}`);
+      console.log(`   ${ui.colors.dim}receipt = until confirmation saw the receipt (confirmation starts after the broadcast)${ui.colors.reset}`);
+    }
+
+    // What the signed max fees actually cost
+    const { gasCost } = tpsAnalysis;
+    if (gasCost) {
+      const gwei = (wei) => `${Number(ethers.formatUnits(wei, 'gwei')).toFixed(3)} gwei`;
+      ui.printSubSection('Gas Cost');
+      ui.printStats({
+        'Max fee signed (avg)': gwei(gasCost.avgMaxFee),
+        'Effective gas price (avg)': gwei(gasCost.avgEffective),
+        'Effective gas price (min / max)': `${gwei(gasCost.minEffective)} / ${gwei(gasCost.maxEffective)}`,
+        'Base fee (avg)': gasCost.avgBaseFee === null ? 'N/A' : gwei(gasCost.avgBaseFee),
+        'Max fee / paid': `${(Number(gasCost.avgMaxFee) / Math.max(1, Number(gasCost.avgEffective))).toFixed(2)}x`,
+        'Total fees paid': `${ethers.formatEther(gasCost.totalFees)} ETH (${gasCost.count} txs)`,
+      });
+
+      // Tip ordering (--gasStrategy=priority-bid)
+      if (gasCost.byTip) {
+        ui.printTable(
+          ['Tip', 'Txs', 'Effective (avg)', 'Block position (avg)'],
+          gasCost.byTip.map(t => [
+            gwei(t.tip),
+            String(t.count),
+            gwei(t.avgEffective),
+            t.avgPosition === null ? '-' : t.avgPosition.toFixed(2),
+          ]),
+          [16, 8, 18, 22]
+        );
+        console.log(`\n   ${ui.colors.dim}block position: 0 = first in its block, 1 = last (tip-ordered blocks put higher tips first)${ui.colors.reset}`);
+      }
+
+      // L1 data cost inside those fees (Arbitrum receipts' gasUsedForL1, calldata runs)
+      const { l1Gas } = tpsAnalysis;
+      const share = (part, whole) => `${(whole > 0n ? Number(part * 10000n / whole) / 100 : 0).toFixed(1)}%`;
+      const avg = (total, count) => (total / BigInt(Math.max(1, count))).toLocaleString();
+      if (l1Gas) {
+        console.log();
+        ui.printStats({
+          'L1 gas (gasUsedForL1)': `${l1Gas.l1Gas.toLocaleString()} of ${l1Gas.gasUsed.toLocaleString()} gas used (${share(l1Gas.l1Gas, l1Gas.gasUsed)})`,
+          'L1 fees': `${ethers.formatEther(l1Gas.l1Fees)} of ${ethers.formatEther(l1Gas.totalFees)} ETH (${share(l1Gas.l1Fees, l1Gas.totalFees)})`,
+        });
+        ui.printTable(
+          ['Type', 'Txs', 'Calldata (avg)', 'L1 gas (avg)', 'L2 gas (avg)', 'L1 share'],
+          Object.entries(l1Gas.byType).map(([type, t]) => [
+            type,
+            String(t.count),
+            `${Math.round(t.calldataBytes / t.count).toLocaleString()} B`,
+            avg(t.l1Gas, t.count),
+            avg(t.gasUsed - t.l1Gas, t.count),
+            share(t.l1Gas, t.gasUsed),
+          ]),
+          [20, 7, 15, 14, 14, 10]
+        );
+      } else if (config.txMix.calldata > 0) {
+        console.log(`\n   ${ui.colors.dim}L1 gas: receipts have no gasUsedForL1 (only Arbitrum chains report it)${ui.colors.reset}`);
+      }
+    }
+
     // Peak block
     ui.printSubSection('Peak Block');
     ui.printStats({
@@ -1050,7 +2818,251 @@ async function main() {
     config = await interactiveConfig(config);
   }
 
-  console.log(`\n${ui.colors.dim}Transaction Mix:${ui.colors.reset} ${ui.style.value(`${config.txMix.ethTransfer}%`)} ETH │ ${ui.style.value(`${config.txMix.tokenTransfer}%`)} Token │ ${ui.style.value(`${config.txMix.swap}%`)} Swap`);
+  // Plugins and contract-call specs add their shares to --txMix, so they load before it is parsed
+  const loadedTypes = [];
+  for (const spec of config.plugins) {
+    try {
+      const plugin = await loadPlugin(spec);
+      registerPlugin(plugin);
+      loadedTypes.push({ name: plugin.name, flag: `--plugin=${spec}` });
+      ui.printKeyValue('Plugin', `${plugin.name} (${spec})`, 3);
+    } catch (err) {
+      ui.error(`--plugin=${spec}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  for (const path of config.workloads) {
+    try {
+      for (const workload of loadCallWorkloads(path)) {
+        registerPlugin(workload);
+        loadedTypes.push({ name: workload.name, flag: `--workload=${path}` });
+        ui.printKeyValue('Workload', `${workload.name} (${path})`, 3);
+      }
+    } catch (err) {
+      ui.error(`--workload=${path}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  if (config.replay) {
+    try {
+      const trace = loadReplayTrace(config.replay, parseReplayMap(config.replayMap));
+      registerPlugin(trace);
+      loadedTypes.push({ name: trace.name, flag: `--replay=${config.replay}` });
+      ui.printKeyValue('Replay', config.replay, 3);
+    } catch (err) {
+      ui.error(`--replay=${config.replay}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  try {
+    if (config.txMixSpec) config.txMix = parseTxMix(config.txMixSpec);
+    // Weighted variants (--txMix=swap_eth_to_token=20,swap_token_to_eth=10) set their type's mode cycle
+    for (const [option, modes] of Object.entries(parseTxMixModes(config.txMixSpec))) {
+      if (config[option] !== CONFIG[option]) ui.warning(`--txMix weights the ${option} variants, ignoring --${option}=${config[option]}`);
+      config[option] = modes;
+    }
+    config.txOrder = parseTxOrder(config.txOrder);
+    parseRecipientModel(config.recipients);
+    checkRecipientOptions({ count: config.recipientCount, skew: config.zipfSkew });
+    parseValueModel(config.valueModel);
+    parsePoolDistribution(config.poolDistribution);
+  } catch (err) {
+    ui.error(err.message);
+    process.exit(1);
+  }
+
+  // A loaded type without a --txMix share would never send a transaction
+  for (const { name, flag } of loadedTypes) {
+    if (!(config.txMix[name] > 0)) {
+      ui.error(`${flag} adds "${name}" but --txMix gives it no share (e.g. --txMix=eth_transfer=50,${name}=50)`);
+      process.exit(1);
+    }
+  }
+
+  if (!Number.isInteger(config.pools) || config.pools < 1 || !(Number(config.poolLiquidity) > 0)) {
+    ui.error('--pools must be a positive integer and --poolLiquidity a positive amount of ETH');
+    process.exit(1);
+  }
+
+  if (config.findMax.enabled) {
+    const { startRate, rateStep, maxRate, precision } = config.findMax;
+    if (!(startRate > 0) || !(rateStep > 0) || !(maxRate > 0)) {
+      ui.error('--startRate, --rateStep and --maxRate must be positive rates (tx/s)');
+      process.exit(1);
+    }
+    if (!(precision >= 1)) {
+      ui.error('--precision must be at least 1 tx/s');
+      process.exit(1);
+    }
+  }
+
+  if (config.findMax.enabled && (config.rate || config.profile || config.durationMs)) {
+    ui.warning('--findMax chooses its own rates; ignoring --rate, --profile and --duration');
+    config.rate = null;
+    config.profile = null;
+    config.durationMs = null;
+  }
+
+  if (config.transport === 'compare' && (config.findMax.enabled || config.rate || config.profile || config.durationMs)) {
+    ui.error('--transport=compare only works for closed-loop batch runs (no --findMax, --rate, --profile or --duration)');
+    process.exit(1);
+  }
+
+  if (!(config.batchSize >= 1)) {
+    ui.error('--batchSize must be a positive integer');
+    process.exit(1);
+  }
+
+  if (!GAS_STRATEGIES.includes(config.gasStrategy)) {
+    ui.error(`--gasStrategy must be one of: ${GAS_STRATEGIES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (config.priorityFees.some(tip => !(tip >= 0))) {
+    ui.error('--priorityFees must be a comma-separated list of tips in gwei, e.g. 0,1,2,5');
+    process.exit(1);
+  }
+
+  try {
+    parseSwapModes(config.swapMode);
+  } catch (err) {
+    ui.error(`--swapMode: ${err.message}`);
+    process.exit(1);
+  }
+
+  try {
+    parseLpModes(config.lpMode);
+  } catch (err) {
+    ui.error(`--lpMode: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!(parseFloat(config.lpValue) > 0)) {
+    ui.error('--lpValue must be a positive amount of ETH');
+    process.exit(1);
+  }
+
+  try {
+    parseCalldataPatterns(config.calldataPattern);
+    parseCalldataSize(config.calldataSize);
+  } catch (err) {
+    ui.error(`--calldataPattern / --calldataSize: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!CALLDATA_TARGETS.includes(config.calldataTarget)) {
+    ui.error(`--calldataTarget must be one of: ${CALLDATA_TARGETS.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    parseBurnModes(config.burnMode);
+  } catch (err) {
+    ui.error(`--burnMode: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!(config.nftBatchSize >= 1)) {
+    ui.error('--nftBatchSize must be a positive integer');
+    process.exit(1);
+  }
+
+  if (!(config.burnGas > 0)) {
+    ui.error('--burnGas must be a positive amount of gas');
+    process.exit(1);
+  }
+
+  try {
+    parseDeployModes(config.deployMode);
+    parseDeploySize(config.deploySize);
+  } catch (err) {
+    ui.error(`--deployMode / --deploySize: ${err.message}`);
+    process.exit(1);
+  }
+
+  try {
+    parseTxEnvelopes(config.txEnvelope);
+  } catch (err) {
+    ui.error(`--txEnvelope: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (!ethers.isAddress(config.delegateTo)) {
+    ui.error('--delegateTo must be an address');
+    process.exit(1);
+  }
+
+  if (!DISPATCH_ORDERS.includes(config.dispatchOrder)) {
+    ui.error(`--dispatchOrder must be one of: ${DISPATCH_ORDERS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (config.dispatchOrder === 'out-of-order' && !(config.outOfOrderWindow >= 2)) {
+    ui.error('--outOfOrderWindow must be at least 2');
+    process.exit(1);
+  }
+
+  if (config.durationMs && config.dispatchOrder !== 'array') {
+    ui.warning(`--dispatchOrder=${config.dispatchOrder} only applies to pre-signed runs; soak runs send in pipeline order`);
+  }
+
+  if (!(config.workers >= 0)) {
+    ui.error('--workers must be 0 or a positive integer');
+    process.exit(1);
+  }
+
+  if (!(config.wsConnections >= 1)) {
+    ui.error('--wsConnections must be a positive integer');
+    process.exit(1);
+  }
+
+  if (config.workerBroadcast && (!config.workers || config.findMax.enabled || config.rate || config.profile || config.durationMs || config.transport === 'compare')) {
+    ui.warning('--workerBroadcast needs --workers and a closed-loop run (no --findMax, --rate, --profile, --duration or --transport=compare); broadcasting from the main thread');
+    config.workerBroadcast = false;
+  }
+
+  if (config.rate !== null && !(config.rate > 0)) {
+    ui.error('--rate must be a positive number of tx/s');
+    process.exit(1);
+  }
+
+  if (config.rate && config.profile) {
+    ui.warning(`--profile=${config.profile} sets the rate; ignoring --rate=${config.rate}`);
+    config.rate = null;
+  }
+
+  // Open-loop load profile (null = closed-loop, as fast as possible)
+  let loadProfile;
+  try {
+    loadProfile = createLoadProfile(config);
+  } catch (err) {
+    ui.error(err.message);
+    process.exit(1);
+  }
+
+  if (config.durationMs) {
+    // Soak run: txCount only sizes sender funding
+    const runMs = loadProfile?.isBounded ? Math.min(config.durationMs, loadProfile.durationMs) : config.durationMs;
+    config.txCount = loadProfile
+      ? Math.floor(loadProfile.expectedCount(runMs))
+      : Math.ceil(config.estimatedTps * runMs / 1000);
+    console.log(`\n${ui.colors.dim}Duration:${ui.colors.reset} ${ui.style.value(ui.formatDuration(runMs))} (funding sized for ~${ui.formatNumber(config.txCount)} txs)`);
+  }
+
+  if (loadProfile) {
+    // A bounded profile defines how many transactions are needed
+    if (loadProfile.isBounded && !config.durationMs) {
+      config.txCount = loadProfile.totalCount;
+    }
+    if (!config.rateIntervalMs) {
+      const expectedMs = config.durationMs
+        || (loadProfile.isBounded ? loadProfile.durationMs : config.txCount / config.rate * 1000);
+      config.rateIntervalMs = Math.max(1000, Math.ceil(expectedMs / 30 / 1000) * 1000);
+    }
+    console.log(`\n${ui.colors.dim}Load profile:${ui.colors.reset} ${ui.style.value(loadProfile.description)} (${ui.formatNumber(config.txCount)} txs)`);
+  }
+
+  console.log(`\n${ui.colors.dim}Transaction Mix:${ui.colors.reset} ${ui.style.value(formatTxMix(config.txMix, ' │ '))}`);
 
   // Connect to provider
   ui.printSection('Connection', '🔗');
@@ -1072,6 +3084,82 @@ async function main() {
     process.exit(1);
   }
 
+  // Broadcast transports (plus a WebSocket provider for newHeads-based confirmation)
+  let transports;
+  try {
+    transports = await createTransports(config);
+  } catch (err) {
+    ui.error(`Failed to open ${config.rpcUrls.length > 0 ? 'broadcast endpoints' : `${config.transport} transport`}: ${err.message}`);
+    process.exit(1);
+  }
+  const transport = transports.pool || transports.ws || transports.http;
+  ui.printKeyValue('Broadcast transport', config.transport === 'compare' ? 'http vs ws' : describeTransport(transport), 3);
+  if (transports.pool) {
+    config.rpcUrls.forEach((url, i) => ui.printKeyValue(`Endpoint ${i + 1}`, url, 5));
+  }
+
+  // Confirmation and analysis read from --readUrl when given, over HTTP or WebSocket by its scheme
+  const readProvider = !config.readUrl
+    ? provider
+    : /^wss?:\/\//i.test(config.readUrl) ? new ethers.WebSocketProvider(config.readUrl) : new ethers.JsonRpcProvider(config.readUrl);
+  if (config.readUrl) ui.printKeyValue('Read endpoint', config.readUrl, 3);
+
+  // New heads for confirmation come from the read endpoint: --readUrl when it is a WebSocket
+  // (an HTTP one is polled), otherwise --wsUrl with --transport=ws
+  const wsProvider = config.readUrl
+    ? (readProvider instanceof ethers.WebSocketProvider ? readProvider : null)
+    : transports.ws ? new ethers.WebSocketProvider(config.wsUrl) : null;
+
+  // --batchSize also batches the receipt lookups: over the broadcast transport, unless
+  // reads have their own endpoint (or broadcasts are spread over several)
+  let readTransport = transport;
+  if (config.readUrl || transports.pool) {
+    try {
+      readTransport = await createTransportForUrl(config.readUrl || config.rpcUrl, config);
+    } catch (err) {
+      ui.error(`Failed to open read endpoint ${config.readUrl || config.rpcUrl}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  const batchReader = config.batchSize > 1 ? { transport: readTransport, size: config.batchSize } : null;
+  const waitForInclusion = (txHashes, timeoutMs, fromBlock) => wsProvider
+    ? waitForInclusionByHeads(wsProvider, txHashes, timeoutMs, fromBlock, batchReader)
+    : waitForConfirmations(readProvider, txHashes, timeoutMs, batchReader);
+
+  // Nonce gaps are checked between confirmation rounds (nonce lookups go to --rpcUrl)
+  const nonceManager = config.repairGaps
+    ? createNonceManager({ provider, transport, feeBumpPercent: config.feeBumpPercent })
+    : null;
+  const confirm = nonceManager
+    ? (txHashes, timeoutMs, fromBlock) => confirmWithGapRepair(txHashes, timeoutMs, fromBlock, { config, confirm: waitForInclusion, nonceManager })
+    : waitForInclusion;
+
+  const closeTransports = async () => {
+    await Promise.all(Object.values(transports).map(t => t.close()));
+    if (readTransport !== transport) await readTransport.close();
+    // The read provider itself stays open for the analysis
+    if (wsProvider && wsProvider !== readProvider) {
+      // Requests go out in order: once this returns, the eth_unsubscribe queued by
+      // off('block') has been sent and destroy() can't cancel it (an unhandled rejection)
+      await wsProvider.send('eth_blockNumber', []).catch(() => {});
+      await wsProvider.destroy();
+    }
+  };
+
+  // Retries and stuck-transaction replacement (both off by default)
+  const resubmitter = config.maxRetries > 0 || config.stuckTimeoutMs
+    ? createResubmitter({
+      provider,
+      maxRetries: config.maxRetries,
+      backoffMs: config.retryBackoffMs,
+      feeBumpPercent: config.feeBumpPercent,
+    })
+    : null;
+
+  // Signing (and broadcasting) threads
+  const pool = config.workers > 0 ? createWorkerPool(config.workers) : null;
+  if (pool) ui.printKeyValue('Worker threads', `${pool.size} (${config.workerBroadcast ? 'signing + broadcast' : 'signing'})`, 3);
+
   // Setup funder wallet
   const funderWallet = new ethers.Wallet(config.funderPrivateKey, provider);
   const funderBalance = await provider.getBalance(funderWallet.address);
@@ -1079,14 +3167,108 @@ async function main() {
   ui.printKeyValue('Funder', funderWallet.address, 3);
   ui.printKeyValue('Balance', `${ethers.formatEther(funderBalance)} ETH`, 3);
 
+  // Swap pools take --poolLiquidity ETH each, so a short funder stops before any contract is deployed
+  if (config.txMix.swap > 0 && funderBalance < dexLiquidityNeeded(config)) {
+    ui.error(`${config.pools} pool(s) with ${config.poolLiquidity} ETH each need ${ethers.formatEther(dexLiquidityNeeded(config))} ETH, the funder has ${ethers.formatEther(funderBalance)} ETH; lower --pools or --poolLiquidity`);
+    process.exit(1);
+  }
+
   // Get chain ID for transaction signing
   const network = await provider.getNetwork();
   const chainId = network.chainId;
 
-  // Setup contracts if needed (Token, Uniswap)
-  const contracts = await setupContracts(config, provider, funderWallet);
+  // Gas strategy for every transaction of the run (attached like the contracts)
+  try {
+    config.gasPricing = await createGasStrategy(config, provider);
+  } catch (err) {
+    ui.error(err.message);
+    process.exit(1);
+  }
+  ui.printKeyValue('Gas', config.gasPricing.describe(), 3);
+
+  // Setup contracts if needed (Token, Uniswap), then the plugins' own
+  let contracts = await setupContracts(config, provider, funderWallet);
+  try {
+    contracts = await setupPluginContracts({
+      plugins: getActivePlugins(config.txMix), provider, funderWallet, config, contracts,
+    });
+  } catch (err) {
+    ui.error(`Plugin setup failed: ${err.shortMessage || err.message}`);
+    process.exit(1);
+  }
   config.contracts = contracts;
 
+  // Gas burns: rounds per mode for --burnGas, measured once for the run (attached like the gas strategy)
+  if (config.txMix.burn > 0) {
+    try {
+      config.gasBurner = await calibrateGasBurner({
+        provider, funderWallet, burner: contracts.gasBurner, modes: parseBurnModes(config.burnMode), targetGas: config.burnGas,
+      });
+    } catch (err) {
+      ui.error(`Gas burner calibration failed: ${err.shortMessage || err.message}`);
+      process.exit(1);
+    }
+    ui.printKeyValue('Gas burn', describeBurnPlan(config.gasBurner), 3);
+  }
+
+  // Calldata: target and estimated gas limits per pattern (attached like the gas strategy)
+  if (config.txMix.calldata > 0) {
+    config.calldataPlan = await planCalldata({
+      provider,
+      from: funderWallet.address,
+      sink: config.calldataTarget === 'sink' ? contracts.calldataSink : null,
+      size: config.calldataSize,
+      patterns: parseCalldataPatterns(config.calldataPattern),
+    });
+    const limits = Object.entries(config.calldataPlan.gasLimits).map(([pattern, gas]) => `${pattern} ${gas.toLocaleString()}`).join(', ');
+    ui.printKeyValue('Calldata gas limits', limits, 3);
+  }
+
+  // LP changes: amounts per change from the pool price at setup (attached like the gas strategy)
+  if (config.txMix.liquidity > 0) {
+    try {
+      config.liquidityPlan = await planLiquidity({
+        provider, contracts, modes: parseLpModes(config.lpMode), ethValue: config.lpValue,
+      });
+    } catch (err) {
+      ui.error(`LP setup failed: ${err.shortMessage || err.message}`);
+      process.exit(1);
+    }
+    const { ethPerAdd, tokensPerAdd, liquidityPerRemove } = config.liquidityPlan;
+    ui.printKeyValue('LP change', `${ethers.formatEther(ethPerAdd)} ETH + up to ${ethers.formatUnits(tokensPerAdd, 18)} tokens per add, ${ethers.formatUnits(liquidityPerRemove, 18)} LP tokens per remove`, 3);
+  }
+
+  // Swaps: tokens and pools to spread them over (attached like the gas strategy)
+  if (config.txMix.swap > 0) {
+    try {
+      config.dexPlan = await setupDexShards({
+        provider, funderWallet, contracts, count: config.pools, ethPerPool: config.poolLiquidity,
+        tokenPairs: parseSwapModes(config.swapMode).includes('direct'),
+      });
+    } catch (err) {
+      ui.error(`DEX setup failed: ${err.shortMessage || err.message}`);
+      process.exit(1);
+    }
+    if (config.pools > 1) ui.printKeyValue('DEX', describeDex(config), 3);
+  }
+
+  // Max TPS search: every step funds its own senders and runs open-loop
+  if (config.findMax.enabled) {
+    const search = await findMaxSustainable({
+      ...config.findMax,
+      limits: config.findMax,
+      runStep: (rate, stepNumber) => runLoadStep(rate, stepNumber, {
+        config, provider, readProvider, funderWallet, chainId, contracts, transport, resubmitter, confirm, pool, nonceManager,
+      }),
+    });
+    await closeTransports();
+    if (readProvider !== provider) readProvider.destroy();
+    await pool?.close();
+    config.gasPricing.stop();
+    generateMaxSearchReport(config, search);
+    return;
+  }
+
   // Create and fund sender accounts (with tokens and approvals if needed)
   const senders = await createAndFundSenders(
     provider,
@@ -1104,35 +3286,87 @@ async function main() {
   // Small delay to ensure all setup transactions are fully processed
   await sleep(1000);
 
-  // Prepare and pre-sign all transactions
-  const { signedTxs, signDuration, expectedTxDetails } = await prepareAndSignTransactions(
-    senders, config, chainId, provider, contracts
-  );
+  let sendResult;
+  let expectedTxDetails;
+  let broadcastStartTime;
+  let broadcastEndTime;
+  let fromBlock;
+  let streamingConfirmer = null;
+
+  if (config.durationMs) {
+    // Soak run: build, sign and send continuously through a bounded pipeline
+    console.log(`\n🔧 Preparing streaming payload for ${senders.length} senders...`);
+    const builder = await createTxBuilder({ senders, provider, chainId, config, contracts });
+    expectedTxDetails = builder.expectedTxDetails;
+
+    fromBlock = await readProvider.getBlockNumber();
+    streamingConfirmer = createStreamingConfirmer(readProvider, fromBlock, batchReader);
+    broadcastStartTime = Date.now();
+    sendResult = await streamingBroadcast(builder, config, loadProfile, transport, resubmitter, pool, streamingConfirmer);
+    broadcastEndTime = Date.now();
+  } else {
+    // Prepare and pre-sign all transactions
+    const prepared = await prepareAndSignTransactions(
+      senders, config, chainId, provider, contracts, pool
+    );
+    expectedTxDetails = prepared.expectedTxDetails;
 
-  if (signedTxs.length === 0) {
-    console.error('❌ No transactions were signed successfully');
-    process.exit(1);
-  }
+    if (prepared.signedTxs.length === 0) {
+      console.error('❌ No transactions were signed successfully');
+      process.exit(1);
+    }
 
-  // Fire-and-forget broadcast pre-signed transactions
-  const broadcastStartTime = Date.now();
-  const sendResult = await fireAndForgetBroadcast(signedTxs, config);
-  const broadcastEndTime = Date.now();
-  sendResult.signDuration = signDuration;
+    // Fire-and-forget broadcast pre-signed transactions
+    fromBlock = await readProvider.getBlockNumber();
+    broadcastStartTime = Date.now();
+    if (config.transport === 'compare') {
+      sendResult = await compareTransportsBroadcast(prepared.signedTxs, config, transports, resubmitter);
+    } else if (config.workerBroadcast) {
+      sendResult = await workerThreadBroadcast(prepared.signedTxs, config, transport, resubmitter, pool);
+    } else {
+      sendResult = loadProfile
+        ? await rateLimitedBroadcast(prepared.signedTxs, config, loadProfile, transport, resubmitter)
+        : await fireAndForgetBroadcast(prepared.signedTxs, config, transport, resubmitter);
+    }
+    broadcastEndTime = Date.now();
+    sendResult.signDuration = prepared.signDuration;
+  }
 
   if (sendResult.txHashes.length === 0) {
     console.error('❌ No transactions were broadcast successfully');
     process.exit(1);
   }
 
-  // Wait for confirmations
-  const confirmResult = await waitForConfirmations(provider, sendResult.txHashes);
+  // Wait for confirmations (soak runs only have the tail left that streaming didn't confirm)
+  nonceManager?.track(sendResult);
+  let unconfirmed = sendResult.txHashes;
+  let confirmFrom = fromBlock;
+  const streamed = await streamingConfirmer?.stop();
+  if (streamed) {
+    console.log(`\n✅ Confirmed ${streamed.receipts.length}/${sendResult.txHashes.length} while streaming`);
+    unconfirmed = streamed.pending;
+    confirmFrom = streamed.nextBlock;
+  }
+  const confirmResult = config.stuckTimeoutMs
+    ? await confirmWithReplacement(unconfirmed, 120000, confirmFrom, {
+      config, confirm, transport, resubmitter,
+    })
+    : await confirm(unconfirmed, 120000, confirmFrom);
+  if (streamed) confirmResult.receipts = streamed.receipts.concat(confirmResult.receipts);
+  if (nonceManager) {
+    sendResult.txHashes.push(...nonceManager.resent);
+    confirmResult.nonceGaps = nonceManager.summary();
+  }
+  await closeTransports();
+  await pool?.close();
+  config.gasPricing.stop();
 
   // Analyze TPS from chain
   const tpsAnalysis = await analyzeBlockTPS(
-    provider, confirmResult.receipts, broadcastStartTime, broadcastEndTime,
+    readProvider, confirmResult.receipts, broadcastStartTime, broadcastEndTime,
     expectedTxDetails, sendResult.txHashes, config
   );
+  if (readProvider !== provider) readProvider.destroy();
 
   // Generate report
   generateReport(config, sendResult, confirmResult, tpsAnalysis);
@@ -0,0 +1,197 @@
+import { ethers } from 'ethers';
+
+/**
+ * Transaction Envelopes
+ *
+ * The generators build EIP-1559 (type 2) transactions; --txEnvelope re-wraps
+ * them as another envelope, or cycles through several (--txEnvelope=0,1,2,4
+ * or --txEnvelope=mix), per transaction type so every type gets every envelope:
+ * - 0 legacy:      gasPrice = the strategy's max fee (legacy pays all of it)
+ * - 1 access-list: legacy pricing plus an EIP-2930 access list of the
+ *                  contracts and storage slots the call touches
+ * - 2 eip-1559:    unchanged
+ * - 4 set-code:    EIP-7702, delegating (--delegateTo; the zero address clears
+ *                  it) a companion account of the sender, which pays for it
+ *
+ * The authorizing account is not the sender itself: a self-sponsored
+ * authorization also consumes the sender's next nonce, which would break the
+ * pre-assigned nonce sequence. Each sender gets one fresh companion key per
+ * run instead, whose authorization nonces run in the sender's nonce order.
+ *
+ * Access lists assume the storage layouts of the contracts this tool deploys:
+ * OpenZeppelin ERC20 (balances and allowances at slots 0 and 1), WETH9
+ * (balanceOf at slot 3) and UniswapV2Pair (token0/token1, reserves and lock).
+ * Listing the called contract itself costs more than it saves, so expect
+ * slightly higher gas.
+ */
+
+export const TX_ENVELOPES = {
+  0: 'legacy',
+  1: 'access-list',
+  2: 'eip-1559',
+  4: 'set-code',
+};
+
+// EIP-7702 charges this per authorization (partly refunded if the account exists)
+const AUTHORIZATION_GAS = 25000n;
+
+// Storage slots of the deployed contracts
+const ERC20_BALANCES_SLOT = 0;
+const ERC20_ALLOWANCES_SLOT = 1;
+const WETH_BALANCE_OF_SLOT = 3;
+// token0, token1, reserves and lock; the price accumulators (9, 10) only change on a block's first swap
+const PAIR_SWAP_SLOTS = [6, 7, 8, 12];
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+const slotKey = (slot) => ethers.zeroPadValue(ethers.toBeHex(slot), 32);
+const mappingKey = (address, slot) => ethers.keccak256(abiCoder.encode(['address', 'uint256'], [address, slot]));
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse --txEnvelope: a type ("2"), a comma-separated cycle ("0,2,2,4") or "mix" (all four)
+ * @returns {Array<number>} - Envelope types in cycle order
+ */
+export function parseTxEnvelopes(spec) {
+  if (spec === 'mix') return Object.keys(TX_ENVELOPES).map(Number);
+
+  const envelopes = String(spec).split(',').map(v => Number(v.trim()));
+  const invalid = envelopes.find(type => !(type in TX_ENVELOPES));
+  if (envelopes.length === 0 || invalid !== undefined) {
+    throw new Error(`Unknown transaction envelope in "${spec}" (expected 0, 1, 2, 4, a comma-separated list or mix)`);
+  }
+  return envelopes;
+}
+
+/**
+ * Extra gas limit per transaction for the envelopes in use (for funding estimates)
+ */
+export function envelopeGasOverhead(envelopes) {
+  return envelopes.includes(4) ? AUTHORIZATION_GAS : 0n;
+}
+
+/**
+ * Human-readable envelope list, e.g. "legacy / set-code"
+ */
+export function describeEnvelopes(envelopes) {
+  return [...new Set(envelopes)].map(type => `${type} (${TX_ENVELOPES[type]})`).join(' / ');
+}
+
+// =============================================================================
+// Wrapping
+// =============================================================================
+
+/**
+ * Create the envelope wrapper for a run
+ * @param {Object} options
+ * @param {Array<number>} options.envelopes - From parseTxEnvelopes()
+ * @param {Object} options.contracts - { token, weth } for access lists
+ * @param {string} options.delegateTo - EIP-7702 delegation target
+ * @returns {Object} - { wrap(tx, sender, txType) }
+ */
+export function createEnvelopeWrapper({ envelopes, contracts = {}, delegateTo = ethers.ZeroAddress }) {
+  const counters = new Map();
+  const authorities = new Map();  // sender address -> { wallet, nonce }
+
+  const accessListFor = (tx, sender, txType, swapRoute) => {
+    if (txType === 'token_transfer') {
+      const [recipient] = abiCoder.decode(['address', 'uint256'], ethers.dataSlice(tx.data, 4));
+      return [{
+        address: contracts.token,
+        storageKeys: [mappingKey(sender.address, ERC20_BALANCES_SLOT), mappingKey(recipient, ERC20_BALANCES_SLOT)],
+      }];
+    }
+    if (swapRoute && swapRoute.pairs.every(Boolean)) {
+      return swapAccessList({ ...swapRoute, ...swapEnds[txType] }, tx.to, sender.address);
+    }
+    return [];
+  };
+
+  // Swap directions (payload-generator.js SWAP_TX_TYPES) whose ETH goes in or comes out through the router
+  const swapEnds = {
+    swap_eth_to_token: { ethIn: true },
+    swap_token_to_eth: { ethOut: true },
+  };
+
+  const balanceKey = (token, owner) => mappingKey(owner, token === contracts.weth ? WETH_BALANCE_OF_SLOT : ERC20_BALANCES_SLOT);
+
+  /**
+   * Slots a router swap touches: every pair's state and token balances, the
+   * sender's input (or the router's WETH when ETH goes in) and the output
+   */
+  const swapAccessList = ({ path, pairs, ethIn, ethOut }, router, sender) => {
+    const keys = new Map();
+    const add = (address, key) => {
+      if (!keys.has(address)) keys.set(address, new Set());
+      if (key) keys.get(address).add(key);
+    };
+
+    pairs.forEach((pair, hop) => {
+      for (const slot of PAIR_SWAP_SLOTS) add(pair, slotKey(slot));
+      add(path[hop], balanceKey(path[hop], pair));
+      add(path[hop + 1], balanceKey(path[hop + 1], pair));
+    });
+
+    const [tokenIn, tokenOut] = [path[0], path[path.length - 1]];
+    if (ethIn) {
+      // The router wraps the ETH and transfers the WETH on
+      add(tokenIn, balanceKey(tokenIn, router));
+    } else {
+      add(tokenIn, balanceKey(tokenIn, sender));
+      add(tokenIn, ethers.keccak256(abiCoder.encode(['address', 'bytes32'], [router, mappingKey(sender, ERC20_ALLOWANCES_SLOT)])));
+    }
+    // ETH out: the last pair pays the router, which unwraps it for the sender
+    add(tokenOut, balanceKey(tokenOut, ethOut ? router : sender));
+
+    return [...keys].map(([address, storageKeys]) => ({ address, storageKeys: [...storageKeys] }));
+  };
+
+  return {
+    /**
+     * Re-wrap a built type 2 transaction in the next envelope for its type
+     * @param {Object} tx - Unsigned EIP-1559 transaction
+     * @param {Object} sender - Signing wallet
+     * @param {string} txType - Payload type (envelopes cycle per type)
+     * @param {Object} [swapRoute] - { path, pairs } of a swap: its tokens and the pair of each hop
+     * @returns {Object} - Unsigned transaction
+     */
+    wrap(tx, sender, txType, swapRoute = null) {
+      const count = counters.get(txType) || 0;
+      counters.set(txType, count + 1);
+      const envelope = envelopes[count % envelopes.length];
+
+      // Set-code transactions need a recipient: contract creations stay type 2
+      if (envelope === 2 || (envelope === 4 && tx.to == null)) return tx;
+
+      if (envelope === 4) {
+        if (!authorities.has(sender.address)) {
+          authorities.set(sender.address, { wallet: ethers.Wallet.createRandom(), nonce: 0 });
+        }
+        const authority = authorities.get(sender.address);
+        const authorization = authority.wallet.authorizeSync({ address: delegateTo, nonce: authority.nonce++, chainId: tx.chainId });
+        return {
+          ...tx,
+          type: 4,
+          gasLimit: BigInt(tx.gasLimit) + AUTHORIZATION_GAS,
+          // A serialized signature survives the trip to worker threads
+          authorizationList: [{ ...authorization, signature: authorization.signature.serialized }],
+        };
+      }
+
+      const { maxFeePerGas, maxPriorityFeePerGas, ...rest } = tx;
+      const legacy = { ...rest, type: envelope, gasPrice: maxFeePerGas };
+      if (envelope === 1) legacy.accessList = accessListFor(tx, sender, txType, swapRoute);
+      return legacy;
+    },
+  };
+}
+
+export default {
+  TX_ENVELOPES,
+  parseTxEnvelopes,
+  envelopeGasOverhead,
+  describeEnvelopes,
+  createEnvelopeWrapper,
+};
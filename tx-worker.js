@@ -0,0 +1,105 @@
+import { parentPort } from 'node:worker_threads';
+import { ethers } from 'ethers';
+import { createTransports } from './rpc-transport.js';
+import { createDispatchScheduler } from './dispatch-scheduler.js';
+
+/**
+ * Signing / Broadcasting Worker Thread
+ *
+ * Started by worker-pool.js. Every message is one job ({ id, type, payload })
+ * and gets exactly one reply with the same id ({ id, result } or { id, error }).
+ * Broadcast jobs also post { id, progress } updates while they run.
+ * - sign:      { keys, items: [{ key, tx }] } -> [{ signedTx } | { error }]
+ * - broadcast: { entries, transportConfig, concurrency, batchSize, dispatch } -> { responses, requests }
+ */
+
+// Signing wallets, cached by private key
+const wallets = new Map();
+
+function walletFor(privateKey) {
+  if (!wallets.has(privateKey)) wallets.set(privateKey, new ethers.Wallet(privateKey));
+  return wallets.get(privateKey);
+}
+
+// =============================================================================
+// Jobs
+// =============================================================================
+
+async function sign({ keys, items }) {
+  return Promise.all(items.map(async ({ key, tx }) => {
+    try {
+      return { signedTx: await walletFor(keys[key]).signTransaction(tx) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }));
+}
+
+/**
+ * Send signed entries over this worker's own transport, in dispatch order.
+ * The pool gives every sender to a single worker, so per-sender order holds.
+ * Responses keep the JSON-RPC shape, so the main thread can categorize
+ * and retry failures exactly like its own sends.
+ */
+async function broadcast(id, { entries, transportConfig, concurrency, batchSize, dispatch }) {
+  const transports = await createTransports(transportConfig);
+  const transport = transports.pool || transports.ws || transports.http;
+  const responses = new Array(entries.length);
+  const scheduler = createDispatchScheduler(entries.map((entry, slot) => ({ ...entry, slot })), dispatch);
+
+  let done = 0;
+
+  const lane = async () => {
+    while (scheduler.remaining > 0) {
+      const batch = scheduler.take(batchSize);
+      if (batch.length === 0) {
+        await scheduler.waitForReady();
+        continue;
+      }
+
+      const sentAt = Date.now();
+      let results;
+      try {
+        results = batch.length === 1
+          ? [await transport.send('eth_sendRawTransaction', [batch[0].signedTx], batch[0].expectedFrom)]
+          : await transport.sendBatch(batch.map(({ signedTx, expectedFrom }) => ({
+            method: 'eth_sendRawTransaction',
+            params: [signedTx],
+            key: expectedFrom,
+          })));
+      } catch (err) {
+        results = batch.map(() => ({ error: { message: err.message } }));
+      }
+
+      const acceptedAt = Date.now();
+      results.forEach(({ result, error }, j) => {
+        responses[batch[j].slot] = { result, error, sentAt, acceptedAt };
+      });
+      scheduler.release(batch);
+
+      done += batch.length;
+      if (Math.floor(done / 100) > Math.floor((done - batch.length) / 100)) {
+        parentPort.postMessage({ id, progress: done });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, () => lane()));
+
+  const requests = transport.requestCount;
+  await Promise.all(Object.values(transports).map(t => t.close()));
+  return { responses, requests };
+}
+
+// =============================================================================
+// Message Loop
+// =============================================================================
+
+parentPort.on('message', async ({ id, type, payload }) => {
+  try {
+    const result = type === 'sign' ? await sign(payload) : await broadcast(id, payload);
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
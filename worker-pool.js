@@ -0,0 +1,125 @@
+import { Worker } from 'node:worker_threads';
+import { signedEntry } from './payload-generator.js';
+
+/**
+ * Worker Thread Pool for Signing and Broadcasting
+ *
+ * Signing is CPU-bound and a single event loop also caps how many requests
+ * we can push out, so both can be spread over worker_threads (--workers=N).
+ * Results come back in the same shapes the main thread produces itself:
+ * signed entries like signTransaction(), and JSON-RPC responses per entry.
+ */
+
+/**
+ * Start a pool of tx-worker.js threads
+ * @param {number} size - Number of worker threads
+ * @returns {Object} - { size, signBatch(unsignedTxs), broadcast(signedTxs, options), close() }
+ */
+export function createWorkerPool(size) {
+  const workers = Array.from({ length: size }, () => new Worker(new URL('./tx-worker.js', import.meta.url)));
+  const pending = new Map();
+  let nextId = 1;
+  let nextWorker = 0;
+
+  for (const worker of workers) {
+    worker.on('message', ({ id, result, error, progress }) => {
+      const job = pending.get(id);
+      if (!job) return;
+      if (progress !== undefined) {
+        job.onProgress?.(progress);
+        return;
+      }
+      pending.delete(id);
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+    });
+
+    // A crashed worker fails its outstanding jobs
+    worker.on('error', (err) => {
+      for (const [id, job] of pending) {
+        if (job.worker === worker) {
+          pending.delete(id);
+          job.reject(err);
+        }
+      }
+    });
+  }
+
+  const run = (worker, type, payload, onProgress) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress, worker });
+    worker.postMessage({ id, type, payload });
+  });
+
+  return {
+    size,
+
+    /**
+     * Sign built transactions on the next worker
+     * @param {Array} unsignedTxs - [{ sender, tx, index, txType }]
+     * @returns {Promise<Array>} - Signed entries as from signTransaction(), or { error, index }
+     */
+    async signBatch(unsignedTxs) {
+      // Wallets can't cross threads: send each private key once per batch
+      const keys = [];
+      const keyIndex = new Map();
+      const items = unsignedTxs.map(({ sender, tx }) => {
+        if (!keyIndex.has(sender.address)) {
+          keyIndex.set(sender.address, keys.length);
+          keys.push(sender.privateKey);
+        }
+        return { key: keyIndex.get(sender.address), tx };
+      });
+
+      const results = await run(workers[nextWorker++ % size], 'sign', { keys, items });
+
+      return results.map(({ signedTx, error }, i) => (error
+        ? { error, index: unsignedTxs[i].index }
+        : signedEntry(unsignedTxs[i], signedTx)));
+    },
+
+    /**
+     * Broadcast signed entries from all workers. Each sender's transactions
+     * go to one worker and keep their order there.
+     * @param {Array} signedTxs - Signed entries
+     * @param {Object} options - { transportConfig, concurrency (total), batchSize, dispatch ({ order, window }), onProgress(sent) }
+     * @returns {Promise<Object>} - { sends: [{ entry, response }], requests }
+     */
+    async broadcast(signedTxs, { transportConfig, concurrency, batchSize, dispatch, onProgress }) {
+      const parts = workers.map(() => []);
+      const assigned = new Map();
+      for (const entry of signedTxs) {
+        if (!assigned.has(entry.expectedFrom)) assigned.set(entry.expectedFrom, assigned.size % size);
+        parts[assigned.get(entry.expectedFrom)].push(entry);
+      }
+
+      const progress = parts.map(() => 0);
+      const results = await Promise.all(parts.map((part, w) => {
+        if (part.length === 0) return { responses: [], requests: 0 };
+        return run(workers[w], 'broadcast', {
+          entries: part.map(({ signedTx, expectedFrom }) => ({ signedTx, expectedFrom })),
+          transportConfig,
+          concurrency: Math.max(1, Math.ceil(concurrency / size)),
+          batchSize,
+          dispatch,
+        }, (sent) => {
+          progress[w] = sent;
+          onProgress?.(progress.reduce((sum, n) => sum + n, 0));
+        });
+      }));
+
+      return {
+        sends: parts.flatMap((part, w) => part.map((entry, i) => ({ entry, response: results[w].responses[i] }))),
+        requests: results.reduce((sum, r) => sum + r.requests, 0),
+      };
+    },
+
+    async close() {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    },
+  };
+}
+
+export default {
+  createWorkerPool,
+};